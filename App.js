@@ -1,4 +1,5 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { View, ActivityIndicator, AppState, TouchableOpacity } from 'react-native';
 import { NavigationContainer } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { createStackNavigator } from '@react-navigation/stack';
@@ -11,10 +12,22 @@ import JournalScreen from './src/screens/JournalScreen';
 import ContactsScreen from './src/screens/ContactsScreen';
 import AddJournalEntryScreen from './src/screens/AddJournalEntryScreen';
 import AddContactScreen from './src/screens/AddContactScreen';
+import LoginScreen from './src/screens/LoginScreen';
+import TrashScreen from './src/screens/TrashScreen';
+import { AuthContext } from './src/context/AuthContext';
+import { logoutAPI, onSessionExpired, syncAPI } from './src/services/api';
+import { getAuthSession } from './src/utils/storage';
 
 const Tab = createBottomTabNavigator();
 const Stack = createStackNavigator();
 
+// Header button that opens the Trash screen of the current stack
+const trashButton = (navigation) => () => (
+  <TouchableOpacity onPress={() => navigation.navigate('Trash')} style={{ paddingHorizontal: 16 }}>
+    <Ionicons name="trash-outline" size={22} color="#fff" />
+  </TouchableOpacity>
+);
+
 // Journal Stack Navigator
 function JournalStack() {
   return (
@@ -33,7 +46,10 @@ function JournalStack() {
       <Stack.Screen 
         name="JournalList" 
         component={JournalScreen} 
-        options={{ title: 'My Journal' }}
+        options={({ navigation }) => ({
+          title: 'My Journal',
+          headerRight: trashButton(navigation),
+        })}
       />
       <Stack.Screen 
         name="AddJournalEntry" 
@@ -43,6 +59,14 @@ function JournalStack() {
           headerBackTitle: 'Journal'
         }}
       />
+      <Stack.Screen 
+        name="Trash" 
+        component={TrashScreen} 
+        options={{ 
+          title: 'Trash',
+          headerBackTitle: 'Journal'
+        }}
+      />
     </Stack.Navigator>
   );
 }
@@ -65,7 +89,10 @@ function ContactsStack() {
       <Stack.Screen 
         name="ContactsList" 
         component={ContactsScreen} 
-        options={{ title: 'My Contacts' }}
+        options={({ navigation }) => ({
+          title: 'My Contacts',
+          headerRight: trashButton(navigation),
+        })}
       />
       <Stack.Screen 
         name="AddContact" 
@@ -75,6 +102,14 @@ function ContactsStack() {
           headerBackTitle: 'Contacts'
         }}
       />
+      <Stack.Screen 
+        name="Trash" 
+        component={TrashScreen} 
+        options={{ 
+          title: 'Trash',
+          headerBackTitle: 'Contacts'
+        }}
+      />
     </Stack.Navigator>
   );
 }
@@ -94,51 +129,107 @@ function HomeStack() {
 
 // Main App with Tab Navigation
 export default function App() {
+  const [session, setSession] = useState(null);
+  const [restoring, setRestoring] = useState(true);
+
+  // Restore a saved session and return to login if it can't be refreshed
+  useEffect(() => {
+    getAuthSession()
+      .then(setSession)
+      .finally(() => setRestoring(false));
+
+    return onSessionExpired(() => setSession(null));
+  }, []);
+
+  // Sync offline changes once signed in and whenever the app comes back to
+  // the foreground
+  useEffect(() => {
+    if (!session) {
+      return undefined;
+    }
+
+    const sync = () => syncAPI().catch((error) => {
+      console.log('⚠️ Sync skipped:', error.message);
+    });
+
+    sync();
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        sync();
+      }
+    });
+    return () => subscription.remove();
+  }, [session]);
+
+  const signOut = async () => {
+    await logoutAPI();
+    setSession(null);
+  };
+
+  if (restoring) {
+    return (
+      <View style={{ flex: 1, alignItems: 'center', justifyContent: 'center' }}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </View>
+    );
+  }
+
+  if (!session) {
+    return (
+      <>
+        <LoginScreen onAuthenticated={setSession} />
+        <StatusBar style="auto" />
+      </>
+    );
+  }
+
   return (
-    <NavigationContainer>
-      <Tab.Navigator
-        initialRouteName="Home"
-        screenOptions={({ route }) => ({
-          tabBarIcon: ({ focused, color, size }) => {
-            let iconName;
-
-            if (route.name === 'Home') {
-              iconName = focused ? 'home' : 'home-outline';
-            } else if (route.name === 'Journal') {
-              iconName = focused ? 'book' : 'book-outline';
-            } else if (route.name === 'Contacts') {
-              iconName = focused ? 'people' : 'people-outline';
-            }
-
-            return <Ionicons name={iconName} size={size} color={color} />;
-          },
-          tabBarActiveTintColor: '#007AFF',
-          tabBarInactiveTintColor: 'gray',
-          headerShown: false,
-          tabBarStyle: {
-            paddingBottom: 5,
-            paddingTop: 5,
-            height: 60,
-          },
-        })}
-      >
-        <Tab.Screen 
-          name="Home" 
-          component={HomeStack}
-          options={{ tabBarLabel: 'Home' }}
-        />
-        <Tab.Screen 
-          name="Journal" 
-          component={JournalStack}
-          options={{ tabBarLabel: 'Journal' }}
-        />
-        <Tab.Screen 
-          name="Contacts" 
-          component={ContactsStack}
-          options={{ tabBarLabel: 'Contacts' }}
-        />
-      </Tab.Navigator>
-      <StatusBar style="auto" />
-    </NavigationContainer>
+    <AuthContext.Provider value={{ user: session.user, signOut }}>
+      <NavigationContainer>
+        <Tab.Navigator
+          initialRouteName="Home"
+          screenOptions={({ route }) => ({
+            tabBarIcon: ({ focused, color, size }) => {
+              let iconName;
+
+              if (route.name === 'Home') {
+                iconName = focused ? 'home' : 'home-outline';
+              } else if (route.name === 'Journal') {
+                iconName = focused ? 'book' : 'book-outline';
+              } else if (route.name === 'Contacts') {
+                iconName = focused ? 'people' : 'people-outline';
+              }
+
+              return <Ionicons name={iconName} size={size} color={color} />;
+            },
+            tabBarActiveTintColor: '#007AFF',
+            tabBarInactiveTintColor: 'gray',
+            headerShown: false,
+            tabBarStyle: {
+              paddingBottom: 5,
+              paddingTop: 5,
+              height: 60,
+            },
+          })}
+        >
+          <Tab.Screen 
+            name="Home" 
+            component={HomeStack}
+            options={{ tabBarLabel: 'Home' }}
+          />
+          <Tab.Screen 
+            name="Journal" 
+            component={JournalStack}
+            options={{ tabBarLabel: 'Journal' }}
+          />
+          <Tab.Screen 
+            name="Contacts" 
+            component={ContactsStack}
+            options={{ tabBarLabel: 'Contacts' }}
+          />
+        </Tab.Navigator>
+        <StatusBar style="auto" />
+      </NavigationContainer>
+    </AuthContext.Provider>
   );
 }
\ No newline at end of file
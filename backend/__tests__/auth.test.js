@@ -0,0 +1,109 @@
+// backend/__tests__/auth.test.js - Register, log in, refresh and log out
+const request = require('supertest');
+const { app } = require('../server');
+
+const PASSWORD = 'correct-horse-battery';
+
+describe('auth', () => {
+  let session;
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .post('/auth/register')
+      .send({ email: 'Ada@Example.com', password: PASSWORD, display_name: 'Ada' });
+
+    expect(res.status).toBe(201);
+    session = res.body;
+  });
+
+  test('register returns the account and a session', () => {
+    expect(session.user).toMatchObject({ email: 'ada@example.com', display_name: 'Ada' });
+    expect(typeof session.access_token).toBe('string');
+    expect(typeof session.refresh_token).toBe('string');
+  });
+
+  test('register refuses an email already taken, in any case', async () => {
+    const res = await request(app)
+      .post('/auth/register')
+      .send({ email: 'ADA@example.com', password: PASSWORD });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('DUPLICATE_ACCOUNT');
+  });
+
+  test('register validates every field at once', async () => {
+    const res = await request(app)
+      .post('/auth/register')
+      .send({ email: 'not-an-email', password: 'short' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_FAILED');
+    expect(res.body.fields.map(field => field.field).sort()).toEqual(['email', 'password']);
+  });
+
+  test('login returns a session that opens protected routes', async () => {
+    const login = await request(app)
+      .post('/auth/login')
+      .send({ email: 'ada@example.com', password: PASSWORD });
+
+    expect(login.status).toBe(200);
+    expect(login.body.user.id).toBe(session.user.id);
+
+    const res = await request(app)
+      .get('/contacts')
+      .set('Authorization', `Bearer ${login.body.access_token}`);
+    expect(res.status).toBe(200);
+  });
+
+  test('login rejects a wrong password', async () => {
+    const res = await request(app)
+      .post('/auth/login')
+      .send({ email: 'ada@example.com', password: 'wrong-password' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_CREDENTIALS');
+  });
+
+  test('protected routes need an access token', async () => {
+    const missing = await request(app).get('/journal/entries');
+    expect(missing.status).toBe(401);
+    expect(missing.body.code).toBe('AUTH_REQUIRED');
+
+    const invalid = await request(app)
+      .get('/journal/entries')
+      .set('Authorization', 'Bearer not-a-token');
+    expect(invalid.status).toBe(401);
+    expect(invalid.body.code).toBe('TOKEN_INVALID');
+  });
+
+  test('refresh rotates the refresh token, which then works only once', async () => {
+    const refreshed = await request(app)
+      .post('/auth/refresh')
+      .send({ refresh_token: session.refresh_token });
+
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.refresh_token).not.toBe(session.refresh_token);
+    expect(refreshed.body.user.id).toBe(session.user.id);
+
+    const reused = await request(app)
+      .post('/auth/refresh')
+      .send({ refresh_token: session.refresh_token });
+    expect(reused.status).toBe(401);
+    expect(reused.body.code).toBe('INVALID_REFRESH_TOKEN');
+
+    session = refreshed.body;
+  });
+
+  test('logout revokes the refresh token', async () => {
+    const logout = await request(app)
+      .post('/auth/logout')
+      .send({ refresh_token: session.refresh_token });
+    expect(logout.status).toBe(200);
+
+    const res = await request(app)
+      .post('/auth/refresh')
+      .send({ refresh_token: session.refresh_token });
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('INVALID_REFRESH_TOKEN');
+  });
+});
@@ -0,0 +1,118 @@
+// backend/__tests__/authorization.test.js - Users only ever see their own records
+//
+// A record that belongs to someone else answers 404, exactly like one that
+// doesn't exist, so ids can't be probed.
+const request = require('supertest');
+const { app } = require('../server');
+
+describe('authorization', () => {
+  let owner;
+  let intruder;
+  let entryId;
+  let contactId;
+
+  const register = async (email) => {
+    const res = await request(app)
+      .post('/auth/register')
+      .send({ email, password: 'correct-horse-battery' });
+    return res.body.access_token;
+  };
+
+  const as = (token, method, path) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+  const expectNotFound = (res) => {
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('NOT_FOUND');
+  };
+
+  beforeAll(async () => {
+    owner = await register('owner@example.com');
+    intruder = await register('intruder@example.com');
+
+    entryId = (await as(owner, 'post', '/journal/entry').send({ entry_text: 'Private thoughts', mood_rating: 2 })).body.entry_id;
+    contactId = (await as(owner, 'post', '/contacts/add').send({ contact_name: 'Therapist', contact_email: 'therapist@example.com' })).body.contact_id;
+  });
+
+  test("another user's journal entry is 404", async () => {
+    expectNotFound(await as(intruder, 'put', `/journal/entry/${entryId}`).send({ entry_text: 'Overwritten' }));
+    expectNotFound(await as(intruder, 'get', `/journal/entry/${entryId}/revisions`));
+    expectNotFound(await as(intruder, 'delete', `/journal/entry/${entryId}`));
+  });
+
+  test("another user's contact is 404", async () => {
+    expectNotFound(await as(intruder, 'put', `/contacts/${contactId}`).send({ contact_name: 'Overwritten' }));
+    expectNotFound(await as(intruder, 'delete', `/contacts/${contactId}`));
+  });
+
+  test('a missing record answers the same as another user\'s', async () => {
+    const missing = await as(intruder, 'delete', '/journal/entry/999999');
+    const foreign = await as(intruder, 'delete', `/journal/entry/${entryId}`);
+
+    expect(foreign.status).toBe(missing.status);
+    expect(foreign.body.code).toBe(missing.body.code);
+    expect(foreign.body.message).toBe(missing.body.message);
+  });
+
+  test('a malformed id is a 400, never some other record', async () => {
+    for (const id of [`${entryId}.5`, `${entryId}abc`, `${entryId}e0`, '0', '99999999999']) {
+      const update = await as(owner, 'put', `/journal/entry/${id}`).send({ mood_rating: 1 });
+      expect(update.status).toBe(400);
+      expect(update.body.code).toBe('VALIDATION_FAILED');
+
+      const restore = await as(owner, 'post', `/trash/journal_entry/${id}/restore`);
+      expect(restore.status).toBe(400);
+    }
+
+    const entry = (await as(owner, 'get', '/journal/entries')).body.entries.find(row => row.id === entryId);
+    expect(entry.mood_rating).toBe(2);
+  });
+
+  test("another user's trashed record can't be restored", async () => {
+    const trashedId = (await as(owner, 'post', '/journal/entry').send({ entry_text: 'Deleted draft', mood_rating: 3 })).body.entry_id;
+    await as(owner, 'delete', `/journal/entry/${trashedId}`);
+
+    expectNotFound(await as(intruder, 'post', `/trash/journal_entry/${trashedId}/restore`));
+    expect((await as(intruder, 'get', '/trash')).body.journal_entries).toEqual([]);
+  });
+
+  test("lists, search and sync leave out other users' records", async () => {
+    expect((await as(intruder, 'get', '/journal/entries')).body.entries).toEqual([]);
+    expect((await as(intruder, 'get', '/contacts')).body.contacts).toEqual([]);
+    expect((await as(intruder, 'get', '/journal/search?q=private')).body.results).toEqual([]);
+
+    const sync = await as(intruder, 'get', '/sync');
+    expect(sync.body.journal_entries.changed).toEqual([]);
+    expect(sync.body.contacts.changed).toEqual([]);
+  });
+
+  test("a sync push can't edit or delete another user's records", async () => {
+    const res = await as(intruder, 'post', '/sync').send({
+      changes: {
+        journal_entries: {
+          upserted: [{ id: entryId, base_updated_at: null, entry_text: 'Overwritten', mood_rating: 1 }],
+          deleted: [entryId]
+        }
+      }
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.pushed.journal_entries).toEqual([{ id: entryId, status: 'rejected', reason: 'not_found' }]);
+
+    const owned = await as(owner, 'get', '/journal/entries');
+    expect(owned.body.entries.find(entry => entry.id === entryId)).toMatchObject({ entry_text: 'Private thoughts' });
+  });
+
+  test('the owner still has full access', async () => {
+    const res = await as(owner, 'put', `/journal/entry/${entryId}`).send({ mood_rating: 4 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.entry).toMatchObject({ id: entryId, entry_text: 'Private thoughts', mood_rating: 4 });
+  });
+
+  test('the audit log is for administrators only', async () => {
+    const res = await as(owner, 'get', '/audit');
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('FORBIDDEN');
+  });
+});
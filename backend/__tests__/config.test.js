@@ -0,0 +1,70 @@
+// backend/__tests__/config.test.js - Environment validation in loadConfig
+const { loadConfig, ConfigError } = require('../config');
+
+describe('config', () => {
+  const production = {
+    NODE_ENV: 'production',
+    JWT_SECRET: 'production-secret',
+    DB_PASSWORD: 'database-password',
+    METRICS_TOKEN: 'a-long-metrics-token',
+    JOURNAL_ENCRYPTION_KEYS: 'k1:c2VjcmV0',
+  };
+
+  // The problems loadConfig reports for env, or [] when it loads
+  const problemsFor = (env) => {
+    try {
+      loadConfig(env);
+      return [];
+    } catch (error) {
+      expect(error).toBeInstanceOf(ConfigError);
+      return error.problems;
+    }
+  };
+
+  test('a complete production environment loads', () => {
+    const config = loadConfig(production);
+
+    expect(config.isProduction).toBe(true);
+    expect(config.dataStore).toBe('postgres');
+    expect(config.metricsToken).toBe('a-long-metrics-token');
+  });
+
+  test('production requires the secrets and an encryption key', () => {
+    expect(problemsFor({ NODE_ENV: 'production' })).toEqual(expect.arrayContaining([
+      '"JWT_SECRET" is required in production',
+      '"DB_PASSWORD" is required in production',
+      '"METRICS_TOKEN" is required in production',
+      'JOURNAL_ENCRYPTION_KEYS or JOURNAL_ENCRYPTION_KEY_FILE is required in production',
+    ]));
+  });
+
+  test('blank values count as unset', () => {
+    expect(problemsFor({ ...production, JWT_SECRET: '  ' })).toEqual(['"JWT_SECRET" is required in production']);
+  });
+
+  test('the encryption keys and key file exclude each other', () => {
+    const both = { JOURNAL_ENCRYPTION_KEYS: 'k1:c2VjcmV0', JOURNAL_ENCRYPTION_KEY_FILE: '/run/secrets/journal-keys' };
+
+    expect(problemsFor({ ...production, ...both })).toEqual(['Set JOURNAL_ENCRYPTION_KEYS or JOURNAL_ENCRYPTION_KEY_FILE, not both']);
+    expect(problemsFor({ NODE_ENV: 'development', ...both })).toEqual(['Set JOURNAL_ENCRYPTION_KEYS or JOURNAL_ENCRYPTION_KEY_FILE, not both']);
+  });
+
+  test('the memory store allows no seed profile or shared rate limit store', () => {
+    const memory = { NODE_ENV: 'development', DATA_STORE: 'memory' };
+
+    expect(problemsFor(memory)).toEqual([]);
+    expect(problemsFor({ ...memory, SEED_PROFILE: 'demo', RATE_LIMIT_STORE: 'postgres' })).toEqual([
+      '"SEED_PROFILE" must be "none" when DATA_STORE is memory',
+      '"RATE_LIMIT_STORE" must be "memory" when DATA_STORE is memory',
+    ]);
+    expect(problemsFor({ NODE_ENV: 'development', SEED_PROFILE: 'demo', RATE_LIMIT_STORE: 'postgres' })).toEqual([]);
+  });
+
+  test('production only runs on postgres', () => {
+    expect(problemsFor({ ...production, DATA_STORE: 'memory' })).toEqual(['"DATA_STORE" must be "postgres" in production']);
+  });
+
+  test('an unknown NODE_ENV is rejected', () => {
+    expect(problemsFor({ NODE_ENV: 'staging' })).toEqual(['"NODE_ENV" must be one of [development, test, production]']);
+  });
+});
@@ -0,0 +1,84 @@
+// backend/__tests__/contacts.test.js - Contacts, including duplicate emails
+const request = require('supertest');
+const { app } = require('../server');
+
+describe('contacts', () => {
+  let token;
+
+  const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+  const addContact = async (contact) => {
+    const res = await api('post', '/contacts/add').send(contact);
+    expect(res.status).toBe(201);
+    return res.body.contact_id;
+  };
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .post('/auth/register')
+      .send({ email: 'contacts@example.com', password: 'correct-horse-battery' });
+    token = res.body.access_token;
+  });
+
+  test('add, list and update a contact', async () => {
+    const id = await addContact({ contact_name: 'Dr. Smith', contact_email: 'dr.smith@example.com' });
+
+    const update = await api('put', `/contacts/${id}`).send({ contact_name: 'Dr. Jane Smith' });
+    expect(update.status).toBe(200);
+    expect(update.body.contact).toMatchObject({ id, contact_name: 'Dr. Jane Smith', contact_email: 'dr.smith@example.com' });
+
+    const list = await api('get', '/contacts');
+    expect(list.status).toBe(200);
+    expect(list.body.contacts.map(contact => contact.contact_name)).toEqual(['Dr. Jane Smith']);
+  });
+
+  test('add validates the contact', async () => {
+    const res = await api('post', '/contacts/add').send({ contact_name: 'No Email', contact_email: 'nope' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_FAILED');
+    expect(res.body.fields.map(field => field.field)).toEqual(['contact_email']);
+  });
+
+  test('adding an email already in the list is 409, in any case', async () => {
+    await addContact({ contact_name: 'Bea', contact_email: 'Bea@Example.com' });
+
+    const res = await api('post', '/contacts/add').send({ contact_name: 'Bea again', contact_email: 'bea@example.com' });
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('DUPLICATE_CONTACT');
+  });
+
+  test('changing a contact to an email already in the list is 409', async () => {
+    const id = await addContact({ contact_name: 'Al', contact_email: 'al@example.com' });
+
+    const res = await api('put', `/contacts/${id}`).send({ contact_email: 'bea@example.com' });
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('DUPLICATE_CONTACT');
+  });
+
+  test('another user may add the same email', async () => {
+    const other = await request(app)
+      .post('/auth/register')
+      .send({ email: 'contacts-other@example.com', password: 'correct-horse-battery' });
+
+    const res = await request(app)
+      .post('/contacts/add')
+      .set('Authorization', `Bearer ${other.body.access_token}`)
+      .send({ contact_name: 'Bea', contact_email: 'bea@example.com' });
+    expect(res.status).toBe(201);
+  });
+
+  test('a deleted contact frees its email, and restoring it then is 409', async () => {
+    const id = await addContact({ contact_name: 'Cy', contact_email: 'cy@example.com' });
+
+    const deleted = await api('delete', `/contacts/${id}`);
+    expect(deleted.status).toBe(200);
+    expect((await api('get', '/trash')).body.contacts.map(contact => contact.id)).toEqual([id]);
+
+    await addContact({ contact_name: 'Cy (new)', contact_email: 'cy@example.com' });
+
+    const restored = await api('post', `/trash/contact/${id}/restore`);
+    expect(restored.status).toBe(409);
+    expect(restored.body.code).toBe('DUPLICATE_CONTACT');
+  });
+});
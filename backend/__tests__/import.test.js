@@ -0,0 +1,85 @@
+// backend/__tests__/import.test.js - Importing journal files, raw or wrapped in JSON
+const request = require('supertest');
+const { app } = require('../server');
+
+describe('import', () => {
+  let token;
+
+  const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+  const csv = [
+    'Date,Mood,Note,Labels',
+    '2024-01-02 08:00,Good,First day back,work',
+    '2024-01-03 09:30,9,Too happy,',
+    ''
+  ].join('\n');
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .post('/auth/register')
+      .send({ email: 'import@example.com', password: 'correct-horse-battery' });
+    token = res.body.access_token;
+  });
+
+  test('a dry run previews a raw CSV body and saves nothing', async () => {
+    const res = await api('post', '/import/journal').set('Content-Type', 'text/csv').send(csv);
+
+    expect(res.status).toBe(200);
+    expect(res.body.dry_run).toBe(true);
+    expect(res.body.mapping).toMatchObject({ entry_text: 'Note', mood_rating: 'Mood', timestamp: 'Date', tags: 'Labels' });
+    expect(res.body.summary).toEqual({ total_rows: 2, valid: 1, duplicates: 0, errors: 1, imported: 0 });
+    expect(res.body.preview).toEqual([
+      expect.objectContaining({ row: 2, entry_text: 'First day back', mood_rating: 4, tags: ['work'] })
+    ]);
+
+    expect((await api('get', '/journal/entries')).body.entries).toEqual([]);
+  });
+
+  test('invalid rows are reported by row and skipped', async () => {
+    const res = await api('post', '/import/journal?dry_run=false').set('Content-Type', 'text/csv').send(csv);
+
+    expect(res.status).toBe(201);
+    expect(res.body.summary).toMatchObject({ valid: 1, errors: 1, imported: 1 });
+    expect(res.body.errors).toEqual([
+      { row: 3, messages: ['"mood_rating" must be less than or equal to 5'] }
+    ]);
+
+    const entries = (await api('get', '/journal/entries')).body.entries;
+    expect(entries.map(entry => entry.entry_text)).toEqual(['First day back']);
+  });
+
+  test('a raw JSON export is read with ?format=json, skipping saved entries', async () => {
+    const exported = { entries: [{ timestamp: '2024-01-02 08:00', mood_rating: 4, entry_text: 'First day back' }] };
+
+    const res = await api('post', '/import/journal?format=json').send(exported);
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toMatchObject({ total_rows: 1, valid: 0, duplicates: 1 });
+  });
+
+  test('the file can still be sent wrapped in a JSON request', async () => {
+    const res = await api('post', '/import/journal').send({
+      format: 'md',
+      content: '---\ndate: 2024-02-01T10:00:00Z\nmood: 3\n---\nQuiet Sunday\n'
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.preview).toEqual([expect.objectContaining({ row: 1, entry_text: 'Quiet Sunday', mood_rating: 3 })]);
+  });
+
+  test('a body without a format is rejected', async () => {
+    const res = await api('post', '/import/journal').set('Content-Type', 'text/plain').send('Just some text');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_FAILED');
+  });
+
+  test('at most IMPORT_MAX_ROWS (5,000) entries are read', async () => {
+    const rows = Array.from({ length: 5001 }, (_, i) => `2023-01-01T00:00:${String(i % 60).padStart(2, '0')}Z,3,Row ${i}`);
+    const res = await api('post', '/import/journal').set('Content-Type', 'text/csv').send(['Date,Mood,Note', ...rows].join('\n'));
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_IMPORT');
+    expect(res.body.fields[0].message).toMatch(/At most 5000 entries.*found 5001/);
+  });
+});
@@ -0,0 +1,152 @@
+// backend/__tests__/journal.test.js - Journal entries, their revisions and the trash
+const request = require('supertest');
+const { app } = require('../server');
+
+describe('journal', () => {
+  let token;
+
+  const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+  const createEntry = async (entry) => {
+    const res = await api('post', '/journal/entry').send(entry);
+    expect(res.status).toBe(201);
+    return res.body.entry_id;
+  };
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .post('/auth/register')
+      .send({ email: 'journal@example.com', password: 'correct-horse-battery' });
+    token = res.body.access_token;
+  });
+
+  test('create returns the new id with sorted tags', async () => {
+    const res = await api('post', '/journal/entry').send({
+      entry_text: 'Morning run by the river',
+      mood_rating: 4,
+      timestamp: '2024-03-01T07:00:00.000Z',
+      tags: ['running', 'Outdoors']
+    });
+
+    expect(res.status).toBe(201);
+    expect(Number.isInteger(res.body.entry_id)).toBe(true);
+    expect(res.body.tags).toEqual(['outdoors', 'running']);
+  });
+
+  test('create validates the entry', async () => {
+    const res = await api('post', '/journal/entry').send({ entry_text: '', mood_rating: 9 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_FAILED');
+    expect(res.body.fields.map(field => field.field).sort()).toEqual(['entry_text', 'mood_rating']);
+  });
+
+  test('list pages through entries newest first', async () => {
+    await createEntry({ entry_text: 'Rainy afternoon', mood_rating: 2, timestamp: '2024-03-02T15:00:00.000Z' });
+    await createEntry({ entry_text: 'Dinner with friends', mood_rating: 5, timestamp: '2024-03-03T20:00:00.000Z' });
+
+    const first = await api('get', '/journal/entries?limit=2');
+    expect(first.status).toBe(200);
+    expect(first.body.entries.map(entry => entry.entry_text)).toEqual(['Dinner with friends', 'Rainy afternoon']);
+    expect(first.body.next_cursor).toEqual(expect.any(String));
+
+    const second = await api('get', `/journal/entries?limit=2&cursor=${first.body.next_cursor}`);
+    expect(second.body.entries.map(entry => entry.entry_text)).toEqual(['Morning run by the river']);
+    expect(second.body.next_cursor).toBeNull();
+  });
+
+  test('list filters by mood and tag', async () => {
+    const byMood = await api('get', '/journal/entries?mood_min=4');
+    expect(byMood.body.entries.map(entry => entry.entry_text)).toEqual(['Dinner with friends', 'Morning run by the river']);
+
+    const byTag = await api('get', '/journal/entries?tag=running');
+    expect(byTag.body.entries.map(entry => entry.entry_text)).toEqual(['Morning run by the river']);
+  });
+
+  test('a date-only to takes in the whole of that day', async () => {
+    const list = await api('get', '/journal/entries?from=2024-03-02&to=2024-03-02');
+    expect(list.status).toBe(200);
+    expect(list.body.entries.map(entry => entry.entry_text)).toEqual(['Rainy afternoon']);
+
+    const insights = await api('get', '/insights/mood?from=2024-03-03&to=2024-03-03');
+    expect(insights.status).toBe(200);
+    expect(insights.body.summary).toMatchObject({ entry_count: 1, average_mood: 5 });
+  });
+
+  test('list rejects a malformed cursor', async () => {
+    const res = await api('get', '/journal/entries?cursor=garbage');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_CURSOR');
+  });
+
+  test('list rejects a well-formed cursor holding a bad position', async () => {
+    const crafted = [
+      { t: 'garbage', id: 1 },
+      { t: '2024-02-30 00:00:00', id: 1 },
+      { t: '2024-03-01 07:00:00', id: 0 },
+      { t: '2024-03-01 07:00:00', id: 1.5 }
+    ];
+
+    for (const position of crafted) {
+      const cursor = Buffer.from(JSON.stringify(position)).toString('base64url');
+      const res = await api('get', `/journal/entries?cursor=${cursor}`);
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('INVALID_CURSOR');
+    }
+  });
+
+  test('update keeps the earlier version as a revision', async () => {
+    const id = await createEntry({ entry_text: 'First draft', mood_rating: 3, tags: ['draft'] });
+
+    const update = await api('put', `/journal/entry/${id}`).send({ entry_text: 'Second draft', tags: ['final'] });
+    expect(update.status).toBe(200);
+    expect(update.body.entry).toMatchObject({ id, entry_text: 'Second draft', mood_rating: 3, tags: ['final'] });
+
+    await api('put', `/journal/entry/${id}`).send({ mood_rating: 5 });
+
+    const revisions = await api('get', `/journal/entry/${id}/revisions`);
+    expect(revisions.status).toBe(200);
+    expect(revisions.body.revisions.map(revision => [revision.entry_text, revision.mood_rating]))
+      .toEqual([['Second draft', 3], ['First draft', 3]]);
+  });
+
+  test('update of a missing entry is 404', async () => {
+    const res = await api('put', '/journal/entry/999999').send({ mood_rating: 1 });
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('NOT_FOUND');
+  });
+
+  test('delete moves the entry to the trash, and restore brings it back', async () => {
+    const id = await createEntry({ entry_text: 'Regrettable rant', mood_rating: 1 });
+
+    const deleted = await api('delete', `/journal/entry/${id}`);
+    expect(deleted.status).toBe(200);
+
+    const list = await api('get', '/journal/entries');
+    expect(list.body.entries.map(entry => entry.id)).not.toContain(id);
+
+    const trash = await api('get', '/trash');
+    expect(trash.status).toBe(200);
+    expect(trash.body.journal_entries.map(entry => entry.id)).toEqual([id]);
+    expect(trash.body.journal_entries[0].purge_at).toEqual(expect.any(String));
+
+    const again = await api('delete', `/journal/entry/${id}`);
+    expect(again.status).toBe(404);
+
+    const restored = await api('post', `/trash/journal_entry/${id}/restore`);
+    expect(restored.status).toBe(200);
+
+    const after = await api('get', '/journal/entries');
+    expect(after.body.entries.map(entry => entry.id)).toContain(id);
+    expect((await api('get', '/trash')).body.journal_entries).toEqual([]);
+  });
+
+  test('restore of something not in the trash is 404', async () => {
+    const res = await api('post', '/trash/journal_entry/999999/restore');
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('NOT_FOUND');
+  });
+});
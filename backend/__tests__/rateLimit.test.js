@@ -0,0 +1,37 @@
+// backend/__tests__/rateLimit.test.js - Failed logins run out the login budget
+//
+// The budget is lowered before the app loads so a handful of attempts hit it.
+process.env.RATE_LIMIT_LOGIN_MAX = '3';
+
+const request = require('supertest');
+const { app } = require('../server');
+
+describe('rate limits', () => {
+  const login = (email, password) => request(app).post('/auth/login').send({ email, password });
+
+  beforeAll(async () => {
+    for (const email of ['limited@example.com', 'bystander@example.com']) {
+      await request(app).post('/auth/register').send({ email, password: 'correct-horse-battery' });
+    }
+  });
+
+  test('failed logins past RATE_LIMIT_LOGIN_MAX answer 429 with Retry-After', async () => {
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      const res = await login('limited@example.com', 'wrong-password');
+      expect(res.status).toBe(401);
+    }
+
+    const res = await login('Limited@example.com', 'correct-horse-battery');
+
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe('RATE_LIMITED');
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(res.body.retry_after).toBe(Number(res.headers['retry-after']));
+  });
+
+  test('the budget is per account, so other accounts can still log in', async () => {
+    const res = await login('bystander@example.com', 'correct-horse-battery');
+
+    expect(res.status).toBe(200);
+  });
+});
@@ -0,0 +1,36 @@
+// backend/__tests__/search.test.js - Search follows JOURNAL_SEARCH_INDEX on the memory store too
+//
+// The index is turned off before the app loads, as it is by default once
+// journal encryption is on.
+process.env.JOURNAL_SEARCH_INDEX = 'false';
+
+const request = require('supertest');
+const { app } = require('../server');
+
+describe('search with the index turned off', () => {
+  let token;
+
+  const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .post('/auth/register')
+      .send({ email: 'search@example.com', password: 'correct-horse-battery' });
+    token = res.body.access_token;
+
+    await api('post', '/journal/entry').send({ entry_text: 'Searchable thoughts', mood_rating: 3 });
+  });
+
+  test('search answers 503 SEARCH_DISABLED', async () => {
+    const res = await api('get', '/journal/search?q=searchable');
+
+    expect(res.status).toBe(503);
+    expect(res.body.code).toBe('SEARCH_DISABLED');
+  });
+
+  test('the entries themselves are still listed', async () => {
+    const res = await api('get', '/journal/entries');
+
+    expect(res.body.entries.map(entry => entry.entry_text)).toEqual(['Searchable thoughts']);
+  });
+});
@@ -0,0 +1,111 @@
+// backend/__tests__/sync.test.js - Pulling and pushing offline changes
+const request = require('supertest');
+const { app } = require('../server');
+
+describe('sync', () => {
+  let token;
+  let serverEntryId;
+  let serverContactId;
+
+  const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+  // Pulls reach a few seconds before their cursor (SYNC_OVERLAP_SECONDS), so
+  // rows written just before it can come again: check for rows, not exact lists
+  const texts = entries => entries.map(entry => entry.entry_text);
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .post('/auth/register')
+      .send({ email: 'sync@example.com', password: 'correct-horse-battery' });
+    token = res.body.access_token;
+
+    serverEntryId = (await api('post', '/journal/entry').send({ entry_text: 'Written on the web', mood_rating: 3 })).body.entry_id;
+    serverContactId = (await api('post', '/contacts/add').send({ contact_name: 'Al', contact_email: 'al@example.com' })).body.contact_id;
+  });
+
+  test('a pull without a cursor returns everything', async () => {
+    const res = await api('get', '/sync');
+
+    expect(res.status).toBe(200);
+    expect(res.body.full_sync).toBe(true);
+    expect(res.body.cursor).toEqual(expect.any(String));
+    expect(res.body.journal_entries).toEqual({
+      changed: [expect.objectContaining({ id: serverEntryId, entry_text: 'Written on the web', updated_at: null })],
+      deleted: []
+    });
+    expect(res.body.contacts.changed.map(contact => contact.id)).toEqual([serverContactId]);
+  });
+
+  test('a pull with a malformed cursor is rejected', async () => {
+    const res = await api('get', '/sync?since=garbage');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_CURSOR');
+  });
+
+  test('a push applies or rejects each row and pulls the result', async () => {
+    const { cursor } = (await api('get', '/sync')).body;
+    const trashedId = (await api('post', '/journal/entry').send({ entry_text: 'Delete me offline', mood_rating: 2 })).body.entry_id;
+
+    const res = await api('post', '/sync').send({
+      since: cursor,
+      changes: {
+        journal_entries: {
+          upserted: [
+            { client_id: 'device-1', entry_text: 'Written offline', mood_rating: 4, tags: ['travel'] },
+            { id: serverEntryId, base_updated_at: null, entry_text: 'Edited offline', mood_rating: 5 },
+            { id: 999999, base_updated_at: null, entry_text: 'Never existed', mood_rating: 1 },
+            { client_id: 'device-2', mood_rating: 3 }
+          ],
+          deleted: [trashedId]
+        },
+        contacts: {
+          upserted: [
+            { client_id: 'device-3', contact_name: 'Al again', contact_email: 'al@example.com' },
+            { client_id: 'device-4', contact_name: 'Bea', contact_email: 'bea@example.com' }
+          ],
+          deleted: []
+        }
+      }
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.full_sync).toBe(false);
+
+    const [created, edited, missing, invalid] = res.body.pushed.journal_entries;
+    expect(created).toMatchObject({ client_id: 'device-1', status: 'applied', id: expect.any(Number) });
+    expect(edited).toMatchObject({ id: serverEntryId, status: 'applied' });
+    expect(missing).toMatchObject({ id: 999999, status: 'rejected', reason: 'not_found' });
+    expect(invalid).toMatchObject({ client_id: 'device-2', status: 'rejected', reason: 'invalid' });
+    expect(res.body.pushed.contacts.map(result => result.reason || result.status)).toEqual(['duplicate', 'applied']);
+
+    expect(texts(res.body.journal_entries.changed)).toEqual(expect.arrayContaining(['Edited offline', 'Written offline']));
+    expect(texts(res.body.journal_entries.changed)).not.toContain('Delete me offline');
+    expect(res.body.journal_entries.deleted).toEqual([trashedId]);
+    expect(res.body.contacts.changed.map(contact => contact.contact_name)).toContain('Bea');
+
+    const trash = await api('get', '/trash');
+    expect(trash.body.journal_entries.map(entry => entry.id)).toEqual([trashedId]);
+  });
+
+  test('an edit made against an old copy loses, and the server copy is sent back', async () => {
+    // A cursor from the future pulls no ordinary changes, only the conflicts
+    const cursor = Buffer.from(JSON.stringify({ t: '2999-01-01 00:00:00' })).toString('base64url');
+
+    const res = await api('post', '/sync').send({
+      since: cursor,
+      changes: {
+        journal_entries: {
+          upserted: [{ id: serverEntryId, base_updated_at: '2020-01-01T00:00:00.000Z', entry_text: 'Stale edit', mood_rating: 1 }],
+          deleted: []
+        }
+      }
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.pushed.journal_entries).toEqual([{ id: serverEntryId, status: 'rejected', reason: 'conflict' }]);
+    expect(res.body.journal_entries.changed).toEqual([
+      expect.objectContaining({ id: serverEntryId, entry_text: 'Edited offline', mood_rating: 5 })
+    ]);
+  });
+});
@@ -0,0 +1,80 @@
+// backend/auth.js - Password hashing, token signing and the auth middleware
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { sendError } = require('./errors');
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+const BCRYPT_ROUNDS = 12;
+const ACCESS_TOKEN_TTL = config.auth.accessTokenTtl;
+const REFRESH_TOKEN_TTL_DAYS = config.auth.refreshTokenTtlDays;
+
+// Resolve the signing secret once at startup; config.js requires it in production
+const resolveJwtSecret = () => {
+  if (config.auth.jwtSecret) {
+    return config.auth.jwtSecret;
+  }
+
+  logger.warn('JWT_SECRET not set - using an insecure development secret');
+  return 'muud-health-development-secret';
+};
+
+const JWT_SECRET = resolveJwtSecret();
+
+// Passwords
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+const verifyPassword = (password, passwordHash) => bcrypt.compare(password, passwordHash);
+
+// Access tokens are short-lived JWTs carrying the user ID in `sub`
+const signAccessToken = (user) => {
+  return jwt.sign(
+    { sub: String(user.id), email: user.email },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Refresh tokens are opaque random strings; only their SHA-256 hash is stored
+const generateRefreshToken = () => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  return { token, tokenHash: hashRefreshToken(token), expiresAt };
+};
+
+const hashRefreshToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Middleware: requires a valid `Authorization: Bearer <token>` header and
+// exposes the caller as req.user
+const requireAuth = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return sendError(res, 'AUTH_REQUIRED', 'Authentication required');
+  }
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    req.user = { id: parseInt(payload.sub), email: payload.email };
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return sendError(res, 'TOKEN_EXPIRED', 'Access token expired');
+    }
+    sendError(res, 'TOKEN_INVALID', 'Invalid access token');
+  }
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  generateRefreshToken,
+  hashRefreshToken,
+  requireAuth,
+};
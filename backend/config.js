@@ -0,0 +1,229 @@
+// backend/config.js - Validated settings shared by the server and CLI tools
+//
+// Every setting comes from the environment (or backend/.env) and is checked
+// against one schema: numbers are numbers, lists are lists, and an unknown
+// value is an error rather than a silent fallback to the default. NODE_ENV
+// picks a profile that adjusts the schema:
+//   development   the defaults below; secrets are optional (default profile)
+//   test          quieter logs, and the in-memory data store (a separate
+//                 muud_health_test database with DATA_STORE=postgres)
+//   production    secrets and journal encryption keys required, no seed data
+// The first require loads the settings. A bad configuration stops the process
+// right there with every problem listed at once.
+const Joi = require('joi');
+require('dotenv').config();
+const { listSeedProfiles, DEFAULT_SEED_PROFILE } = require('./seeder');
+const { RATE_LIMIT_STORES } = require('./rateLimit');
+const { DATA_STORES } = require('./repositories');
+
+const ENVIRONMENTS = ['development', 'test', 'production'];
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+// Request rate limits, counted in fixed windows. Each budget can be tuned with
+// RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW_SECONDS
+const RATE_LIMIT_DEFAULTS = {
+  ip: { max: 600, windowSeconds: 60 }, // every request, per client IP
+  user: { max: 300, windowSeconds: 60 }, // authenticated requests, per user
+  write: { max: 60, windowSeconds: 60 }, // POST/PUT/DELETE, per user
+  auth: { max: 30, windowSeconds: 15 * 60 }, // /auth/* routes, per client IP
+  login: { max: 10, windowSeconds: 15 * 60 }, // login attempts, per account and client IP
+};
+
+const rateLimitKey = (name, setting) => `RATE_LIMIT_${name.toUpperCase()}_${setting}`;
+
+// TRUST_PROXY is true, false, a hop count or a list of proxy addresses
+const trustProxy = Joi.string().custom((value) => {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+});
+
+// The memory data store has no database for seed data or shared rate limit counters
+const withoutDatabase = (rule, allowed) => rule.when('DATA_STORE', {
+  is: 'memory',
+  then: Joi.valid(Joi.override, allowed).messages({ 'any.only': `{#label} must be "${allowed}" when DATA_STORE is memory` }),
+});
+
+const baseKeys = () => ({
+  PORT: Joi.number().port().default(3000),
+
+  DATA_STORE: Joi.string().valid(...DATA_STORES).default('postgres'),
+  DB_HOST: Joi.string().hostname().default('localhost'),
+  DB_PORT: Joi.number().port().default(5432),
+  DB_NAME: Joi.string().default('muud_health'),
+  DB_USER: Joi.string().default('postgres'),
+  DB_PASSWORD: Joi.string(), // unset means trust authentication
+
+  JWT_SECRET: Joi.string(),
+  ACCESS_TOKEN_TTL: Joi.string().pattern(/^\d+[smhd]$/).default('15m')
+    .messages({ 'string.pattern.base': '{#label} must be a duration such as 900s, 15m, 1h or 1d' }),
+  REFRESH_TOKEN_TTL_DAYS: Joi.number().integer().min(1).default(30),
+
+  LOG_LEVEL: Joi.string().lowercase().valid(...LOG_LEVELS).default('info'),
+  SEED_PROFILE: withoutDatabase(
+    Joi.string().valid(...listSeedProfiles()).default(DEFAULT_SEED_PROFILE),
+    DEFAULT_SEED_PROFILE
+  ),
+  SEED_LARGE_ENTRIES: Joi.number().integer().min(1).default(10000),
+  TRASH_RETENTION_DAYS: Joi.number().integer().min(1).default(30),
+  SHUTDOWN_TIMEOUT_SECONDS: Joi.number().integer().min(1).default(25),
+
+  RATE_LIMIT_STORE: withoutDatabase(Joi.string().valid(...RATE_LIMIT_STORES).default('memory'), 'memory'),
+  ...Object.fromEntries(Object.entries(RATE_LIMIT_DEFAULTS).flatMap(([name, defaults]) => [
+    [rateLimitKey(name, 'MAX'), Joi.number().integer().min(1).default(defaults.max)],
+    [rateLimitKey(name, 'WINDOW_SECONDS'), Joi.number().integer().min(1).default(defaults.windowSeconds)],
+  ])),
+  TRUST_PROXY: trustProxy,
+
+  METRICS_TOKEN: Joi.string().min(16),
+
+  // By id, which the server assigns: anyone can register any unverified email
+  ADMIN_USER_IDS: Joi.string().pattern(/^\s*\d+\s*(,\s*\d+\s*)*$/)
+    .messages({ 'string.pattern.base': '{#label} must be comma-separated user ids, e.g. 1,42' }),
+
+  JOURNAL_ENCRYPTION_KEYS: Joi.string(),
+  JOURNAL_ENCRYPTION_KEY_FILE: Joi.string(),
+  JOURNAL_ENCRYPTION_ACTIVE_KEY: Joi.string(),
+  JOURNAL_SEARCH_INDEX: Joi.boolean(),
+});
+
+const PROFILES = {
+  development: {},
+
+  test: {
+    defaults: { LOG_LEVEL: 'warn', DATA_STORE: 'memory', DB_NAME: 'muud_health_test' },
+  },
+
+  production: {
+    required: ['JWT_SECRET', 'DB_PASSWORD', 'METRICS_TOKEN'],
+    rules: schema => schema
+      .or('JOURNAL_ENCRYPTION_KEYS', 'JOURNAL_ENCRYPTION_KEY_FILE')
+      .keys({
+        DATA_STORE: Joi.string().valid('postgres').default('postgres')
+          .messages({ 'any.only': '{#label} must be "postgres" in production' }),
+        SEED_PROFILE: Joi.string().valid(DEFAULT_SEED_PROFILE).default(DEFAULT_SEED_PROFILE)
+          .messages({ 'any.only': `{#label} must be "${DEFAULT_SEED_PROFILE}" in production` }),
+      }),
+  },
+};
+
+const buildSchema = (environment) => {
+  const { defaults = {}, required = [], rules = schema => schema } = PROFILES[environment];
+
+  const keys = Object.fromEntries(Object.entries(baseKeys()).map(([name, rule]) => [
+    name,
+    name in defaults ? rule.default(defaults[name]) : rule,
+  ]));
+
+  const schema = Joi.object(keys)
+    .nand('JOURNAL_ENCRYPTION_KEYS', 'JOURNAL_ENCRYPTION_KEY_FILE')
+    .fork(required, rule => rule.required().messages({ 'any.required': `{#label} is required in ${environment}` }))
+    .messages({
+      'object.missing': `JOURNAL_ENCRYPTION_KEYS or JOURNAL_ENCRYPTION_KEY_FILE is required in ${environment}`,
+      'object.nand': 'Set JOURNAL_ENCRYPTION_KEYS or JOURNAL_ENCRYPTION_KEY_FILE, not both',
+    });
+
+  return rules(schema);
+};
+
+class ConfigError extends Error {
+  constructor(environment, problems) {
+    super(`Invalid configuration (NODE_ENV=${environment}):\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Only the keys in the schema are read; blank values count as unset
+const readEnv = (env, names) => {
+  const values = {};
+  names.forEach((name) => {
+    const value = typeof env[name] === 'string' ? env[name].trim() : '';
+    if (value !== '') {
+      values[name] = value;
+    }
+  });
+  return values;
+};
+
+const loadConfig = (env = process.env) => {
+  const environment = (env.NODE_ENV || '').trim() || 'development';
+  if (!ENVIRONMENTS.includes(environment)) {
+    throw new ConfigError(environment, [`"NODE_ENV" must be one of [${ENVIRONMENTS.join(', ')}]`]);
+  }
+
+  const schema = buildSchema(environment);
+  const { value, error } = schema.validate(readEnv(env, Object.keys(baseKeys())), {
+    abortEarly: false,
+    convert: true,
+  });
+  if (error) {
+    throw new ConfigError(environment, error.details.map(detail => detail.message));
+  }
+
+  return {
+    environment,
+    isProduction: environment === 'production',
+    isDevelopment: environment === 'development',
+    port: value.PORT,
+    dataStore: value.DATA_STORE,
+    db: {
+      host: value.DB_HOST,
+      port: value.DB_PORT,
+      database: value.DB_NAME,
+      user: value.DB_USER,
+      password: value.DB_PASSWORD,
+    },
+    auth: {
+      jwtSecret: value.JWT_SECRET,
+      accessTokenTtl: value.ACCESS_TOKEN_TTL,
+      refreshTokenTtlDays: value.REFRESH_TOKEN_TTL_DAYS,
+    },
+    logLevel: value.LOG_LEVEL,
+    seedProfile: value.SEED_PROFILE,
+    seedLargeEntries: value.SEED_LARGE_ENTRIES,
+    trashRetentionDays: value.TRASH_RETENTION_DAYS,
+    shutdownTimeoutSeconds: value.SHUTDOWN_TIMEOUT_SECONDS,
+    rateLimits: {
+      store: value.RATE_LIMIT_STORE,
+      budgets: Object.fromEntries(Object.keys(RATE_LIMIT_DEFAULTS).map(name => [name, {
+        max: value[rateLimitKey(name, 'MAX')],
+        windowSeconds: value[rateLimitKey(name, 'WINDOW_SECONDS')],
+      }])),
+    },
+    trustProxy: value.TRUST_PROXY,
+    metricsToken: value.METRICS_TOKEN,
+    adminUserIds: (value.ADMIN_USER_IDS || '')
+      .split(',')
+      .filter(id => id.trim() !== '')
+      .map(id => parseInt(id, 10)),
+    journal: {
+      encryption: {
+        keys: value.JOURNAL_ENCRYPTION_KEYS,
+        keyFile: value.JOURNAL_ENCRYPTION_KEY_FILE,
+        activeKey: value.JOURNAL_ENCRYPTION_ACTIVE_KEY,
+      },
+      searchIndex: value.JOURNAL_SEARCH_INDEX,
+    },
+  };
+};
+
+const loadConfigOrExit = () => {
+  try {
+    return loadConfig();
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+};
+
+module.exports = {
+  ENVIRONMENTS,
+  ConfigError,
+  loadConfig,
+  config: loadConfigOrExit(),
+};
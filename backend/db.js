@@ -0,0 +1,46 @@
+// backend/db.js - PostgreSQL connection settings shared by the server and CLI tools
+const { config } = require('./config');
+
+// Pool settings for config.db; without DB_PASSWORD the server relies on trust authentication
+const createPoolConfig = (db = config.db) => {
+  const poolConfig = {
+    user: db.user,
+    host: db.host,
+    database: db.database,
+    port: db.port,
+    connectionTimeoutMillis: 10000,
+    idleTimeoutMillis: 30000,
+    max: 20,
+    allowExitOnIdle: false,
+  };
+
+  if (db.password !== undefined) {
+    poolConfig.password = db.password;
+  }
+
+  return poolConfig;
+};
+
+// The settings worth showing at startup, without the password itself
+const describePoolConfig = (config) => ({
+  host: config.host,
+  port: config.port,
+  database: config.database,
+  user: config.user,
+  password_set: Boolean(config.password),
+});
+
+// Human-readable version for the command line tools
+const printPoolConfig = (config) => {
+  const { host, port, database, user, password_set } = describePoolConfig(config);
+
+  console.log(password_set ? '🔐 Using password authentication' : '🔓 Using trust authentication (no password)');
+  console.log('🔧 Database Configuration:');
+  console.log(`  Host: ${host}`);
+  console.log(`  Port: ${port}`);
+  console.log(`  Database: ${database}`);
+  console.log(`  User: ${user}`);
+  console.log(`  Password: ${password_set ? '***SET***' : 'NOT SET'}`);
+};
+
+module.exports = { createPoolConfig, describePoolConfig, printPoolConfig };
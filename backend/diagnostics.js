@@ -3,7 +3,8 @@ const { Pool } = require('pg');
 const { exec } = require('child_process');
 const util = require('util');
 const execAsync = util.promisify(exec);
-require('dotenv').config();
+const { config } = require('./config');
+const { createPoolConfig } = require('./db');
 
 console.log('🔍 MUUD Health Enhanced Database Diagnostic Tool');
 console.log('================================================\n');
@@ -23,14 +24,14 @@ function colorLog(color, text) {
   console.log(`${colors[color]}${text}${colors.reset}`);
 }
 
-// Load and display environment variables
-console.log('📋 Environment Variables:');
+// Display the validated configuration the server would use
+console.log(`📋 Configuration (NODE_ENV=${config.environment}):`);
 const envVars = {
-  DB_HOST: process.env.DB_HOST || 'localhost',
-  DB_PORT: process.env.DB_PORT || '5432',
-  DB_NAME: process.env.DB_NAME || 'muud_health',
-  DB_USER: process.env.DB_USER || 'postgres',
-  DB_PASSWORD: process.env.DB_PASSWORD
+  DB_HOST: config.db.host,
+  DB_PORT: config.db.port,
+  DB_NAME: config.db.database,
+  DB_USER: config.db.user,
+  DB_PASSWORD: config.db.password
 };
 
 Object.entries(envVars).forEach(([key, value]) => {
@@ -157,21 +158,10 @@ async function runComprehensiveDiagnostics() {
   await checkDockerStatus();
   console.log('');
   
-  // Test 1: With environment variables
-  const envConfig = {
-    user: envVars.DB_USER,
-    host: envVars.DB_HOST,
-    database: envVars.DB_NAME,
-    port: parseInt(envVars.DB_PORT),
-    connectionTimeoutMillis: 5000
-  };
+  // Test 1: With the configured settings
+  const envConfig = { ...createPoolConfig(), connectionTimeoutMillis: 5000 };
   
-  // Only add password if it exists and is not empty
-  if (envVars.DB_PASSWORD && envVars.DB_PASSWORD.trim() !== '') {
-    envConfig.password = envVars.DB_PASSWORD;
-  }
-  
-  let success = await testConnection(envConfig, 'Environment configuration');
+  let success = await testConnection(envConfig, 'Configured settings');
   
   if (success) {
     // Test database operations if connection successful
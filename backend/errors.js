@@ -0,0 +1,72 @@
+// backend/errors.js - Error codes and the JSON error envelope
+//
+// Every error response has the same shape:
+//   { success: false, code, message, fields?, request_id, ... }
+// `code` is stable and is what clients should switch on; `message` is for
+// people and may be reworded. Validation failures list every problem in
+// `fields` as [{ field, message }]. Some codes add their own keys, such as
+// retry_after for RATE_LIMITED.
+
+// Code -> HTTP status
+const ERROR_STATUS = {
+  VALIDATION_FAILED: 400,
+  INVALID_CURSOR: 400,
+  INVALID_IMPORT: 400,
+  AUTH_REQUIRED: 401,
+  TOKEN_EXPIRED: 401,
+  TOKEN_INVALID: 401,
+  INVALID_CREDENTIALS: 401,
+  INVALID_REFRESH_TOKEN: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  ENDPOINT_NOT_FOUND: 404,
+  DUPLICATE_ACCOUNT: 409,
+  DUPLICATE_CONTACT: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  RATE_LIMITED: 429,
+  INTERNAL_ERROR: 500,
+  DB_UNAVAILABLE: 503,
+  NOT_READY: 503,
+  SEARCH_DISABLED: 503,
+};
+
+const ERROR_CODES = Object.keys(ERROR_STATUS);
+
+const sendError = (res, code, message, extra = {}) => {
+  return res.status(ERROR_STATUS[code]).json({
+    success: false,
+    code,
+    message,
+    ...extra,
+    request_id: res.req.id
+  });
+};
+
+// Joi reports paths as arrays; nested fields become "mapping.timestamp"
+const validationFields = (joiError) => {
+  return joiError.details.map(detail => ({
+    field: detail.path.join('.'),
+    message: detail.message
+  }));
+};
+
+// Validate with { abortEarly: false } so every invalid field is reported
+const sendValidationError = (res, joiError, message = 'Validation error') => {
+  return sendError(res, 'VALIDATION_FAILED', message, { fields: validationFields(joiError) });
+};
+
+// Errors meaning PostgreSQL cannot be reached, as opposed to a bad query
+const DB_UNAVAILABLE_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'ETIMEDOUT', '57P01', '57P03'];
+
+const isDatabaseUnavailable = (error) => {
+  return DB_UNAVAILABLE_CODES.includes(error.code) ||
+    /timeout exceeded when trying to connect|Connection terminated/i.test(error.message || '');
+};
+
+module.exports = {
+  ERROR_STATUS,
+  ERROR_CODES,
+  sendError,
+  sendValidationError,
+  isDatabaseUnavailable,
+};
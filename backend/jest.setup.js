@@ -0,0 +1,11 @@
+// backend/jest.setup.js - Environment for the API tests in __tests__/
+//
+// Runs before each test file loads config.js. dotenv never overrides
+// variables that are already set, so whatever backend/.env holds, the tests
+// get the test profile with the in-memory data store and need no database.
+process.env.NODE_ENV = 'test';
+process.env.DATA_STORE = 'memory';
+process.env.SEED_PROFILE = 'none';
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.LOG_LEVEL = 'silent';
+process.env.JWT_SECRET = 'muud-health-test-secret';
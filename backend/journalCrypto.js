@@ -0,0 +1,193 @@
+// backend/journalCrypto.js - Envelope encryption of journal text at rest
+//
+// Every value gets its own random data key. The text is encrypted with the
+// data key, the data key is wrapped with a master key (both AES-256-GCM), and
+// everything needed to decrypt is stored in the column itself:
+//   enc:v1:<key id>:<wrapped data key>:<iv>:<ciphertext>:<auth tag>   (base64)
+// Master keys come from JOURNAL_ENCRYPTION_KEYS ("id:base64key,...") or from
+// the JSON key file named by JOURNAL_ENCRYPTION_KEY_FILE:
+//   { "active": "2026-10", "keys": { "2026-10": "<base64 key>", "2025-01": "..." } }
+// New values use the active key (JOURNAL_ENCRYPTION_ACTIVE_KEY, the file's
+// "active", or the first key listed); the others are kept for decrypting.
+// Rotating a key only rewraps the data keys, which `npm run reencrypt` does
+// for existing rows. Values without the prefix are plaintext written before
+// encryption was enabled and are returned as they are.
+const crypto = require('crypto');
+const fs = require('fs');
+
+const VALUE_PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const KEY_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+const generateKey = () => crypto.randomBytes(KEY_BYTES).toString('base64');
+
+const decodeKey = (id, encoded) => {
+  if (!KEY_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid journal encryption key id "${id}" (letters, digits, ".", "_" and "-" only)`);
+  }
+  const key = Buffer.from(String(encoded || ''), 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`Journal encryption key "${id}" must be ${KEY_BYTES} bytes, base64 encoded`);
+  }
+  return key;
+};
+
+const parseKeyList = (value) => {
+  return value.split(',').map(pair => pair.trim()).filter(Boolean).map((pair) => {
+    const separator = pair.indexOf(':');
+    if (separator === -1) {
+      throw new Error('JOURNAL_ENCRYPTION_KEYS must be a comma-separated list of id:base64key pairs');
+    }
+    return [pair.slice(0, separator), pair.slice(separator + 1)];
+  });
+};
+
+const readKeyFile = (file) => {
+  let contents;
+  try {
+    contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read journal encryption key file ${file}: ${error.message}`);
+  }
+  if (!contents || typeof contents.keys !== 'object' || contents.keys === null) {
+    throw new Error(`Journal encryption key file ${file} must contain a "keys" object`);
+  }
+  return { active: contents.active, pairs: Object.entries(contents.keys) };
+};
+
+// Resolve the master keys once at startup from config.journal.encryption
+// ({ keys, keyFile, activeKey }; config.js makes sure at most one source is
+// set, and one is in production). Returns null when none are configured,
+// which leaves new text unencrypted.
+const loadKeyring = ({ keys: keyList, keyFile, activeKey } = {}) => {
+  if (!keyList && !keyFile) {
+    return null;
+  }
+
+  const { active, pairs } = keyFile ? readKeyFile(keyFile) : { pairs: parseKeyList(keyList) };
+  if (pairs.length === 0) {
+    throw new Error('No journal encryption keys configured');
+  }
+
+  const keys = new Map(pairs.map(([id, encoded]) => [id, decodeKey(id, encoded)]));
+  const activeKeyId = activeKey || active || pairs[0][0];
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`Active journal encryption key "${activeKeyId}" is not among the configured keys`);
+  }
+
+  return { activeKeyId, keys };
+};
+
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) {
+    cipher.setAAD(aad);
+  }
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, ciphertext, tag: cipher.getAuthTag() };
+};
+
+const open = (key, { iv, ciphertext, tag }, aad) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  if (aad) {
+    decipher.setAAD(aad);
+  }
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+};
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(VALUE_PREFIX);
+
+// "enc:v1:<key id>:..." -> { keyId, wrappedKey, iv, ciphertext, tag }
+const parseValue = (value) => {
+  const parts = value.slice(VALUE_PREFIX.length).split(':');
+  if (parts.length !== 5) {
+    throw new Error('Malformed encrypted journal text');
+  }
+  const [keyId, wrappedKey, iv, ciphertext, tag] = parts;
+  return {
+    keyId,
+    wrappedKey: Buffer.from(wrappedKey, 'base64'),
+    iv: Buffer.from(iv, 'base64'),
+    ciphertext: Buffer.from(ciphertext, 'base64'),
+    tag: Buffer.from(tag, 'base64'),
+  };
+};
+
+const formatValue = (keyId, wrappedKey, { iv, ciphertext, tag }) => {
+  return VALUE_PREFIX + [keyId, wrappedKey, iv, ciphertext, tag]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+};
+
+// The wrapped data key is bound to its key id, so it cannot be moved under another id
+const wrapDataKey = (keyring, keyId, dataKey) => {
+  const { iv, ciphertext, tag } = seal(keyring.keys.get(keyId), dataKey, Buffer.from(keyId));
+  return Buffer.concat([iv, ciphertext, tag]);
+};
+
+const unwrapDataKey = (keyring, keyId, wrappedKey) => {
+  const masterKey = keyring && keyring.keys.get(keyId);
+  if (!masterKey) {
+    throw new Error(`Journal encryption key "${keyId}" is not configured`);
+  }
+  return open(masterKey, {
+    iv: wrappedKey.subarray(0, IV_BYTES),
+    ciphertext: wrappedKey.subarray(IV_BYTES, wrappedKey.length - 16),
+    tag: wrappedKey.subarray(wrappedKey.length - 16),
+  }, Buffer.from(keyId));
+};
+
+// keyring is the result of loadKeyring(); with null, encrypt() is a no-op
+// and only plaintext can be read
+const createJournalCipher = (keyring) => ({
+  enabled: keyring !== null,
+  activeKeyId: keyring ? keyring.activeKeyId : null,
+
+  encrypt(text) {
+    if (!keyring || text === null || text === undefined) {
+      return text;
+    }
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+    const wrappedKey = wrapDataKey(keyring, keyring.activeKeyId, dataKey);
+    return formatValue(keyring.activeKeyId, wrappedKey, seal(dataKey, Buffer.from(text, 'utf8')));
+  },
+
+  decrypt(value) {
+    if (!isEncrypted(value)) {
+      return value;
+    }
+    const parsed = parseValue(value);
+    const dataKey = unwrapDataKey(keyring, parsed.keyId, parsed.wrappedKey);
+    return open(dataKey, parsed).toString('utf8');
+  },
+
+  // Key id a stored value was encrypted under, or null for plaintext
+  keyIdOf(value) {
+    return isEncrypted(value) ? parseValue(value).keyId : null;
+  },
+
+  // Encrypt plaintext, or rewrap the data key of a value stored under an
+  // older key with the active one; the text itself is not re-encrypted
+  reencrypt(value) {
+    if (!isEncrypted(value)) {
+      return this.encrypt(value);
+    }
+    const parsed = parseValue(value);
+    if (!keyring || parsed.keyId === keyring.activeKeyId) {
+      return value;
+    }
+    const dataKey = unwrapDataKey(keyring, parsed.keyId, parsed.wrappedKey);
+    return formatValue(keyring.activeKeyId, wrapDataKey(keyring, keyring.activeKeyId, dataKey), parsed);
+  },
+});
+
+module.exports = {
+  generateKey,
+  loadKeyring,
+  createJournalCipher,
+  isEncrypted,
+};
@@ -0,0 +1,201 @@
+// backend/journalImport.js - Parse journal exports from other apps into rows
+//
+// Every parser returns [{ row, fields }] where `row` is the 1-based position
+// users will recognise in their file (spreadsheet row for CSV, array index
+// for JSON, entry number for Markdown) and `fields` maps the source's own
+// field names to raw string values. Mapping those names onto entry_text,
+// mood_rating, timestamp and tags happens afterwards.
+
+// Source field names tried, in order, when the caller gives no mapping
+const DEFAULT_FIELD_NAMES = {
+  entry_text: ['entry_text', 'text', 'entry', 'content', 'body', 'note', 'notes'],
+  mood_rating: ['mood_rating', 'mood', 'rating', 'mood_score'],
+  timestamp: ['timestamp', 'date', 'datetime', 'created_at', 'created', 'time'],
+  tags: ['tags', 'tag', 'labels', 'categories'],
+};
+
+const stripBom = (text) => text.replace(/^\uFEFF/, '');
+
+// RFC 4180 CSV: quoted fields may contain commas, quotes ("") and newlines
+const parseCsvRecords = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Blank lines are not rows
+  return records.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+const parseCsv = (content) => {
+  const [header, ...records] = parseCsvRecords(stripBom(content));
+  if (!header) {
+    throw new Error('CSV is empty');
+  }
+
+  const columns = header.map(name => name.trim());
+  return records.map((values, index) => ({
+    row: index + 2, // row 1 is the header
+    fields: Object.fromEntries(columns.map((column, i) => [column, values[i] !== undefined ? values[i] : ''])),
+  }));
+};
+
+// Accepts an array of entries or an object wrapping one in `entries`
+// (the shape GET /export/journal produces)
+const parseJson = (content) => {
+  let data;
+  try {
+    data = JSON.parse(stripBom(content));
+  } catch (error) {
+    throw new Error(`JSON could not be parsed: ${error.message}`);
+  }
+
+  const items = Array.isArray(data) ? data : data && Array.isArray(data.entries) ? data.entries : null;
+  if (!items) {
+    throw new Error('JSON must be an array of entries or an object with an "entries" array');
+  }
+
+  return items.map((item, index) => ({
+    row: index + 1,
+    fields: item && typeof item === 'object' && !Array.isArray(item) ? item : {},
+  }));
+};
+
+const FRONT_MATTER_LINE = /^([A-Za-z_][\w-]*):\s*(.*)$/;
+
+const unquote = (value) => value.trim().replace(/^(["'])(.*)\1$/, '$2');
+
+// Index of the closing '---' if a front matter block opens at `start`
+const findFrontMatterEnd = (lines, start) => {
+  if (lines[start].trim() !== '---') {
+    return -1;
+  }
+  for (let i = start + 1; i < lines.length; i++) {
+    if (lines[i].trim() === '---') {
+      return i > start + 1 ? i : -1;
+    }
+    if (!FRONT_MATTER_LINE.test(lines[i]) && lines[i].trim() !== '') {
+      return -1;
+    }
+  }
+  return -1;
+};
+
+// One or more "---\nkey: value\n---\nbody" blocks; anything before the first
+// block (such as an export's title) is ignored. `tags: [a, b]` and
+// `tags: a, b` are both understood; the body becomes the `body` field.
+const parseMarkdown = (content) => {
+  const lines = stripBom(content).split(/\r?\n/);
+  const entries = [];
+  let current = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const end = findFrontMatterEnd(lines, i);
+    if (end === -1) {
+      if (current) {
+        current.body.push(lines[i]);
+      }
+      continue;
+    }
+
+    current = { fields: {}, body: [] };
+    entries.push(current);
+    lines.slice(i + 1, end).forEach((line) => {
+      const match = line.match(FRONT_MATTER_LINE);
+      if (match) {
+        const value = match[2].trim();
+        current.fields[match[1].toLowerCase()] = /^\[.*\]$/.test(value)
+          ? value.slice(1, -1).split(',').map(unquote).filter(Boolean).join(',')
+          : unquote(value);
+      }
+    });
+    i = end;
+  }
+
+  if (entries.length === 0) {
+    throw new Error('Markdown has no front matter blocks (expected "---" lines around "date:", "mood:" ...)');
+  }
+
+  return entries.map((entry, index) => ({
+    row: index + 1,
+    fields: { ...entry.fields, body: entry.body.join('\n').trim() },
+  }));
+};
+
+const PARSERS = {
+  csv: parseCsv,
+  json: parseJson,
+  md: parseMarkdown,
+};
+
+const IMPORT_FORMATS = Object.keys(PARSERS);
+
+// The format a file sent as the raw request body is read as, by its media
+// type; JSON files need ?format=json since a JSON body is otherwise a request
+const IMPORT_CONTENT_TYPES = {
+  'text/csv': 'csv',
+  'text/markdown': 'md',
+};
+
+const parseImport = (format, content) => PARSERS[format](content);
+
+// Pick the source field for each target, honouring an explicit mapping and
+// otherwise matching the default names case-insensitively. Markdown bodies
+// are the entry text unless mapped otherwise.
+const resolveMapping = (records, mapping = {}) => {
+  const available = new Set(records.flatMap(record => Object.keys(record.fields)));
+  const byLowerName = new Map([...available].map(name => [name.toLowerCase(), name]));
+
+  return Object.fromEntries(Object.entries(DEFAULT_FIELD_NAMES).map(([target, candidates]) => {
+    if (mapping[target]) {
+      return [target, mapping[target]];
+    }
+    const found = candidates.find(candidate => byLowerName.has(candidate));
+    return [target, found ? byLowerName.get(found) : null];
+  }));
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  IMPORT_CONTENT_TYPES,
+  parseImport,
+  resolveMapping,
+};
@@ -0,0 +1,41 @@
+// backend/journalSearch.js - Opt-in full-text search index for journal text
+//
+// Encrypted entry_text cannot be searched in SQL, so /journal/search reads a
+// tsvector per entry from journal_search_index instead. A tsvector lists the
+// entry's (stemmed) words, enough to tell a lot about what it says, so with
+// encryption enabled the index is only kept when JOURNAL_SEARCH_INDEX=true.
+// Without encryption the text is readable anyway and the index is on unless
+// JOURNAL_SEARCH_INDEX=false.
+
+// setting is config.journal.searchIndex: true, false or undefined (unset)
+const resolveSearchIndexEnabled = (encryptionEnabled, setting) => {
+  return setting === undefined ? !encryptionEnabled : setting;
+};
+
+// Needs migration 0005_journal_encryption. When disabled, index() does nothing
+const createSearchIndex = (enabled) => ({
+  enabled,
+
+  // Add or replace the index rows for [{ id, user_id, text }] (plaintext)
+  async index(db, entries) {
+    if (!enabled || entries.length === 0) {
+      return;
+    }
+    await db.query(
+      `INSERT INTO journal_search_index (entry_id, user_id, document)
+       SELECT id, user_id, to_tsvector('english', text)
+       FROM unnest($1::int[], $2::int[], $3::text[]) AS entry(id, user_id, text)
+       ON CONFLICT (entry_id) DO UPDATE SET document = EXCLUDED.document`,
+      [entries.map(entry => entry.id), entries.map(entry => entry.user_id), entries.map(entry => entry.text)]
+    );
+  },
+
+  async clear(db) {
+    await db.query('DELETE FROM journal_search_index');
+  },
+});
+
+module.exports = {
+  resolveSearchIndexEnabled,
+  createSearchIndex,
+};
@@ -0,0 +1,95 @@
+// backend/logger.js - JSON line logging with levels and per-request context
+//
+// Every entry is one JSON object per line: { time, level, msg, ...fields }.
+// LOG_LEVEL (debug, info, warn, error or silent; default info) drops entries
+// below that level. Warnings and errors go to stderr, the rest to stdout.
+const crypto = require('crypto');
+const { config } = require('./config');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const LOG_LEVEL = config.logLevel;
+
+// Error objects stringify to {}, so keep the parts worth reading; stacks
+// only in development, matching what handleError used to print
+const serializeError = (error) => ({
+  message: error.message,
+  code: error.code,
+  stack: config.isDevelopment ? error.stack : undefined,
+});
+
+// A logger carries `context` fields on every entry; child() adds more
+const createLogger = (context = {}) => {
+  const write = (level, msg, fields = {}) => {
+    if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) {
+      return;
+    }
+
+    const entry = { time: new Date().toISOString(), level, msg, ...context };
+    Object.entries(fields).forEach(([key, value]) => {
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    });
+
+    const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+  };
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: (fields) => createLogger({ ...context, ...fields }),
+  };
+};
+
+const logger = createLogger();
+
+// Incoming IDs (e.g. from a load balancer) are reused only if they look sane
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Middleware: gives every request an ID, echoes it in X-Request-Id, exposes
+// a logger carrying it as req.log, and writes one entry when the response
+// is finished (or the client goes away first)
+const requestLogger = (req, res, next) => {
+  const incomingId = req.get('X-Request-Id');
+  req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+  req.log = logger.child({ request_id: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+  let logged = false;
+
+  const logRequest = () => {
+    if (logged) {
+      return;
+    }
+    logged = true;
+
+    const fields = {
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+      path: req.path,
+      status: res.statusCode,
+      duration_ms: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+      user_id: req.user ? req.user.id : null,
+    };
+
+    if (!res.writableFinished) {
+      req.log.warn('Request aborted', fields);
+    } else if (res.statusCode >= 500) {
+      req.log.error('Request failed', fields);
+    } else {
+      req.log.info('Request completed', fields);
+    }
+  };
+
+  res.on('finish', logRequest);
+  res.on('close', logRequest);
+  next();
+};
+
+module.exports = {
+  logger,
+  requestLogger,
+};
@@ -0,0 +1,211 @@
+// backend/metrics.js - Prometheus metrics in the text exposition format
+//
+// A registry holds counters, histograms and gauges and renders them for
+// GET /metrics. Counters and histograms are updated as things happen; gauges
+// are read from a collect() callback when the registry is rendered.
+//   http_requests_total, http_request_duration_seconds   per method, route, status
+//   db_query_duration_seconds                            per SQL command and outcome
+//   db_pool_connections                                  total, idle and waiting
+// Routes are labelled by their pattern (/journal/entry/:id), never the raw
+// path, so the number of series stays bounded.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; fine enough for single queries, wide enough for streamed exports
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+// Series are stored by their label values in labelNames order
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+
+const labelsFromKey = (labelNames, key) => {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+};
+
+const createCounter = ({ name, help, labelNames = [] }) => {
+  const series = new Map();
+
+  return {
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + value);
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      series.forEach((value, key) => {
+        lines.push(`${name}${formatLabels(labelsFromKey(labelNames, key))} ${value}`);
+      });
+      return lines;
+    },
+  };
+};
+
+const createHistogram = ({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) => {
+  const series = new Map();
+
+  return {
+    observe(labels, seconds) {
+      const key = seriesKey(labelNames, labels);
+      if (!series.has(key)) {
+        series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bound, index) => {
+        if (seconds <= bound) {
+          entry.counts[index] += 1;
+        }
+      });
+      entry.sum += seconds;
+      entry.count += 1;
+    },
+
+    // Returns a function that observes the seconds elapsed since startTimer()
+    startTimer(labels = {}) {
+      const startedAt = process.hrtime.bigint();
+      return (moreLabels = {}) => {
+        this.observe({ ...labels, ...moreLabels }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+      };
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      series.forEach((entry, key) => {
+        const labels = labelsFromKey(labelNames, key);
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${entry.count}`);
+      });
+      return lines;
+    },
+  };
+};
+
+// collect() returns a number, or [{ labels, value }] for labelled gauges
+const createGauge = ({ name, help, collect }) => ({
+  render() {
+    const collected = collect();
+    const samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+    return [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} gauge`,
+      ...samples.map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+    ];
+  },
+});
+
+const createMetricsRegistry = () => {
+  const metrics = [];
+  const register = (metric) => {
+    metrics.push(metric);
+    return metric;
+  };
+
+  return {
+    contentType: CONTENT_TYPE,
+    counter: options => register(createCounter(options)),
+    histogram: options => register(createHistogram(options)),
+    gauge: options => register(createGauge(options)),
+    render: () => `${metrics.flatMap(metric => metric.render()).join('\n')}\n`,
+  };
+};
+
+// Middleware: counts every request and times it until the response is sent.
+// Requests that matched no route are labelled "unmatched".
+const httpMetrics = (registry) => {
+  const requests = registry.counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by method, route and status',
+    labelNames: ['method', 'route', 'status'],
+  });
+  const duration = registry.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency by method, route and status',
+    labelNames: ['method', 'route', 'status'],
+  });
+
+  return (req, res, next) => {
+    const endTimer = duration.startTimer();
+
+    res.on('finish', () => {
+      const labels = {
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+        status: res.statusCode,
+      };
+      requests.inc(labels);
+      endTimer(labels);
+    });
+    next();
+  };
+};
+
+// SQL command of a query for the `command` label, e.g. "select"
+const SQL_COMMANDS = ['select', 'insert', 'update', 'delete', 'begin', 'commit', 'rollback', 'savepoint', 'release'];
+
+const sqlCommand = (query) => {
+  const text = typeof query === 'string' ? query : (query && query.text) || '';
+  const match = text.match(/^\s*(\w+)/);
+  const command = match ? match[1].toLowerCase() : '';
+  return SQL_COMMANDS.includes(command) ? command : 'other';
+};
+
+// Time every query made through the pool, whether by pool.query() or on a
+// checked-out client, and publish the pool's connection counts
+const instrumentPool = (registry, pool) => {
+  const duration = registry.histogram({
+    name: 'db_query_duration_seconds',
+    help: 'Database query latency by SQL command and outcome',
+    labelNames: ['command', 'outcome'],
+  });
+
+  registry.gauge({
+    name: 'db_pool_connections',
+    help: 'Database pool connections: total open, idle, and clients waiting for one',
+    collect: () => [
+      { labels: { state: 'total' }, value: pool.totalCount },
+      { labels: { state: 'idle' }, value: pool.idleCount },
+      { labels: { state: 'waiting' }, value: pool.waitingCount },
+    ],
+  });
+
+  // pool.query() runs on a pooled client with a callback, everything else
+  // awaits the returned promise; wrap both forms once per new connection
+  pool.on('connect', (client) => {
+    const query = client.query.bind(client);
+
+    client.query = (...args) => {
+      const endTimer = duration.startTimer({ command: sqlCommand(args[0]) });
+      const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+
+      if (callback) {
+        return query(...args, (error, result) => {
+          endTimer({ outcome: error ? 'error' : 'success' });
+          callback(error, result);
+        });
+      }
+
+      const result = query(...args);
+      if (result && typeof result.then === 'function') {
+        result.then(() => endTimer({ outcome: 'success' }), () => endTimer({ outcome: 'error' }));
+      }
+      return result;
+    };
+  });
+};
+
+module.exports = {
+  createMetricsRegistry,
+  httpMetrics,
+  instrumentPool,
+};
@@ -0,0 +1,102 @@
+// backend/migrate.js - Command line runner for schema migrations
+//
+//   npm run migrate                      Apply all pending migrations
+//   npm run migrate -- up --to 3         Apply pending migrations up to version 3
+//   npm run migrate -- down              Roll back the latest migration
+//   npm run migrate -- down --steps 2    Roll back the latest two migrations
+//   npm run migrate -- down --to 1       Roll back everything after version 1
+//   npm run migrate -- status            Show applied and pending migrations
+//   npm run migrate -- create add_notes  Create an empty up/down pair
+const { Pool } = require('pg');
+const {
+  loadMigrations,
+  getMigrationStatus,
+  describeStatusProblems,
+  migrateUp,
+  migrateDown,
+  createMigration,
+} = require('./migrator');
+const { createPoolConfig, printPoolConfig } = require('./db');
+
+const USAGE = 'Usage: node migrate.js [up [--to <version>] | down [--steps <n> | --to <version>] | status | create <name>]';
+
+// Parse "--name value" pairs into { name: number }
+const parseOptions = (args) => {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const flag = args[i];
+    const value = parseInt(args[i + 1], 10);
+    if (!['--to', '--steps'].includes(flag) || Number.isNaN(value) || value < 0) {
+      throw new Error(`Invalid option "${args.slice(i, i + 2).join(' ')}"\n${USAGE}`);
+    }
+    options[flag.slice(2)] = value;
+  }
+  return options;
+};
+
+const printStatus = async (pool) => {
+  const migrations = loadMigrations();
+  const status = await getMigrationStatus(pool, migrations);
+  const appliedByVersion = new Map(status.applied.map(row => [row.version, row]));
+  const modified = new Set(status.modified.map(migration => migration.version));
+
+  console.log('📋 Migrations:');
+  migrations.forEach((migration) => {
+    const row = appliedByVersion.get(migration.version);
+    const state = !row
+      ? 'pending'
+      : `applied ${row.applied_at.toISOString()}${modified.has(migration.version) ? ' (MODIFIED)' : ''}`;
+    console.log(`   ${String(migration.version).padStart(4, '0')}_${migration.name}  ${state}`);
+  });
+  status.unknown.forEach((row) => {
+    console.log(`   ${String(row.version).padStart(4, '0')}_${row.name}  applied, FILE MISSING`);
+  });
+
+  const problems = describeStatusProblems(status);
+  console.log('');
+  console.log(problems ? `⚠️ ${problems.length} migration issue(s) - the server will not start` : '✅ Database schema is up to date');
+};
+
+async function main() {
+  const [command = 'up', ...args] = process.argv.slice(2);
+
+  if (command === 'create') {
+    if (!args[0]) {
+      throw new Error(USAGE);
+    }
+    createMigration(args.join('_')).forEach(file => console.log(`📝 Created ${file}`));
+    return;
+  }
+
+  if (!['up', 'down', 'status'].includes(command)) {
+    throw new Error(USAGE);
+  }
+
+  const options = parseOptions(args);
+  const poolConfig = createPoolConfig();
+  printPoolConfig(poolConfig);
+  const pool = new Pool(poolConfig);
+
+  try {
+    if (command === 'status') {
+      await printStatus(pool);
+    } else if (command === 'up') {
+      const applied = await migrateUp(pool, options);
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} migration(s)`
+        : '✅ No pending migrations');
+    } else {
+      const reverted = await migrateDown(pool, options);
+      console.log(reverted.length > 0
+        ? `✅ Rolled back ${reverted.length} migration(s)`
+        : '✅ Nothing to roll back');
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS contacts;
+DROP TABLE IF EXISTS journal_entry_tags;
+DROP TABLE IF EXISTS tags;
+DROP TABLE IF EXISTS journal_entry_revisions;
+DROP TABLE IF EXISTS journal_entries;
+DROP TABLE IF EXISTS refresh_tokens;
+DROP TABLE IF EXISTS users;
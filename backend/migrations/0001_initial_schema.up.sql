@@ -0,0 +1,79 @@
+-- Baseline schema. Uses IF NOT EXISTS so databases created by the old
+-- boot-time initialization are adopted without being dropped.
+
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  password_hash VARCHAR(255) NOT NULL,
+  display_name VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Only SHA-256 hashes of refresh tokens are stored
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS journal_entries (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  entry_text TEXT NOT NULL,
+  mood_rating INTEGER CHECK (mood_rating >= 1 AND mood_rating <= 5),
+  timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP
+);
+
+-- Tables created before entries could be edited lack updated_at
+ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+
+-- Keyset pagination walks a user's entries by (timestamp, id), newest first
+CREATE INDEX IF NOT EXISTS idx_journal_entries_user_timestamp
+  ON journal_entries (user_id, timestamp DESC, id DESC);
+
+-- Full-text search over entry text
+CREATE INDEX IF NOT EXISTS idx_journal_entries_search
+  ON journal_entries USING GIN (to_tsvector('english', entry_text));
+
+-- One row per earlier version of an edited entry
+CREATE TABLE IF NOT EXISTS journal_entry_revisions (
+  id SERIAL PRIMARY KEY,
+  entry_id INTEGER NOT NULL REFERENCES journal_entries(id) ON DELETE CASCADE,
+  entry_text TEXT NOT NULL,
+  mood_rating INTEGER CHECK (mood_rating >= 1 AND mood_rating <= 5),
+  revised_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_entry_revisions_entry
+  ON journal_entry_revisions (entry_id, revised_at DESC);
+
+-- Free-form labels, unique per user
+CREATE TABLE IF NOT EXISTS tags (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  name VARCHAR(50) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT unique_user_tag UNIQUE(user_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS journal_entry_tags (
+  entry_id INTEGER NOT NULL REFERENCES journal_entries(id) ON DELETE CASCADE,
+  tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+  PRIMARY KEY (entry_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_entry_tags_tag
+  ON journal_entry_tags (tag_id, entry_id);
+
+CREATE TABLE IF NOT EXISTS contacts (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  contact_name VARCHAR(255) NOT NULL,
+  contact_email VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT unique_user_email UNIQUE(user_id, contact_email)
+);
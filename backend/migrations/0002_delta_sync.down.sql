@@ -0,0 +1,14 @@
+DROP TRIGGER IF EXISTS contacts_sync_tombstone ON contacts;
+DROP TRIGGER IF EXISTS journal_entries_sync_tombstone ON journal_entries;
+DROP FUNCTION IF EXISTS record_sync_tombstone();
+DROP TABLE IF EXISTS sync_tombstones;
+
+DROP INDEX IF EXISTS idx_contacts_user_changed;
+DROP INDEX IF EXISTS idx_journal_entries_user_changed;
+DROP INDEX IF EXISTS idx_contacts_client_id;
+DROP INDEX IF EXISTS idx_journal_entries_client_id;
+
+ALTER TABLE contacts DROP COLUMN IF EXISTS client_id;
+ALTER TABLE journal_entries DROP COLUMN IF EXISTS client_id;
+ALTER TABLE contacts DROP COLUMN IF EXISTS updated_at;
+ALTER TABLE journal_entries DROP COLUMN IF EXISTS created_at;
@@ -0,0 +1,52 @@
+-- Delta sync: clients ask for everything changed since their last sync.
+-- A row's change time is COALESCE(updated_at, created_at), both set by the
+-- server; deletions are kept as tombstones so clients can drop their copies.
+
+ALTER TABLE journal_entries ADD COLUMN created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+UPDATE journal_entries SET created_at = timestamp;
+
+ALTER TABLE contacts ADD COLUMN updated_at TIMESTAMP;
+
+-- Temporary ID an offline client gave a new row, so a retried push of the
+-- same row is recognised instead of inserted twice
+ALTER TABLE journal_entries ADD COLUMN client_id VARCHAR(64);
+ALTER TABLE contacts ADD COLUMN client_id VARCHAR(64);
+
+CREATE UNIQUE INDEX idx_journal_entries_client_id
+  ON journal_entries (user_id, client_id) WHERE client_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_contacts_client_id
+  ON contacts (user_id, client_id) WHERE client_id IS NOT NULL;
+
+CREATE INDEX idx_journal_entries_user_changed
+  ON journal_entries (user_id, (COALESCE(updated_at, created_at)));
+CREATE INDEX idx_contacts_user_changed
+  ON contacts (user_id, (COALESCE(updated_at, created_at)));
+
+-- One row per deleted journal entry or contact
+CREATE TABLE sync_tombstones (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  resource VARCHAR(32) NOT NULL,
+  record_id INTEGER NOT NULL,
+  deleted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_sync_tombstones_user_deleted
+  ON sync_tombstones (user_id, deleted_at);
+
+-- Recorded by trigger so every DELETE leaves a tombstone, whichever code path ran it
+CREATE FUNCTION record_sync_tombstone() RETURNS trigger AS $$
+BEGIN
+  INSERT INTO sync_tombstones (user_id, resource, record_id)
+  VALUES (OLD.user_id, TG_ARGV[0], OLD.id);
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER journal_entries_sync_tombstone
+  AFTER DELETE ON journal_entries
+  FOR EACH ROW EXECUTE FUNCTION record_sync_tombstone('journal_entry');
+
+CREATE TRIGGER contacts_sync_tombstone
+  AFTER DELETE ON contacts
+  FOR EACH ROW EXECUTE FUNCTION record_sync_tombstone('contact');
@@ -0,0 +1,12 @@
+-- Rows still in the trash are deleted so the full unique constraint can return
+DELETE FROM journal_entries WHERE deleted_at IS NOT NULL;
+DELETE FROM contacts WHERE deleted_at IS NOT NULL;
+
+DROP INDEX IF EXISTS unique_user_email;
+ALTER TABLE contacts ADD CONSTRAINT unique_user_email UNIQUE (user_id, contact_email);
+
+DROP INDEX IF EXISTS idx_contacts_user_deleted;
+DROP INDEX IF EXISTS idx_journal_entries_user_deleted;
+
+ALTER TABLE contacts DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE journal_entries DROP COLUMN IF EXISTS deleted_at;
@@ -0,0 +1,16 @@
+-- Deleting a journal entry or contact moves it to the trash (deleted_at is
+-- set); it can be restored until the server purges it for good after
+-- TRASH_RETENTION_DAYS. Syncing devices see trashed rows as deleted.
+
+ALTER TABLE journal_entries ADD COLUMN deleted_at TIMESTAMP;
+ALTER TABLE contacts ADD COLUMN deleted_at TIMESTAMP;
+
+CREATE INDEX idx_journal_entries_user_deleted
+  ON journal_entries (user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX idx_contacts_user_deleted
+  ON contacts (user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- A contact in the trash no longer reserves its email
+ALTER TABLE contacts DROP CONSTRAINT unique_user_email;
+CREATE UNIQUE INDEX unique_user_email
+  ON contacts (user_id, contact_email) WHERE deleted_at IS NULL;
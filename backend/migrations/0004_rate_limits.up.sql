@@ -0,0 +1,13 @@
+-- Request counters for RATE_LIMIT_STORE=postgres, shared by every server
+-- instance. One row per key and fixed window; window_start and reset_at are
+-- epoch milliseconds. Rows of finished windows are pruned by the server.
+
+CREATE TABLE rate_limit_counters (
+  key TEXT NOT NULL,
+  window_start BIGINT NOT NULL,
+  reset_at BIGINT NOT NULL,
+  hits INTEGER NOT NULL DEFAULT 1,
+  PRIMARY KEY (key, window_start)
+);
+
+CREATE INDEX idx_rate_limit_counters_reset_at ON rate_limit_counters (reset_at);
@@ -0,0 +1,5 @@
+-- Run `npm run reencrypt -- decrypt` first: this does not decrypt entry_text
+DROP TABLE IF EXISTS journal_search_index;
+
+CREATE INDEX IF NOT EXISTS idx_journal_entries_search
+  ON journal_entries USING GIN (to_tsvector('english', entry_text));
@@ -0,0 +1,20 @@
+-- entry_text in journal_entries and journal_entry_revisions may now hold
+-- envelope-encrypted values (see journalCrypto.js), which an expression
+-- index over the column cannot search. Search reads journal_search_index
+-- instead, kept by the server while JOURNAL_SEARCH_INDEX is on and rebuilt
+-- by `npm run reencrypt`. Every row is still plaintext here, so the index
+-- starts out filled.
+
+DROP INDEX IF EXISTS idx_journal_entries_search;
+
+CREATE TABLE journal_search_index (
+  entry_id INTEGER PRIMARY KEY REFERENCES journal_entries(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL,
+  document TSVECTOR NOT NULL
+);
+
+CREATE INDEX idx_journal_search_index_document ON journal_search_index USING GIN (document);
+CREATE INDEX idx_journal_search_index_user ON journal_search_index (user_id);
+
+INSERT INTO journal_search_index (entry_id, user_id, document)
+SELECT id, user_id, to_tsvector('english', entry_text) FROM journal_entries;
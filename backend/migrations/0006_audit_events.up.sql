@@ -0,0 +1,20 @@
+-- Who created, read, changed, deleted or restored which journal entry or
+-- contact. The audit middleware in server.js writes one row per record after
+-- each response; the application never updates or deletes these rows.
+-- actor_id is kept without a foreign key so events outlive the account.
+
+CREATE TABLE audit_events (
+  id BIGSERIAL PRIMARY KEY,
+  occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  actor_id INTEGER NOT NULL,
+  action VARCHAR(16) NOT NULL,
+  resource VARCHAR(32) NOT NULL,
+  record_id INTEGER NOT NULL,
+  request_id VARCHAR(128) NOT NULL,
+  status SMALLINT NOT NULL
+);
+
+CREATE INDEX idx_audit_events_actor ON audit_events (actor_id, id DESC);
+CREATE INDEX idx_audit_events_record ON audit_events (resource, record_id, id DESC);
+CREATE INDEX idx_audit_events_occurred_at ON audit_events (occurred_at);
+CREATE INDEX idx_audit_events_request ON audit_events (request_id);
@@ -0,0 +1,229 @@
+// backend/migrator.js - Versioned, checksummed schema migrations
+//
+// Migrations live in ./migrations as pairs of SQL files:
+//   0002_add_something.up.sql    (required)
+//   0002_add_something.down.sql  (optional, needed to roll back)
+// Applied versions are recorded in schema_migrations together with a
+// SHA-256 checksum of the up file, so edits to an applied migration are
+// caught instead of silently diverging from the database.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary constant used with pg_advisory_lock so two migrators never run at once
+const MIGRATION_LOCK_ID = 727271;
+
+// Line endings are normalized so a Windows checkout hashes the same as a Unix one
+const checksum = (sql) => {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+};
+
+// Read the migrations directory into [{ version, name, up, down, checksum }], oldest first
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const byVersion = new Map();
+
+  fs.readdirSync(dir).filter(file => !file.startsWith('.')).forEach((file) => {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) {
+      throw new Error(`Unexpected file in migrations directory: ${file}`);
+    }
+
+    const [, versionText, name, direction] = match;
+    const version = parseInt(versionText, 10);
+    const migration = byVersion.get(version) || { version, name, up: null, down: null };
+
+    if (migration.name !== name) {
+      throw new Error(`Migration version ${version} is used by both "${migration.name}" and "${name}"`);
+    }
+    if (migration[direction] !== null) {
+      throw new Error(`Duplicate ${direction} file for migration ${version}`);
+    }
+
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, migration);
+  });
+
+  return [...byVersion.values()]
+    .map((migration) => {
+      if (migration.up === null) {
+        throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+      }
+      return { ...migration, checksum: checksum(migration.up) };
+    })
+    .sort((a, b) => a.version - b.version);
+};
+
+const ensureMigrationsTable = (client) => {
+  return client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+// Read-only: never creates schema_migrations, so it is safe to call at boot
+const getAppliedMigrations = async (db) => {
+  const exists = await db.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`);
+  if (!exists.rows[0].exists) {
+    return [];
+  }
+
+  const result = await db.query(
+    'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return result.rows;
+};
+
+// Compare the migrations directory with the database:
+//   pending  - files not yet applied
+//   modified - applied migrations whose up file has changed since
+//   unknown  - applied versions with no file (e.g. from a newer branch)
+const getMigrationStatus = async (db, migrations = loadMigrations()) => {
+  const applied = await getAppliedMigrations(db);
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const fileVersions = new Set(migrations.map(migration => migration.version));
+
+  return {
+    applied,
+    pending: migrations.filter(migration => !appliedByVersion.has(migration.version)),
+    modified: migrations.filter((migration) => {
+      const row = appliedByVersion.get(migration.version);
+      return row && row.checksum !== migration.checksum;
+    }),
+    unknown: applied.filter(row => !fileVersions.has(row.version)),
+  };
+};
+
+// Describe why the schema is not current, or return null when it is
+const describeStatusProblems = (status) => {
+  const problems = [];
+
+  status.modified.forEach((migration) => {
+    problems.push(`${migration.version}_${migration.name} was changed after being applied (checksum mismatch)`);
+  });
+  status.unknown.forEach((row) => {
+    problems.push(`${row.version}_${row.name} is applied but its file is missing`);
+  });
+  status.pending.forEach((migration) => {
+    problems.push(`${migration.version}_${migration.name} is pending`);
+  });
+
+  return problems.length > 0 ? problems : null;
+};
+
+// Run fn with a dedicated client holding the migration lock
+const withMigrationLock = async (pool, fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+// Each migration runs in its own transaction together with its bookkeeping row
+const runInTransaction = async (client, sql, bookkeeping) => {
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    await bookkeeping();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+// Apply pending migrations in order, optionally stopping at version `to`
+const migrateUp = (pool, { to, migrations = loadMigrations() } = {}) => {
+  return withMigrationLock(pool, async (client) => {
+    const status = await getMigrationStatus(client, migrations);
+
+    if (status.modified.length > 0 || status.unknown.length > 0) {
+      const problems = describeStatusProblems({ ...status, pending: [] });
+      throw new Error(`Refusing to migrate:\n  ${problems.join('\n  ')}`);
+    }
+
+    const toApply = status.pending.filter(migration => to === undefined || migration.version <= to);
+
+    for (const migration of toApply) {
+      console.log(`⬆️  Applying ${migration.version}_${migration.name}...`);
+      await runInTransaction(client, migration.up, () => client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]
+      ));
+    }
+
+    return toApply;
+  });
+};
+
+// Roll back the latest `steps` migrations, or every migration above version `to`
+const migrateDown = (pool, { steps = 1, to, migrations = loadMigrations() } = {}) => {
+  return withMigrationLock(pool, async (client) => {
+    const applied = (await getAppliedMigrations(client)).reverse();
+    const toRevert = to === undefined
+      ? applied.slice(0, steps)
+      : applied.filter(row => row.version > to);
+    const filesByVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+    // Check every down file exists before touching the database
+    toRevert.forEach((row) => {
+      const migration = filesByVersion.get(row.version);
+      if (!migration || migration.down === null) {
+        throw new Error(`Migration ${row.version}_${row.name} has no .down.sql file and cannot be rolled back`);
+      }
+    });
+
+    for (const row of toRevert) {
+      console.log(`⬇️  Reverting ${row.version}_${row.name}...`);
+      await runInTransaction(client, filesByVersion.get(row.version).down, () => client.query(
+        'DELETE FROM schema_migrations WHERE version = $1',
+        [row.version]
+      ));
+    }
+
+    return toRevert;
+  });
+};
+
+// Write an empty up/down pair numbered after the latest migration
+const createMigration = (name, dir = MIGRATIONS_DIR) => {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (slug === '') {
+    throw new Error('Migration name must contain letters or numbers');
+  }
+
+  const migrations = loadMigrations(dir);
+  const nextVersion = migrations.length > 0 ? migrations[migrations.length - 1].version + 1 : 1;
+  const base = `${String(nextVersion).padStart(4, '0')}_${slug}`;
+
+  const upFile = path.join(dir, `${base}.up.sql`);
+  const downFile = path.join(dir, `${base}.down.sql`);
+  fs.writeFileSync(upFile, `-- ${base}: write the schema change here\n`);
+  fs.writeFileSync(downFile, `-- ${base}: undo the change made by ${base}.up.sql\n`);
+
+  return [upFile, downFile];
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getMigrationStatus,
+  describeStatusProblems,
+  migrateUp,
+  migrateDown,
+  createMigration,
+};
@@ -0,0 +1,330 @@
+// backend/openapi.js - Route registry and the OpenAPI 3 document built from it
+//
+// Routes are registered through a registry instead of directly on the app,
+// so each one carries its documentation next to its handler:
+//   api.post('/contacts/add', { summary, tags, body: contactSchema }, handler)
+// Bodies, query strings and path parameters are the same Joi schemas the
+// handlers validate with, converted to JSON Schema when the document is
+// built, so the docs cannot drift from what the API actually accepts.
+
+const { ERROR_CODES } = require('./errors');
+
+const OPENAPI_VERSION = '3.0.3';
+
+// Joi string rules that map onto a JSON Schema format
+const STRING_FORMATS = { email: 'email', uri: 'uri', guid: 'uuid' };
+
+// JSON Schema keywords for Joi's min/max rules, by Joi type
+const SIZE_KEYWORDS = {
+  string: ['minLength', 'maxLength'],
+  array: ['minItems', 'maxItems'],
+  object: ['minProperties', 'maxProperties'],
+  number: ['minimum', 'maximum'],
+};
+
+// Defaults like .default() with no value describe as { special: 'deep' }
+const isDocumentableDefault = (value) => {
+  return value === null || typeof value !== 'object' || Array.isArray(value) || !('special' in value);
+};
+
+// Convert the output of schema.describe() into a JSON Schema (OpenAPI flavour)
+const describedToJsonSchema = (description) => {
+  const { type, flags = {}, rules = [], allow } = description;
+  const schema = {};
+
+  switch (type) {
+    case 'string':
+      schema.type = 'string';
+      break;
+    case 'number':
+      schema.type = rules.some(rule => rule.name === 'integer') ? 'integer' : 'number';
+      break;
+    case 'boolean':
+      schema.type = 'boolean';
+      break;
+    case 'date':
+      schema.type = 'string';
+      schema.format = 'date-time';
+      break;
+    case 'array':
+      schema.type = 'array';
+      if (description.items && description.items.length > 0) {
+        const items = description.items.map(describedToJsonSchema);
+        schema.items = items.length === 1 ? items[0] : { oneOf: items };
+      }
+      break;
+    case 'object':
+      schema.type = 'object';
+      if (description.keys) {
+        const entries = Object.entries(description.keys);
+        schema.properties = Object.fromEntries(entries.map(([key, child]) => [key, describedToJsonSchema(child)]));
+        const required = entries
+          .filter(([, child]) => child.flags && child.flags.presence === 'required')
+          .map(([key]) => key);
+        if (required.length > 0) {
+          schema.required = required;
+        }
+        if (!flags.unknown) {
+          schema.additionalProperties = false;
+        }
+      }
+      break;
+    case 'alternatives':
+      schema.oneOf = (description.matches || [])
+        .filter(match => match.schema)
+        .map(match => describedToJsonSchema(match.schema));
+      break;
+    default:
+      break;
+  }
+
+  // Limits given as references to other fields (e.g. `to` >= `from`) are
+  // checked at runtime only
+  rules.forEach((rule) => {
+    const limit = rule.args ? rule.args.limit : undefined;
+
+    if ((rule.name === 'min' || rule.name === 'max') && typeof limit === 'number' && SIZE_KEYWORDS[type]) {
+      schema[SIZE_KEYWORDS[type][rule.name === 'min' ? 0 : 1]] = limit;
+    } else if (rule.name === 'sign' && rule.args.sign === 'positive') {
+      schema.minimum = 0;
+      schema.exclusiveMinimum = true;
+    } else if (rule.name === 'pattern') {
+      schema.pattern = rule.args.regex.replace(/^\/(.*)\/[a-z]*$/, '$1');
+    } else if (rule.name === 'unique') {
+      schema.uniqueItems = true;
+    } else if (STRING_FORMATS[rule.name]) {
+      schema.format = STRING_FORMATS[rule.name];
+    }
+  });
+
+  if (allow) {
+    const values = allow.filter(value => value !== null);
+    if (allow.includes(null)) {
+      schema.nullable = true;
+    }
+    if (flags.only) {
+      schema.enum = values;
+    }
+  }
+
+  if ('default' in flags && isDocumentableDefault(flags.default)) {
+    schema.default = flags.default;
+  }
+  if (flags.description) {
+    schema.description = flags.description;
+  }
+
+  return schema;
+};
+
+const joiToJsonSchema = (joiSchema) => describedToJsonSchema(joiSchema.describe());
+
+// Express paths (/contacts/:id) become OpenAPI templates (/contacts/{id})
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const pathParamNames = (path) => [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+// Collects { method, path, ...meta } for every route it registers on `app`
+const createRouteRegistry = (app) => {
+  const routes = [];
+
+  const register = (method) => (path, meta, ...handlers) => {
+    routes.push({ method, path, ...meta });
+    app[method](path, ...handlers);
+  };
+
+  return {
+    routes,
+    get: register('get'),
+    post: register('post'),
+    put: register('put'),
+    delete: register('delete'),
+    // "METHOD /path" strings, as listed by the 404 handler
+    endpoints: () => routes.map(route => `${route.method.toUpperCase()} ${route.path}`),
+  };
+};
+
+const ERROR_RESPONSES = {
+  400: { name: 'ValidationError', description: 'The request failed validation' },
+  401: { name: 'Unauthorized', description: 'Missing, invalid or expired access token' },
+  403: { name: 'Forbidden', description: 'The caller is not an administrator' },
+  404: { name: 'NotFound', description: 'No such record for the caller' },
+  429: { name: 'TooManyRequests', description: 'Rate limit exceeded; see the Retry-After header' },
+  500: { name: 'ServerError', description: 'Unexpected server error' },
+};
+
+// Build the OpenAPI document for registered routes. Besides the documented
+// fields, a route's `admin: true` marks it as administrators only.
+//   info      - the document's info block
+//   schemas   - { Name: joiSchema } published under components.schemas; route
+//               bodies using one of these exact schemas reference it by name
+//   isPublic  - route => true when the route needs no access token
+const buildOpenApiDocument = ({ info, routes, schemas = {}, isPublic = () => false }) => {
+  const schemaNames = new Map(Object.entries(schemas).map(([name, joiSchema]) => [joiSchema, name]));
+
+  const schemaFor = (joiSchema) => {
+    return schemaNames.has(joiSchema)
+      ? { $ref: `#/components/schemas/${schemaNames.get(joiSchema)}` }
+      : joiToJsonSchema(joiSchema);
+  };
+
+  const errorRef = (status) => ({ $ref: `#/components/responses/${ERROR_RESPONSES[status].name}` });
+
+  const buildParameters = (route) => {
+    const pathParams = route.params ? route.params.describe().keys : {};
+    const parameters = pathParamNames(route.path).map(name => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: pathParams[name] ? describedToJsonSchema(pathParams[name]) : { type: 'string' },
+    }));
+
+    if (route.query) {
+      Object.entries(route.query.describe().keys).forEach(([name, description]) => {
+        parameters.push({
+          name,
+          in: 'query',
+          required: Boolean(description.flags && description.flags.presence === 'required'),
+          // Objects are sent as name[key]=value
+          style: description.type === 'object' ? 'deepObject' : undefined,
+          schema: describedToJsonSchema(description),
+        });
+      });
+    }
+
+    return parameters;
+  };
+
+  const buildOperation = (route) => {
+    const publicRoute = isPublic(route);
+    const parameters = buildParameters(route);
+    const successResponses = route.responses || { 200: 'Success' };
+
+    // Routes that produce files or pages list their media types; everything
+    // else answers with the JSON envelope
+    const content = route.produces
+      ? Object.fromEntries(route.produces.map(mediaType => [mediaType, {}]))
+      : { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } };
+
+    const responses = Object.fromEntries(Object.entries(successResponses).map(([status, description]) => [
+      status,
+      { description, content },
+    ]));
+
+    if (route.body || route.query || parameters.length > 0) {
+      responses[400] = errorRef(400);
+    }
+    if (!publicRoute) {
+      responses[401] = errorRef(401);
+    }
+    if (route.admin) {
+      responses[403] = errorRef(403);
+    }
+    if (pathParamNames(route.path).length > 0) {
+      responses[404] = errorRef(404);
+    }
+    responses[429] = errorRef(429);
+    responses[500] = errorRef(500);
+
+    // Routes that also take a file as the raw body list its media types
+    const requestContent = route.body
+      ? {
+        'application/json': { schema: schemaFor(route.body) },
+        ...Object.fromEntries((route.consumes || []).map(mediaType => [mediaType, { schema: { type: 'string' } }])),
+      }
+      : null;
+
+    const operation = {
+      summary: route.summary,
+      description: route.description,
+      tags: route.tags,
+      parameters: parameters.length > 0 ? parameters : undefined,
+      requestBody: requestContent ? { required: true, content: requestContent } : undefined,
+      responses,
+      security: publicRoute ? [] : undefined,
+    };
+
+    return JSON.parse(JSON.stringify(operation)); // drop undefined fields
+  };
+
+  const paths = {};
+  routes.forEach((route) => {
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = buildOperation(route);
+  });
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info,
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      },
+      schemas: {
+        ...Object.fromEntries(Object.entries(schemas).map(([name, joiSchema]) => [name, joiToJsonSchema(joiSchema)])),
+        Success: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', enum: [true] },
+            message: { type: 'string' },
+          },
+          required: ['success'],
+        },
+        Error: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', enum: [false] },
+            code: { type: 'string', enum: ERROR_CODES },
+            message: { type: 'string' },
+            fields: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { field: { type: 'string' }, message: { type: 'string' } },
+                required: ['field', 'message'],
+              },
+            },
+            request_id: { type: 'string' },
+            detail: { type: 'string', description: 'Underlying error message, development only' },
+          },
+          required: ['success', 'code', 'message', 'request_id'],
+        },
+      },
+      responses: Object.fromEntries(Object.values(ERROR_RESPONSES).map(({ name, description }) => [
+        name,
+        { description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+      ])),
+    },
+    security: [{ bearerAuth: [] }],
+  };
+};
+
+// Interactive docs: Swagger UI, served by the app itself from the
+// swagger-ui-dist package under `assetsUrl`, pointed at the served document.
+// The access token entered is kept in memory only, not in localStorage.
+const renderDocsPage = ({ title, specUrl, assetsUrl }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title}</title>
+  <link rel="stylesheet" href="${assetsUrl}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${assetsUrl}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>
+`;
+
+module.exports = {
+  createRouteRegistry,
+  buildOpenApiDocument,
+  joiToJsonSchema,
+  renderDocsPage,
+};
@@ -0,0 +1,121 @@
+// backend/rateLimit.js - Fixed-window request rate limiting with pluggable counter stores
+//
+// A store counts hits per key in fixed windows:
+//   increment(key, windowMs) -> { hits, resetAt }   resetAt is epoch milliseconds
+//   prune()                                          drop counters of finished windows
+// The memory store is per process; the Postgres store keeps counters in
+// rate_limit_counters so every server instance behind a load balancer
+// shares the same budget. Window boundaries come from each instance's
+// clock, so instances sharing a store should keep their clocks in sync.
+
+const { sendError } = require('./errors');
+
+const RATE_LIMIT_STORES = ['memory', 'postgres'];
+
+const windowStartFor = (windowMs, now = Date.now()) => Math.floor(now / windowMs) * windowMs;
+
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const windowStart = windowStartFor(windowMs);
+      const counter = counters.get(key);
+
+      if (counter && counter.windowStart === windowStart) {
+        counter.hits += 1;
+        return { hits: counter.hits, resetAt: counter.resetAt };
+      }
+
+      const fresh = { windowStart, hits: 1, resetAt: windowStart + windowMs };
+      counters.set(key, fresh);
+      return { hits: fresh.hits, resetAt: fresh.resetAt };
+    },
+
+    async prune() {
+      const now = Date.now();
+      counters.forEach((counter, key) => {
+        if (counter.resetAt <= now) {
+          counters.delete(key);
+        }
+      });
+    },
+  };
+};
+
+// Needs migration 0004_rate_limits
+const createPostgresStore = (pool) => ({
+  name: 'postgres',
+
+  async increment(key, windowMs) {
+    const windowStart = windowStartFor(windowMs);
+    const result = await pool.query(
+      `INSERT INTO rate_limit_counters (key, window_start, reset_at, hits)
+       VALUES ($1, $2, $3, 1)
+       ON CONFLICT (key, window_start) DO UPDATE SET hits = rate_limit_counters.hits + 1
+       RETURNING hits`,
+      [key, windowStart, windowStart + windowMs]
+    );
+    return { hits: result.rows[0].hits, resetAt: windowStart + windowMs };
+  },
+
+  async prune() {
+    await pool.query('DELETE FROM rate_limit_counters WHERE reset_at <= $1', [Date.now()]);
+  },
+});
+
+const createRateLimitStore = (type, pool) => {
+  if (!RATE_LIMIT_STORES.includes(type)) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${type}" (expected one of: ${RATE_LIMIT_STORES.join(', ')})`);
+  }
+  return type === 'postgres' ? createPostgresStore(pool) : createMemoryStore();
+};
+
+// Middleware: counts the request against `budget` under the key returned by
+// keyFor(req). A null key skips the budget. Over the limit the request is
+// answered with 429 and Retry-After. If the store fails the request is let
+// through, so a counter outage never takes the API down with it. Logs go to
+// req.log, so requestLogger must run first.
+const rateLimit = (store, budget, keyFor) => {
+  const { name, max, windowMs } = budget;
+
+  return async (req, res, next) => {
+    const key = keyFor(req);
+    if (key === null || key === undefined) {
+      return next();
+    }
+
+    let counter;
+    try {
+      counter = await store.increment(`${name}:${key}`, windowMs);
+    } catch (error) {
+      req.log.error('Rate limit store failed', { budget: name, error });
+      return next();
+    }
+
+    const retryAfter = Math.max(1, Math.ceil((counter.resetAt - Date.now()) / 1000));
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - counter.hits)),
+      'RateLimit-Reset': String(retryAfter),
+    });
+
+    if (counter.hits > max) {
+      req.log.warn('Rate limit exceeded', { budget: name, method: req.method, path: req.path });
+      res.set('Retry-After', String(retryAfter));
+      return sendError(res, 'RATE_LIMITED', 'Too many requests, please try again later', {
+        retry_after: retryAfter
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  createRateLimitStore,
+  RATE_LIMIT_STORES,
+  rateLimit,
+};
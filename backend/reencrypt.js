@@ -0,0 +1,158 @@
+// backend/reencrypt.js - Command line tool for journal encryption keys and stored text
+//
+//   npm run reencrypt                       Encrypt plaintext rows, move rows under older
+//                                           keys to the active key, rebuild the search index
+//   npm run reencrypt -- status             Count rows per encryption key
+//   npm run reencrypt -- decrypt            Write every row back as plaintext (before
+//                                           rolling back migration 0005)
+//   npm run reencrypt -- generate-key       Print a new random master key
+//
+// Rows are processed in batches and only overwritten if they did not change
+// in the meantime, so the tool can run while the server is up.
+const { Pool } = require('pg');
+const { generateKey, loadKeyring, createJournalCipher } = require('./journalCrypto');
+const { resolveSearchIndexEnabled, createSearchIndex } = require('./journalSearch');
+const { getMigrationStatus, describeStatusProblems } = require('./migrator');
+const { createPoolConfig, printPoolConfig } = require('./db');
+const { config } = require('./config');
+
+const USAGE = 'Usage: node reencrypt.js [run | status | decrypt | generate-key]';
+
+const BATCH_SIZE = 500;
+
+// Both tables store entry_text the same way; revisions have no search index
+const TABLES = ['journal_entries', 'journal_entry_revisions'];
+
+// Apply transform(entry_text) to every row of `table`, batch by batch.
+// onBatch receives each batch's rows with their new text.
+const rewriteTable = async (pool, table, transform, onBatch = async () => {}) => {
+  const userColumn = table === 'journal_entries' ? 'user_id' : 'NULL AS user_id';
+  let lastId = 0;
+  let rewritten = 0;
+
+  for (;;) {
+    const batch = await pool.query(
+      `SELECT id, ${userColumn}, entry_text FROM ${table} WHERE id > $1 ORDER BY id LIMIT $2`,
+      [lastId, BATCH_SIZE]
+    );
+    if (batch.rows.length === 0) {
+      return rewritten;
+    }
+
+    const rows = batch.rows.map(row => ({ ...row, text: transform(row.entry_text) }));
+    const changed = rows.filter(row => row.text !== row.entry_text);
+
+    if (changed.length > 0) {
+      const result = await pool.query(
+        `UPDATE ${table} SET entry_text = rewritten.text
+         FROM unnest($1::int[], $2::text[], $3::text[]) AS rewritten(id, old_text, text)
+         WHERE ${table}.id = rewritten.id AND ${table}.entry_text = rewritten.old_text`,
+        [changed.map(row => row.id), changed.map(row => row.entry_text), changed.map(row => row.text)]
+      );
+      rewritten += result.rowCount;
+    }
+
+    await onBatch(rows);
+    lastId = batch.rows[batch.rows.length - 1].id;
+  }
+};
+
+const reencryptAll = async (pool, cipher, searchIndex) => {
+  if (!cipher.enabled) {
+    throw new Error('No journal encryption keys configured - set JOURNAL_ENCRYPTION_KEYS or JOURNAL_ENCRYPTION_KEY_FILE');
+  }
+
+  console.log(`🔐 Encrypting journal text with key "${cipher.activeKeyId}"`);
+  if (!searchIndex.enabled) {
+    await searchIndex.clear(pool);
+    console.log('   Search index disabled - cleared journal_search_index');
+  }
+
+  for (const table of TABLES) {
+    const indexBatch = table === 'journal_entries'
+      ? rows => searchIndex.index(pool, rows.map(row => ({ id: row.id, user_id: row.user_id, text: cipher.decrypt(row.text) })))
+      : undefined;
+    const rewritten = await rewriteTable(pool, table, value => cipher.reencrypt(value), indexBatch);
+    console.log(`   ${table}: ${rewritten} row(s) rewritten`);
+  }
+
+  if (searchIndex.enabled) {
+    console.log('   Search index rebuilt');
+  }
+};
+
+const decryptAll = async (pool, cipher) => {
+  console.log('🔓 Writing journal text back as plaintext');
+  for (const table of TABLES) {
+    const rewritten = await rewriteTable(pool, table, value => cipher.decrypt(value));
+    console.log(`   ${table}: ${rewritten} row(s) rewritten`);
+  }
+};
+
+const printStatus = async (pool, cipher, searchIndex) => {
+  console.log(`🔐 Active key: ${cipher.activeKeyId || 'none (encryption disabled)'}`);
+
+  for (const table of TABLES) {
+    const result = await pool.query(
+      `SELECT CASE WHEN entry_text LIKE 'enc:v1:%' THEN split_part(entry_text, ':', 3) END AS key_id,
+              COUNT(*)::int AS count
+       FROM ${table}
+       GROUP BY 1
+       ORDER BY 1 NULLS FIRST`
+    );
+    console.log(`   ${table}:`);
+    if (result.rows.length === 0) {
+      console.log('      (empty)');
+    }
+    result.rows.forEach(({ key_id, count }) => {
+      const label = key_id === null ? 'plaintext' : `key "${key_id}"${key_id === cipher.activeKeyId ? ' (active)' : ''}`;
+      console.log(`      ${label}: ${count}`);
+    });
+  }
+
+  const indexed = await pool.query('SELECT COUNT(*)::int AS count FROM journal_search_index');
+  console.log(`   Search index: ${searchIndex.enabled ? 'enabled' : 'disabled'}, ${indexed.rows[0].count} entries indexed`);
+};
+
+async function main() {
+  const [command = 'run', ...args] = process.argv.slice(2);
+
+  if (!['run', 'status', 'decrypt', 'generate-key'].includes(command) || args.length > 0) {
+    throw new Error(USAGE);
+  }
+
+  if (command === 'generate-key') {
+    console.log(generateKey());
+    return;
+  }
+
+  const cipher = createJournalCipher(loadKeyring(config.journal.encryption));
+  const searchIndex = createSearchIndex(resolveSearchIndexEnabled(cipher.enabled, config.journal.searchIndex));
+
+  const poolConfig = createPoolConfig();
+  printPoolConfig(poolConfig);
+  const pool = new Pool(poolConfig);
+
+  try {
+    if (describeStatusProblems(await getMigrationStatus(pool))) {
+      throw new Error('Database schema is not up to date - run `npm run migrate` first');
+    }
+
+    if (command === 'status') {
+      await printStatus(pool, cipher, searchIndex);
+    } else if (command === 'decrypt') {
+      await decryptAll(pool, cipher);
+      console.log('✅ Journal text is stored as plaintext');
+    } else {
+      await reencryptAll(pool, cipher, searchIndex);
+      console.log('✅ Journal text is encrypted with the active key');
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Re-encryption failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,111 @@
+// backend/repositories/audit.js - The audit log
+//
+// AuditRepository, implemented over Postgres and in memory. Event ids are
+// strings (audit_events.id is a BIGSERIAL, beyond what a JS number holds).
+//   record({ occurredAt, actorId, requestId, status, events })
+//       one event per { resource, action, recordId }
+//   list({ limit, beforeId, filters, from, to })  -> { events, next }
+//       newest first; filters match actor_id, resource, action, record_id or
+//       request_id exactly, and next is the id to pass as beforeId for the
+//       following page, or null on the last one
+const AUDIT_FILTERS = ['actor_id', 'resource', 'action', 'record_id', 'request_id'];
+
+// Postgres
+
+const createPostgresAuditRepository = (db) => ({
+  async record({ occurredAt, actorId, requestId, status, events }) {
+    await db.query(
+      `INSERT INTO audit_events (occurred_at, actor_id, action, resource, record_id, request_id, status)
+       SELECT $1, $2, event.action, event.resource, event.record_id, $3, $4
+       FROM unnest($5::text[], $6::text[], $7::int[]) AS event(action, resource, record_id)`,
+      [
+        occurredAt,
+        actorId,
+        requestId,
+        status,
+        events.map(event => event.action),
+        events.map(event => event.resource),
+        events.map(event => event.recordId)
+      ]
+    );
+  },
+
+  async list({ limit, beforeId, filters = {}, from, to }) {
+    const params = [];
+    const conditions = [];
+
+    const addCondition = (sql, ...values) => {
+      params.push(...values);
+      conditions.push(sql);
+    };
+
+    if (beforeId) addCondition(`id < $${params.length + 1}::bigint`, beforeId);
+    AUDIT_FILTERS.filter(column => filters[column] !== undefined).forEach((column) => {
+      addCondition(`${column} = $${params.length + 1}`, filters[column]);
+    });
+    if (from) addCondition(`occurred_at >= $${params.length + 1}`, from);
+    if (to) addCondition(`occurred_at <= $${params.length + 1}`, to);
+
+    // Fetch one extra row to find out whether another page exists
+    params.push(limit + 1);
+
+    const result = await db.query(
+      `SELECT id, occurred_at, actor_id, action, resource, record_id, request_id, status
+       FROM audit_events
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    const hasMore = result.rows.length > limit;
+    const events = hasMore ? result.rows.slice(0, limit) : result.rows;
+    return { events, next: hasMore ? events[events.length - 1].id : null };
+  },
+});
+
+// Memory
+
+const createMemoryAuditRepository = () => {
+  const events = [];
+  let lastEventId = 0;
+
+  return {
+    async record({ occurredAt, actorId, requestId, status, events: recorded }) {
+      recorded.forEach(({ resource, action, recordId }) => {
+        events.push({
+          id: String(++lastEventId),
+          occurred_at: occurredAt,
+          actor_id: actorId,
+          action,
+          resource,
+          record_id: recordId,
+          request_id: requestId,
+          status,
+        });
+      });
+    },
+
+    async list({ limit, beforeId, filters = {}, from, to }) {
+      const matches = [];
+
+      // Newest first, so walk back from the end of the log
+      for (let index = events.length - 1; index >= 0 && matches.length <= limit; index -= 1) {
+        const event = events[index];
+        if (beforeId && BigInt(event.id) >= BigInt(beforeId)) continue;
+        if (AUDIT_FILTERS.some(column => filters[column] !== undefined && event[column] !== filters[column])) continue;
+        if ((from && event.occurred_at < from) || (to && event.occurred_at > to)) continue;
+        matches.push({ ...event });
+      }
+
+      const hasMore = matches.length > limit;
+      const page = hasMore ? matches.slice(0, limit) : matches;
+      return { events: page, next: hasMore ? page[page.length - 1].id : null };
+    },
+  };
+};
+
+module.exports = {
+  createPostgresAuditRepository,
+  createMemoryAuditRepository,
+};
@@ -0,0 +1,376 @@
+// backend/repositories/contacts.js - A user's contacts
+//
+// ContactRepository, implemented over Postgres and in memory. Emails are
+// stored lowercase and are unique among a user's live contacts; a write that
+// would break that throws DuplicateRecordError. Contacts in the trash are
+// left out of everything but the trash methods and sync deletions.
+//   exists(userId, id)               live contact owned by the user?
+//   create(userId, contact)          -> { id, created_at }
+//   list(userId)                     by name
+//   update(userId, id, changes)      -> the contact, or null if missing
+//   trash / restore / listTrash / purgeTrash
+//   upsertSynced / trashMany / listChanges  for /sync
+const {
+  DuplicateRecordError,
+  rethrowDuplicate,
+  SYNC_OVERLAP_SECONDS,
+  parseTimestamp,
+  isDistinctTime,
+  addDays,
+} = require('./support');
+
+const byName = (a, b) => (a.contact_name < b.contact_name ? -1 : a.contact_name > b.contact_name ? 1 : 0);
+
+// Postgres
+
+const createPostgresContactRepository = (db) => ({
+  async exists(userId, id) {
+    const result = await db.query(
+      'SELECT id FROM contacts WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [id, userId]
+    );
+    return result.rows.length > 0;
+  },
+
+  async create(userId, { contact_name, contact_email }) {
+    const result = await rethrowDuplicate(() => db.query(
+      'INSERT INTO contacts (user_id, contact_name, contact_email) VALUES ($1, $2, $3) RETURNING id, created_at',
+      [userId, contact_name, contact_email.toLowerCase()]
+    ));
+    return result.rows[0];
+  },
+
+  async list(userId) {
+    const result = await db.query(
+      'SELECT id, contact_name, contact_email, created_at, updated_at FROM contacts WHERE user_id = $1 AND deleted_at IS NULL ORDER BY contact_name ASC',
+      [userId]
+    );
+    return result.rows;
+  },
+
+  async update(userId, id, { contact_name, contact_email }) {
+    const result = await rethrowDuplicate(() => db.query(
+      `UPDATE contacts
+       SET contact_name = COALESCE($1, contact_name),
+           contact_email = COALESCE($2, contact_email),
+           updated_at = NOW()
+       WHERE id = $3 AND user_id = $4 AND deleted_at IS NULL
+       RETURNING id, contact_name, contact_email, created_at, updated_at`,
+      [contact_name, contact_email ? contact_email.toLowerCase() : undefined, id, userId]
+    ));
+    return result.rows[0] || null;
+  },
+
+  async trash(userId, id) {
+    const result = await db.query(
+      'UPDATE contacts SET deleted_at = NOW() WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL RETURNING id',
+      [id, userId]
+    );
+    return result.rows.length > 0;
+  },
+
+  // Throws DuplicateRecordError when the email was reused by a new contact
+  // while this one was in the trash
+  async restore(userId, id) {
+    const result = await rethrowDuplicate(() => db.query(
+      `UPDATE contacts SET deleted_at = NULL, updated_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL
+       RETURNING id`,
+      [id, userId]
+    ));
+    return result.rows.length > 0;
+  },
+
+  async listTrash(userId, retentionDays) {
+    const result = await db.query(
+      `SELECT id, contact_name, contact_email, created_at, deleted_at,
+              deleted_at + make_interval(days => $2) AS purge_at
+       FROM contacts
+       WHERE user_id = $1 AND deleted_at IS NOT NULL
+       ORDER BY deleted_at DESC, id DESC`,
+      [userId, retentionDays]
+    );
+    return result.rows;
+  },
+
+  async purgeTrash(retentionDays) {
+    const result = await db.query(
+      'DELETE FROM contacts WHERE deleted_at < NOW() - make_interval(days => $1)',
+      [retentionDays]
+    );
+    return result.rowCount;
+  },
+
+  // Same rules as JournalRepository.upsertSynced; a clashing email throws
+  // DuplicateRecordError
+  async upsertSynced(userId, change) {
+    const { id, client_id, base_updated_at, contact_name } = change;
+    const contactEmail = change.contact_email.toLowerCase();
+
+    if (!id) {
+      const inserted = await rethrowDuplicate(() => db.query(
+        `INSERT INTO contacts (user_id, contact_name, contact_email, client_id)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (user_id, client_id) WHERE client_id IS NOT NULL DO NOTHING
+         RETURNING id`,
+        [userId, contact_name, contactEmail, client_id]
+      ));
+
+      if (inserted.rows.length === 0) {
+        const existing = await db.query(
+          'SELECT id FROM contacts WHERE user_id = $1 AND client_id = $2',
+          [userId, client_id]
+        );
+        return { status: 'applied', id: existing.rows[0].id };
+      }
+
+      return { status: 'applied', id: inserted.rows[0].id };
+    }
+
+    const current = await db.query(
+      `SELECT date_trunc('milliseconds', updated_at) IS DISTINCT FROM $3::timestamp AS changed_elsewhere
+       FROM contacts WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL FOR UPDATE`,
+      [id, userId, base_updated_at]
+    );
+
+    if (current.rows.length === 0) {
+      return { status: 'rejected', reason: 'not_found' };
+    }
+    if (current.rows[0].changed_elsewhere) {
+      return { status: 'rejected', reason: 'conflict' };
+    }
+
+    await rethrowDuplicate(() => db.query(
+      'UPDATE contacts SET contact_name = $1, contact_email = $2, updated_at = NOW() WHERE id = $3 AND user_id = $4',
+      [contact_name, contactEmail, id, userId]
+    ));
+
+    return { status: 'applied', id };
+  },
+
+  async trashMany(userId, ids) {
+    const result = await db.query(
+      `UPDATE contacts SET deleted_at = NOW()
+       WHERE user_id = $1 AND id = ANY($2::int[]) AND deleted_at IS NULL
+       RETURNING id`,
+      [userId, ids]
+    );
+    return result.rows.map(row => row.id);
+  },
+
+  async listChanges(userId, { since, include = [] }) {
+    const changed = await db.query(
+      `SELECT id, contact_name, contact_email, created_at, updated_at
+       FROM contacts
+       WHERE user_id = $1 AND deleted_at IS NULL
+         AND ($2::timestamp IS NULL
+           OR COALESCE(updated_at, created_at) > $2::timestamp - make_interval(secs => $3)
+           OR id = ANY($4::int[]))
+       ORDER BY contact_name ASC`,
+      [userId, since, SYNC_OVERLAP_SECONDS, include]
+    );
+
+    const deleted = since === null ? { rows: [] } : await db.query(
+      `SELECT record_id AS id FROM sync_tombstones
+       WHERE user_id = $1 AND resource = 'contact' AND deleted_at > $2::timestamp - make_interval(secs => $3)
+       UNION
+       SELECT id FROM contacts
+       WHERE user_id = $1 AND deleted_at > $2::timestamp - make_interval(secs => $3)`,
+      [userId, since, SYNC_OVERLAP_SECONDS]
+    );
+
+    return { changed: changed.rows, deleted: deleted.rows.map(row => row.id) };
+  },
+
+  async countActive() {
+    const result = await db.query('SELECT COUNT(*)::int AS count FROM contacts WHERE deleted_at IS NULL');
+    return result.rows[0].count;
+  },
+});
+
+// Memory
+
+const createMemoryContactRepository = () => {
+  const contacts = new Map();
+  const tombstones = []; // { user_id, record_id, deleted_at } for purged contacts
+  let lastContactId = 0;
+
+  const isLive = (contact, userId) => contact && contact.user_id === userId && contact.deleted_at === null;
+
+  const userContacts = userId => [...contacts.values()].filter(contact => isLive(contact, userId));
+
+  // The unique_user_email index: one live contact per email per user
+  const checkEmailFree = (userId, email, exceptId = null) => {
+    if (userContacts(userId).some(contact => contact.contact_email === email && contact.id !== exceptId)) {
+      throw new DuplicateRecordError(`Key (user_id, contact_email)=(${userId}, ${email}) already exists.`);
+    }
+  };
+
+  const toRow = ({ id, contact_name, contact_email, created_at, updated_at }) => ({
+    id, contact_name, contact_email, created_at, updated_at,
+  });
+
+  const insertContact = (userId, { contact_name, contact_email }, clientId = null) => {
+    const email = contact_email.toLowerCase();
+    checkEmailFree(userId, email);
+
+    const contact = {
+      id: ++lastContactId,
+      user_id: userId,
+      contact_name,
+      contact_email: email,
+      created_at: new Date(),
+      updated_at: null,
+      deleted_at: null,
+      client_id: clientId,
+    };
+    contacts.set(contact.id, contact);
+    return contact;
+  };
+
+  return {
+    async exists(userId, id) {
+      return isLive(contacts.get(id), userId);
+    },
+
+    async create(userId, contact) {
+      const { id, created_at } = insertContact(userId, contact);
+      return { id, created_at };
+    },
+
+    async list(userId) {
+      return userContacts(userId).sort(byName).map(toRow);
+    },
+
+    async update(userId, id, { contact_name, contact_email }) {
+      const contact = contacts.get(id);
+      if (!isLive(contact, userId)) {
+        return null;
+      }
+
+      const email = contact_email ? contact_email.toLowerCase() : contact.contact_email;
+      checkEmailFree(userId, email, id);
+
+      if (contact_name !== undefined) contact.contact_name = contact_name;
+      contact.contact_email = email;
+      contact.updated_at = new Date();
+      return toRow(contact);
+    },
+
+    async trash(userId, id) {
+      const contact = contacts.get(id);
+      if (!isLive(contact, userId)) {
+        return false;
+      }
+      contact.deleted_at = new Date();
+      return true;
+    },
+
+    async restore(userId, id) {
+      const contact = contacts.get(id);
+      if (!contact || contact.user_id !== userId || contact.deleted_at === null) {
+        return false;
+      }
+      checkEmailFree(userId, contact.contact_email);
+
+      contact.deleted_at = null;
+      contact.updated_at = new Date();
+      return true;
+    },
+
+    async listTrash(userId, retentionDays) {
+      return [...contacts.values()]
+        .filter(contact => contact.user_id === userId && contact.deleted_at !== null)
+        .sort((a, b) => (b.deleted_at - a.deleted_at) || (b.id - a.id))
+        .map(({ id, contact_name, contact_email, created_at, deleted_at }) => ({
+          id,
+          contact_name,
+          contact_email,
+          created_at,
+          deleted_at,
+          purge_at: addDays(deleted_at, retentionDays),
+        }));
+    },
+
+    async purgeTrash(retentionDays) {
+      const cutoff = addDays(new Date(), -retentionDays);
+      let purged = 0;
+
+      contacts.forEach((contact) => {
+        if (contact.deleted_at !== null && contact.deleted_at < cutoff) {
+          contacts.delete(contact.id);
+          tombstones.push({ user_id: contact.user_id, record_id: contact.id, deleted_at: new Date() });
+          purged += 1;
+        }
+      });
+      return purged;
+    },
+
+    async upsertSynced(userId, change) {
+      const { id, client_id, base_updated_at, contact_name } = change;
+      const contactEmail = change.contact_email.toLowerCase();
+
+      if (!id) {
+        const existing = [...contacts.values()].find(contact => contact.user_id === userId && contact.client_id === client_id);
+        const contact = existing || insertContact(userId, { contact_name, contact_email: contactEmail }, client_id);
+        return { status: 'applied', id: contact.id };
+      }
+
+      const contact = contacts.get(id);
+      if (!isLive(contact, userId)) {
+        return { status: 'rejected', reason: 'not_found' };
+      }
+      if (isDistinctTime(contact.updated_at, base_updated_at)) {
+        return { status: 'rejected', reason: 'conflict' };
+      }
+      checkEmailFree(userId, contactEmail, id);
+
+      contact.contact_name = contact_name;
+      contact.contact_email = contactEmail;
+      contact.updated_at = new Date();
+      return { status: 'applied', id };
+    },
+
+    async trashMany(userId, ids) {
+      return ids.filter((id) => {
+        const contact = contacts.get(id);
+        if (!isLive(contact, userId)) {
+          return false;
+        }
+        contact.deleted_at = new Date();
+        return true;
+      });
+    },
+
+    async listChanges(userId, { since, include = [] }) {
+      const reachBack = since === null ? null : new Date(parseTimestamp(since).getTime() - SYNC_OVERLAP_SECONDS * 1000);
+
+      const changed = userContacts(userId)
+        .filter(contact => reachBack === null || (contact.updated_at || contact.created_at) > reachBack || include.includes(contact.id))
+        .sort(byName)
+        .map(toRow);
+
+      if (reachBack === null) {
+        return { changed, deleted: [] };
+      }
+
+      const purged = tombstones
+        .filter(tombstone => tombstone.user_id === userId && tombstone.deleted_at > reachBack)
+        .map(tombstone => tombstone.record_id);
+      const trashed = [...contacts.values()]
+        .filter(contact => contact.user_id === userId && contact.deleted_at !== null && contact.deleted_at > reachBack)
+        .map(contact => contact.id);
+
+      return { changed, deleted: [...new Set([...purged, ...trashed])] };
+    },
+
+    async countActive() {
+      return [...contacts.values()].filter(contact => contact.deleted_at === null).length;
+    },
+  };
+};
+
+module.exports = {
+  createPostgresContactRepository,
+  createMemoryContactRepository,
+};
@@ -0,0 +1,78 @@
+// backend/repositories/index.js - Data access for the API, over Postgres or in memory
+//
+// Route handlers read and write through these repositories instead of SQL:
+//   journal    journal entries, tags and revisions (journal.js)
+//   contacts   contacts (contacts.js)
+//   users      accounts and refresh tokens (users.js)
+//   audit      the audit log (audit.js)
+//   now()            the store's clock as timestamp text, e.g. "2024-05-01 09:30:00.123"
+//                    (sync cursors hold it)
+//   transaction(fn)  runs fn(repositories) so its writes succeed or fail together
+// The postgres store is the real one. The memory store keeps everything in
+// this process and loses it on exit: it lets the API run end to end without
+// a database, e.g. for tests. Its transactions don't roll back, but each
+// repository method checks what it needs before changing anything, so a
+// failed call leaves nothing half done.
+const { DuplicateRecordError, poolDatabase, formatTimestamp } = require('./support');
+const { createPostgresJournalRepository, createMemoryJournalRepository } = require('./journal');
+const { createPostgresContactRepository, createMemoryContactRepository } = require('./contacts');
+const { createPostgresUserRepository, createMemoryUserRepository } = require('./users');
+const { createPostgresAuditRepository, createMemoryAuditRepository } = require('./audit');
+
+const DATA_STORES = ['postgres', 'memory'];
+
+// Inside transaction() every repository is rebuilt on the transaction's
+// client; nested transactions become savepoints
+const createPostgresRepositories = (db, { journalCipher, searchIndex }) => ({
+  name: 'postgres',
+  journal: createPostgresJournalRepository(db, { cipher: journalCipher, searchIndex }),
+  contacts: createPostgresContactRepository(db),
+  users: createPostgresUserRepository(db),
+  audit: createPostgresAuditRepository(db),
+
+  async now() {
+    const result = await db.query('SELECT LOCALTIMESTAMP::text AS now');
+    return result.rows[0].now;
+  },
+
+  transaction(fn) {
+    return db.transaction(tx => fn(createPostgresRepositories(tx, { journalCipher, searchIndex })));
+  },
+});
+
+const createMemoryRepositories = ({ searchIndex }) => {
+  const repositories = {
+    name: 'memory',
+    journal: createMemoryJournalRepository({ searchIndex }),
+    contacts: createMemoryContactRepository(),
+    users: createMemoryUserRepository(),
+    audit: createMemoryAuditRepository(),
+
+    async now() {
+      return formatTimestamp(new Date());
+    },
+
+    transaction(fn) {
+      return fn(repositories);
+    },
+  };
+  return repositories;
+};
+
+// The postgres store needs the pool plus the journal cipher and search index
+// (see journalCrypto.js and journalSearch.js); the memory store only needs
+// the search index, to know whether search is enabled
+const createRepositories = (type, { pool, journalCipher, searchIndex } = {}) => {
+  if (!DATA_STORES.includes(type)) {
+    throw new Error(`Unknown DATA_STORE "${type}" (expected one of: ${DATA_STORES.join(', ')})`);
+  }
+  return type === 'postgres'
+    ? createPostgresRepositories(poolDatabase(pool), { journalCipher, searchIndex })
+    : createMemoryRepositories({ searchIndex });
+};
+
+module.exports = {
+  DATA_STORES,
+  DuplicateRecordError,
+  createRepositories,
+};
@@ -0,0 +1,847 @@
+// backend/repositories/journal.js - Journal entries, their tags and revisions
+//
+// JournalRepository, implemented over Postgres and in memory. Every method
+// takes and returns plaintext entry_text and scopes reads and writes to the
+// given user; entries in the trash (deleted_at set) are left out of
+// everything but the trash methods and sync deletions.
+//   exists(userId, id)                      live entry owned by the user?
+//   create(userId, entry)                   -> { id, timestamp }
+//   createMany(userId, entries)             -> ids, all or nothing (imports)
+//   list(userId, { limit, after, ... })     -> { entries, next }, newest first
+//   listForExport(userId, { limit, after }) -> { entries, next }, oldest first
+//   listByTimestamps(userId, timestamps)    entries written at those moments
+//   search(userId, q, limit)                ranked, with a highlighted snippet
+//   update(userId, id, changes)             saves a revision first; null if missing
+//   listRevisions(id)                       earlier versions, newest first
+//   listTags(userId, prefix, limit)         most used first
+//   moodBuckets(userId, { bucket, from, to })
+//   trash / restore / listTrash / purgeTrash
+//   upsertSynced / trashMany / listChanges  for /sync
+// `next` is the keyset position { timestamp, id } to pass as `after` for the
+// following page, or null on the last one.
+const {
+  SYNC_OVERLAP_SECONDS,
+  formatTimestamp,
+  parseTimestamp,
+  isDistinctTime,
+  addDays,
+  compareByTimestampAndId,
+} = require('./support');
+
+const MOOD_RATINGS = [1, 2, 3, 4, 5];
+
+// Split off the extra row fetched to find out whether another page exists
+const toPage = (rows, limit, positionOf) => {
+  const hasMore = rows.length > limit;
+  const entries = hasMore ? rows.slice(0, limit) : rows;
+  return { entries, next: hasMore ? positionOf(entries[entries.length - 1]) : null };
+};
+
+// Postgres
+
+// Selects an entry's tag names as a sorted array (always an array, never null)
+const ENTRY_TAGS_SQL = `
+  COALESCE((
+    SELECT array_agg(t.name ORDER BY t.name)
+    FROM journal_entry_tags jet JOIN tags t ON t.id = jet.tag_id
+    WHERE jet.entry_id = journal_entries.id
+  ), '{}') AS tags`;
+
+// Replace the tags on an entry, creating any tag the user hasn't used before
+const setEntryTags = async (db, userId, entryId, tags) => {
+  await db.query('DELETE FROM journal_entry_tags WHERE entry_id = $1', [entryId]);
+
+  if (tags.length === 0) {
+    return;
+  }
+
+  await db.query(
+    'INSERT INTO tags (user_id, name) SELECT $1, unnest($2::text[]) ON CONFLICT (user_id, name) DO NOTHING',
+    [userId, tags]
+  );
+
+  await db.query(
+    'INSERT INTO journal_entry_tags (entry_id, tag_id) SELECT $1, id FROM tags WHERE user_id = $2 AND name = ANY($3::text[])',
+    [entryId, userId, tags]
+  );
+};
+
+// Positions hold the timestamp as Postgres text so no microseconds are lost
+// in a round trip through Date
+const postgresPosition = row => ({ timestamp: row.cursor_timestamp, id: row.id });
+
+const withoutCursor = ({ cursor_timestamp, ...row }) => row;
+
+// db is a { query, transaction } wrapper (see support.js). entry_text is
+// encrypted with `cipher` on the way in and decrypted on the way out, and
+// `searchIndex` is kept up to date on every write.
+const createPostgresJournalRepository = (db, { cipher, searchIndex }) => {
+  const decryptEntryText = row => ({ ...row, entry_text: cipher.decrypt(row.entry_text) });
+
+  const insertEntry = async (tx, userId, { entry_text, mood_rating, timestamp, tags = [] }) => {
+    const result = await tx.query(
+      'INSERT INTO journal_entries (user_id, entry_text, mood_rating, timestamp) VALUES ($1, $2, $3, $4) RETURNING id, timestamp',
+      [userId, cipher.encrypt(entry_text), mood_rating, timestamp || new Date().toISOString()]
+    );
+
+    await setEntryTags(tx, userId, result.rows[0].id, tags);
+    await searchIndex.index(tx, [{ id: result.rows[0].id, user_id: userId, text: entry_text }]);
+    return result.rows[0];
+  };
+
+  return {
+    searchEnabled: searchIndex.enabled,
+
+    async exists(userId, id) {
+      const result = await db.query(
+        'SELECT id FROM journal_entries WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+        [id, userId]
+      );
+      return result.rows.length > 0;
+    },
+
+    create(userId, entry) {
+      return db.transaction(tx => insertEntry(tx, userId, entry));
+    },
+
+    createMany(userId, entries) {
+      return db.transaction(async (tx) => {
+        const ids = [];
+        for (const entry of entries) {
+          ids.push((await insertEntry(tx, userId, entry)).id);
+        }
+        return ids;
+      });
+    },
+
+    // Date and mood bounds are inclusive
+    async list(userId, { limit, after, tag, from, to, mood_min, mood_max }) {
+      const params = [userId];
+      const conditions = ['user_id = $1', 'deleted_at IS NULL'];
+
+      const addCondition = (sql, ...values) => {
+        params.push(...values);
+        conditions.push(sql);
+      };
+
+      if (after) {
+        addCondition(
+          `(timestamp, id) < ($${params.length + 1}::timestamp, $${params.length + 2})`,
+          after.timestamp,
+          after.id
+        );
+      }
+
+      if (from) addCondition(`timestamp >= $${params.length + 1}`, from);
+      if (to) addCondition(`timestamp <= $${params.length + 1}`, to);
+      if (mood_min) addCondition(`mood_rating >= $${params.length + 1}`, mood_min);
+      if (mood_max) addCondition(`mood_rating <= $${params.length + 1}`, mood_max);
+      if (tag) {
+        addCondition(
+          `EXISTS (
+            SELECT 1 FROM journal_entry_tags jet JOIN tags t ON t.id = jet.tag_id
+            WHERE jet.entry_id = journal_entries.id AND t.name = $${params.length + 1}
+          )`,
+          tag
+        );
+      }
+
+      // Fetch one extra row to find out whether another page exists
+      params.push(limit + 1);
+
+      const result = await db.query(
+        `SELECT id, entry_text, mood_rating, timestamp, updated_at, ${ENTRY_TAGS_SQL},
+                timestamp::text AS cursor_timestamp
+         FROM journal_entries
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY timestamp DESC, id DESC
+         LIMIT $${params.length}`,
+        params
+      );
+
+      const page = toPage(result.rows, limit, postgresPosition);
+      return { ...page, entries: page.entries.map(row => decryptEntryText(withoutCursor(row))) };
+    },
+
+    async listForExport(userId, { limit, after }) {
+      const result = await db.query(
+        `SELECT id, entry_text, mood_rating, timestamp, updated_at, ${ENTRY_TAGS_SQL},
+                timestamp::text AS cursor_timestamp
+         FROM journal_entries
+         WHERE user_id = $1 AND deleted_at IS NULL
+           AND ($2::timestamp IS NULL OR (timestamp, id) > ($2::timestamp, $3))
+         ORDER BY timestamp ASC, id ASC
+         LIMIT $4`,
+        [userId, after ? after.timestamp : null, after ? after.id : null, limit + 1]
+      );
+
+      const page = toPage(result.rows, limit, postgresPosition);
+      return { ...page, entries: page.entries.map(row => decryptEntryText(withoutCursor(row))) };
+    },
+
+    // Stored timestamps have microseconds but exports (and JS dates) stop at
+    // milliseconds, so compare at that precision
+    async listByTimestamps(userId, timestamps) {
+      if (timestamps.length === 0) {
+        return [];
+      }
+      const result = await db.query(
+        `SELECT id, timestamp, entry_text FROM journal_entries
+         WHERE user_id = $1 AND deleted_at IS NULL
+           AND date_trunc('milliseconds', timestamp) = ANY($2::timestamp[])`,
+        [userId, timestamps]
+      );
+      return result.rows.map(decryptEntryText);
+    },
+
+    // Matches come from journal_search_index; snippets are highlighted from
+    // the decrypted text, which is passed to ts_headline but never stored
+    async search(userId, q, limit) {
+      const result = await db.query(
+        `SELECT id, entry_text, mood_rating, timestamp, updated_at, ${ENTRY_TAGS_SQL},
+                ts_rank(s.document, query) AS rank
+         FROM journal_search_index s
+         JOIN journal_entries ON journal_entries.id = s.entry_id,
+              websearch_to_tsquery('english', $2) AS query
+         WHERE s.user_id = $1 AND deleted_at IS NULL AND s.document @@ query
+         ORDER BY rank DESC, timestamp DESC
+         LIMIT $3`,
+        [userId, q, limit]
+      );
+
+      const entries = result.rows.map(decryptEntryText);
+      if (entries.length === 0) {
+        return [];
+      }
+
+      const snippets = await db.query(
+        `SELECT ts_headline('english', text, websearch_to_tsquery('english', $2),
+                  'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2') AS snippet
+         FROM unnest($1::text[]) WITH ORDINALITY AS entry(text, position)
+         ORDER BY position`,
+        [entries.map(entry => entry.entry_text), q]
+      );
+
+      return entries.map((entry, index) => ({ ...entry, snippet: snippets.rows[index].snippet }));
+    },
+
+    update(userId, id, { entry_text, mood_rating, tags }) {
+      return db.transaction(async (tx) => {
+        const current = await tx.query(
+          'SELECT entry_text, mood_rating FROM journal_entries WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL FOR UPDATE',
+          [id, userId]
+        );
+
+        if (current.rows.length === 0) {
+          return null;
+        }
+
+        await tx.query(
+          'INSERT INTO journal_entry_revisions (entry_id, entry_text, mood_rating) VALUES ($1, $2, $3)',
+          [id, current.rows[0].entry_text, current.rows[0].mood_rating]
+        );
+
+        const result = await tx.query(
+          `UPDATE journal_entries
+           SET entry_text = COALESCE($1, entry_text),
+               mood_rating = COALESCE($2, mood_rating),
+               updated_at = NOW()
+           WHERE id = $3 AND user_id = $4 AND deleted_at IS NULL
+           RETURNING id, entry_text, mood_rating, timestamp, updated_at`,
+          [cipher.encrypt(entry_text), mood_rating, id, userId]
+        );
+
+        if (tags) {
+          await setEntryTags(tx, userId, id, tags);
+        }
+        if (entry_text !== undefined) {
+          await searchIndex.index(tx, [{ id, user_id: userId, text: entry_text }]);
+        }
+
+        const tagsResult = await tx.query(`SELECT ${ENTRY_TAGS_SQL} FROM journal_entries WHERE id = $1`, [id]);
+
+        return { ...decryptEntryText(result.rows[0]), tags: tagsResult.rows[0].tags };
+      });
+    },
+
+    async listRevisions(id) {
+      const result = await db.query(
+        'SELECT id, entry_text, mood_rating, revised_at FROM journal_entry_revisions WHERE entry_id = $1 ORDER BY revised_at DESC, id DESC',
+        [id]
+      );
+      return result.rows.map(decryptEntryText);
+    },
+
+    async listTags(userId, prefix, limit) {
+      const pattern = `${prefix.replace(/[\\%_]/g, '\\$&')}%`;
+      const result = await db.query(
+        `SELECT t.name, COUNT(je.id)::int AS entry_count
+         FROM tags t
+         LEFT JOIN journal_entry_tags jet ON jet.tag_id = t.id
+         LEFT JOIN journal_entries je ON je.id = jet.entry_id AND je.deleted_at IS NULL
+         WHERE t.user_id = $1 AND t.name LIKE $2
+         GROUP BY t.id, t.name
+         ORDER BY entry_count DESC, t.name ASC
+         LIMIT $3`,
+        [userId, pattern, limit]
+      );
+      return result.rows;
+    },
+
+    // One row per bucket (day, week starting Monday, or month) that has entries:
+    // { bucket_start, entry_count, mood_total, min_mood, max_mood, distribution }
+    async moodBuckets(userId, { bucket, from, to }) {
+      const params = [userId, bucket];
+      const conditions = ['user_id = $1', 'deleted_at IS NULL'];
+
+      if (from) {
+        params.push(from);
+        conditions.push(`timestamp >= $${params.length}`);
+      }
+      if (to) {
+        params.push(to);
+        conditions.push(`timestamp <= $${params.length}`);
+      }
+
+      const result = await db.query(
+        `SELECT date_trunc($2, timestamp) AS bucket_start,
+                COUNT(*)::int AS entry_count,
+                COALESCE(SUM(mood_rating), 0)::int AS mood_total,
+                MIN(mood_rating) AS min_mood,
+                MAX(mood_rating) AS max_mood,
+                COUNT(*) FILTER (WHERE mood_rating = 1)::int AS mood_1,
+                COUNT(*) FILTER (WHERE mood_rating = 2)::int AS mood_2,
+                COUNT(*) FILTER (WHERE mood_rating = 3)::int AS mood_3,
+                COUNT(*) FILTER (WHERE mood_rating = 4)::int AS mood_4,
+                COUNT(*) FILTER (WHERE mood_rating = 5)::int AS mood_5
+         FROM journal_entries
+         WHERE ${conditions.join(' AND ')}
+         GROUP BY bucket_start
+         ORDER BY bucket_start ASC`,
+        params
+      );
+
+      return result.rows.map(row => ({
+        bucket_start: row.bucket_start,
+        entry_count: row.entry_count,
+        mood_total: row.mood_total,
+        min_mood: row.min_mood,
+        max_mood: row.max_mood,
+        distribution: Object.fromEntries(MOOD_RATINGS.map(rating => [rating, row[`mood_${rating}`]])),
+      }));
+    },
+
+    async trash(userId, id) {
+      const result = await db.query(
+        'UPDATE journal_entries SET deleted_at = NOW() WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL RETURNING id',
+        [id, userId]
+      );
+      return result.rows.length > 0;
+    },
+
+    // Restoring counts as a change, so syncing devices pick the entry up again
+    async restore(userId, id) {
+      const result = await db.query(
+        `UPDATE journal_entries SET deleted_at = NULL, updated_at = NOW()
+         WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL
+         RETURNING id`,
+        [id, userId]
+      );
+      return result.rows.length > 0;
+    },
+
+    // Most recently deleted first, with the time each entry will be purged
+    async listTrash(userId, retentionDays) {
+      const result = await db.query(
+        `SELECT id, entry_text, mood_rating, timestamp, updated_at, ${ENTRY_TAGS_SQL}, deleted_at,
+                deleted_at + make_interval(days => $2) AS purge_at
+         FROM journal_entries
+         WHERE user_id = $1 AND deleted_at IS NOT NULL
+         ORDER BY deleted_at DESC, id DESC`,
+        [userId, retentionDays]
+      );
+      return result.rows.map(decryptEntryText);
+    },
+
+    // Every user's entries; the DELETE trigger leaves sync tombstones behind
+    async purgeTrash(retentionDays) {
+      const result = await db.query(
+        'DELETE FROM journal_entries WHERE deleted_at < NOW() - make_interval(days => $1)',
+        [retentionDays]
+      );
+      return result.rowCount;
+    },
+
+    // Insert an entry created offline, or apply an offline edit unless the
+    // entry was changed elsewhere since the device last pulled it (the server
+    // wins). Returns { status: 'applied', id } or { status: 'rejected', reason }.
+    async upsertSynced(userId, change) {
+      const { id, client_id, base_updated_at, entry_text, mood_rating, timestamp, tags = [] } = change;
+
+      if (!id) {
+        const inserted = await db.query(
+          `INSERT INTO journal_entries (user_id, entry_text, mood_rating, timestamp, client_id)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (user_id, client_id) WHERE client_id IS NOT NULL DO NOTHING
+           RETURNING id`,
+          [userId, cipher.encrypt(entry_text), mood_rating, timestamp || new Date().toISOString(), client_id]
+        );
+
+        if (inserted.rows.length === 0) {
+          // Pushed before, but the device never got the response
+          const existing = await db.query(
+            'SELECT id FROM journal_entries WHERE user_id = $1 AND client_id = $2',
+            [userId, client_id]
+          );
+          return { status: 'applied', id: existing.rows[0].id };
+        }
+
+        await setEntryTags(db, userId, inserted.rows[0].id, tags);
+        await searchIndex.index(db, [{ id: inserted.rows[0].id, user_id: userId, text: entry_text }]);
+        return { status: 'applied', id: inserted.rows[0].id };
+      }
+
+      const current = await db.query(
+        `SELECT entry_text, mood_rating,
+                date_trunc('milliseconds', updated_at) IS DISTINCT FROM $3::timestamp AS changed_elsewhere
+         FROM journal_entries WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL FOR UPDATE`,
+        [id, userId, base_updated_at]
+      );
+
+      if (current.rows.length === 0) {
+        return { status: 'rejected', reason: 'not_found' };
+      }
+      if (current.rows[0].changed_elsewhere) {
+        return { status: 'rejected', reason: 'conflict' };
+      }
+
+      await db.query(
+        'INSERT INTO journal_entry_revisions (entry_id, entry_text, mood_rating) VALUES ($1, $2, $3)',
+        [id, current.rows[0].entry_text, current.rows[0].mood_rating]
+      );
+      await db.query(
+        'UPDATE journal_entries SET entry_text = $1, mood_rating = $2, updated_at = NOW() WHERE id = $3 AND user_id = $4',
+        [cipher.encrypt(entry_text), mood_rating, id, userId]
+      );
+      await setEntryTags(db, userId, id, tags);
+      await searchIndex.index(db, [{ id, user_id: userId, text: entry_text }]);
+
+      return { status: 'applied', id };
+    },
+
+    // Deletions made on a device move entries to the trash; returns the ids moved
+    async trashMany(userId, ids) {
+      const result = await db.query(
+        `UPDATE journal_entries SET deleted_at = NOW()
+         WHERE user_id = $1 AND id = ANY($2::int[]) AND deleted_at IS NULL
+         RETURNING id`,
+        [userId, ids]
+      );
+      return result.rows.map(row => row.id);
+    },
+
+    // Entries changed after `since` (everything when since is null), plus the
+    // ids in `include`, and the ids trashed or purged after it
+    async listChanges(userId, { since, include = [] }) {
+      const changed = await db.query(
+        `SELECT id, entry_text, mood_rating, timestamp, created_at, updated_at, ${ENTRY_TAGS_SQL}
+         FROM journal_entries
+         WHERE user_id = $1 AND deleted_at IS NULL
+           AND ($2::timestamp IS NULL
+             OR COALESCE(updated_at, created_at) > $2::timestamp - make_interval(secs => $3)
+             OR id = ANY($4::int[]))
+         ORDER BY timestamp DESC, id DESC`,
+        [userId, since, SYNC_OVERLAP_SECONDS, include]
+      );
+
+      // A full sync replaces the device's copy, so it needs no tombstones
+      const deleted = since === null ? { rows: [] } : await db.query(
+        `SELECT record_id AS id FROM sync_tombstones
+         WHERE user_id = $1 AND resource = 'journal_entry' AND deleted_at > $2::timestamp - make_interval(secs => $3)
+         UNION
+         SELECT id FROM journal_entries
+         WHERE user_id = $1 AND deleted_at > $2::timestamp - make_interval(secs => $3)`,
+        [userId, since, SYNC_OVERLAP_SECONDS]
+      );
+
+      return { changed: changed.rows.map(decryptEntryText), deleted: deleted.rows.map(row => row.id) };
+    },
+
+    async countActive() {
+      const result = await db.query('SELECT COUNT(*)::int AS count FROM journal_entries WHERE deleted_at IS NULL');
+      return result.rows[0].count;
+    },
+  };
+};
+
+// Memory
+
+const WORD_PATTERN = /[\p{L}\p{N}']+/gu;
+
+// Search terms from web-search style input: words must all appear (matching
+// by prefix, so "walk" finds "walking"), "-word" must not, and quotes only
+// group words. "or" is ignored. Returns null when nothing is left to match.
+const parseSearchQuery = (q) => {
+  const include = [];
+  const exclude = [];
+
+  (q.toLowerCase().match(/-?"[^"]*"|\S+/g) || []).forEach((token) => {
+    const negated = token.startsWith('-');
+    const words = token.match(WORD_PATTERN) || [];
+    if (token === 'or' || words.length === 0) {
+      return;
+    }
+    (negated ? exclude : include).push(...words);
+  });
+
+  return include.length > 0 ? { include, exclude } : null;
+};
+
+const matchesTerm = (word, terms) => terms.some(term => word.startsWith(term));
+
+// Up to SNIPPET_WORDS words around the first match, matches wrapped in <mark>
+const SNIPPET_WORDS = 30;
+
+const highlight = (text, terms) => {
+  const tokens = text.split(/(\s+)/);
+  const wordTokens = tokens.filter((token, index) => index % 2 === 0);
+  const first = wordTokens.findIndex(token => (token.toLowerCase().match(WORD_PATTERN) || [])
+    .some(word => matchesTerm(word, terms)));
+  const start = Math.max(0, first - Math.floor(SNIPPET_WORDS / 3));
+
+  return tokens
+    .slice(start * 2, (start + SNIPPET_WORDS) * 2 - 1)
+    .join('')
+    .replace(WORD_PATTERN, word => (matchesTerm(word.toLowerCase(), terms) ? `<mark>${word}</mark>` : word));
+};
+
+// Start of the day, week (Monday) or month a time falls in, in UTC
+const bucketStart = (date, bucket) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (bucket === 'week') {
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  } else if (bucket === 'month') {
+    day.setUTCDate(1);
+  }
+  return day;
+};
+
+// Same timestamp text as the Postgres positions
+const memoryPosition = entry => ({ timestamp: formatTimestamp(entry.timestamp), id: entry.id });
+
+// Entries live in this process only, so they are kept as plaintext and
+// search is a word match over them instead of a full-text index; it is
+// offered only when `searchIndex` is enabled, as with Postgres. Changes are
+// applied immediately: every method checks what it needs before changing
+// anything, which is all a transaction has to guarantee here.
+const createMemoryJournalRepository = ({ searchIndex }) => {
+  const entries = new Map();
+  const revisions = [];
+  const userTags = new Map(); // user id -> Set of tag names ever used
+  const tombstones = []; // { user_id, record_id, deleted_at } for purged entries
+  let lastEntryId = 0;
+  let lastRevisionId = 0;
+
+  const isLive = (entry, userId) => entry && entry.user_id === userId && entry.deleted_at === null;
+
+  const userEntries = userId => [...entries.values()].filter(entry => isLive(entry, userId));
+
+  const toRow = ({ id, entry_text, mood_rating, timestamp, updated_at, tags }) => ({
+    id, entry_text, mood_rating, timestamp, updated_at, tags: [...tags],
+  });
+
+  const setEntryTags = (entry, tags) => {
+    if (!userTags.has(entry.user_id)) {
+      userTags.set(entry.user_id, new Set());
+    }
+    tags.forEach(tag => userTags.get(entry.user_id).add(tag));
+    entry.tags = [...new Set(tags)].sort();
+  };
+
+  const insertEntry = (userId, { entry_text, mood_rating, timestamp, tags = [] }, clientId = null) => {
+    const now = new Date();
+    const entry = {
+      id: ++lastEntryId,
+      user_id: userId,
+      entry_text,
+      mood_rating,
+      timestamp: timestamp ? new Date(timestamp) : now,
+      created_at: now,
+      updated_at: null,
+      deleted_at: null,
+      client_id: clientId,
+      tags: [],
+    };
+    setEntryTags(entry, tags);
+    entries.set(entry.id, entry);
+    return entry;
+  };
+
+  const saveRevision = (entry) => {
+    revisions.push({
+      id: ++lastRevisionId,
+      entry_id: entry.id,
+      entry_text: entry.entry_text,
+      mood_rating: entry.mood_rating,
+      revised_at: new Date(),
+    });
+  };
+
+  const trashEntry = (entry) => {
+    entry.deleted_at = new Date();
+  };
+
+  return {
+    searchEnabled: searchIndex.enabled,
+
+    async exists(userId, id) {
+      return isLive(entries.get(id), userId);
+    },
+
+    async create(userId, entry) {
+      const { id, timestamp } = insertEntry(userId, entry);
+      return { id, timestamp };
+    },
+
+    async createMany(userId, newEntries) {
+      return newEntries.map(entry => insertEntry(userId, entry).id);
+    },
+
+    async list(userId, { limit, after, tag, from, to, mood_min, mood_max }) {
+      const position = after ? { timestamp: parseTimestamp(after.timestamp), id: after.id } : null;
+
+      const rows = userEntries(userId)
+        .filter(entry => !position || compareByTimestampAndId(entry, position) < 0)
+        .filter(entry => !from || entry.timestamp >= from)
+        .filter(entry => !to || entry.timestamp <= to)
+        .filter(entry => !mood_min || entry.mood_rating >= mood_min)
+        .filter(entry => !mood_max || entry.mood_rating <= mood_max)
+        .filter(entry => !tag || entry.tags.includes(tag))
+        .sort((a, b) => compareByTimestampAndId(b, a))
+        .slice(0, limit + 1);
+
+      const page = toPage(rows, limit, memoryPosition);
+      return { ...page, entries: page.entries.map(toRow) };
+    },
+
+    async listForExport(userId, { limit, after }) {
+      const position = after ? { timestamp: parseTimestamp(after.timestamp), id: after.id } : null;
+
+      const rows = userEntries(userId)
+        .filter(entry => !position || compareByTimestampAndId(entry, position) > 0)
+        .sort(compareByTimestampAndId)
+        .slice(0, limit + 1);
+
+      const page = toPage(rows, limit, memoryPosition);
+      return { ...page, entries: page.entries.map(toRow) };
+    },
+
+    async listByTimestamps(userId, timestamps) {
+      const times = new Set(timestamps.map(timestamp => new Date(timestamp).getTime()));
+      return userEntries(userId)
+        .filter(entry => times.has(entry.timestamp.getTime()))
+        .map(({ id, timestamp, entry_text }) => ({ id, timestamp, entry_text }));
+    },
+
+    async search(userId, q, limit) {
+      const query = parseSearchQuery(q);
+      if (!query) {
+        return [];
+      }
+
+      return userEntries(userId)
+        .map((entry) => {
+          const words = entry.entry_text.toLowerCase().match(WORD_PATTERN) || [];
+          const found = query.include.every(term => words.some(word => word.startsWith(term)));
+          const excluded = words.some(word => matchesTerm(word, query.exclude));
+          const hits = words.filter(word => matchesTerm(word, query.include)).length;
+          return found && !excluded ? { entry, rank: hits / words.length } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => (b.rank - a.rank) || (b.entry.timestamp - a.entry.timestamp))
+        .slice(0, limit)
+        .map(({ entry, rank }) => ({ ...toRow(entry), rank, snippet: highlight(entry.entry_text, query.include) }));
+    },
+
+    async update(userId, id, { entry_text, mood_rating, tags }) {
+      const entry = entries.get(id);
+      if (!isLive(entry, userId)) {
+        return null;
+      }
+
+      saveRevision(entry);
+      if (entry_text !== undefined) entry.entry_text = entry_text;
+      if (mood_rating !== undefined) entry.mood_rating = mood_rating;
+      if (tags) setEntryTags(entry, tags);
+      entry.updated_at = new Date();
+
+      return toRow(entry);
+    },
+
+    async listRevisions(id) {
+      return revisions
+        .filter(revision => revision.entry_id === id)
+        .sort((a, b) => (b.revised_at - a.revised_at) || (b.id - a.id))
+        .map(({ entry_id, ...revision }) => revision);
+    },
+
+    async listTags(userId, prefix, limit) {
+      const live = userEntries(userId);
+      return [...(userTags.get(userId) || [])]
+        .filter(name => name.startsWith(prefix))
+        .map(name => ({ name, entry_count: live.filter(entry => entry.tags.includes(name)).length }))
+        .sort((a, b) => (b.entry_count - a.entry_count) || (a.name < b.name ? -1 : 1))
+        .slice(0, limit);
+    },
+
+    async moodBuckets(userId, { bucket, from, to }) {
+      const buckets = new Map();
+
+      userEntries(userId)
+        .filter(entry => (!from || entry.timestamp >= from) && (!to || entry.timestamp <= to))
+        .forEach((entry) => {
+          const start = bucketStart(entry.timestamp, bucket);
+          if (!buckets.has(start.getTime())) {
+            buckets.set(start.getTime(), {
+              bucket_start: start,
+              entry_count: 0,
+              mood_total: 0,
+              min_mood: null,
+              max_mood: null,
+              distribution: Object.fromEntries(MOOD_RATINGS.map(rating => [rating, 0])),
+            });
+          }
+
+          const row = buckets.get(start.getTime());
+          row.entry_count += 1;
+          if (entry.mood_rating !== null && entry.mood_rating !== undefined) {
+            row.mood_total += entry.mood_rating;
+            row.min_mood = row.min_mood === null ? entry.mood_rating : Math.min(row.min_mood, entry.mood_rating);
+            row.max_mood = row.max_mood === null ? entry.mood_rating : Math.max(row.max_mood, entry.mood_rating);
+            row.distribution[entry.mood_rating] += 1;
+          }
+        });
+
+      return [...buckets.values()].sort((a, b) => a.bucket_start - b.bucket_start);
+    },
+
+    async trash(userId, id) {
+      const entry = entries.get(id);
+      if (!isLive(entry, userId)) {
+        return false;
+      }
+      trashEntry(entry);
+      return true;
+    },
+
+    async restore(userId, id) {
+      const entry = entries.get(id);
+      if (!entry || entry.user_id !== userId || entry.deleted_at === null) {
+        return false;
+      }
+      entry.deleted_at = null;
+      entry.updated_at = new Date();
+      return true;
+    },
+
+    async listTrash(userId, retentionDays) {
+      return [...entries.values()]
+        .filter(entry => entry.user_id === userId && entry.deleted_at !== null)
+        .sort((a, b) => (b.deleted_at - a.deleted_at) || (b.id - a.id))
+        .map(entry => ({
+          ...toRow(entry),
+          deleted_at: entry.deleted_at,
+          purge_at: addDays(entry.deleted_at, retentionDays),
+        }));
+    },
+
+    async purgeTrash(retentionDays) {
+      const cutoff = addDays(new Date(), -retentionDays);
+      let purged = 0;
+
+      entries.forEach((entry) => {
+        if (entry.deleted_at !== null && entry.deleted_at < cutoff) {
+          entries.delete(entry.id);
+          tombstones.push({ user_id: entry.user_id, record_id: entry.id, deleted_at: new Date() });
+          purged += 1;
+        }
+      });
+      for (let index = revisions.length - 1; index >= 0; index -= 1) {
+        if (!entries.has(revisions[index].entry_id)) {
+          revisions.splice(index, 1);
+        }
+      }
+      return purged;
+    },
+
+    async upsertSynced(userId, change) {
+      const { id, client_id, base_updated_at, entry_text, mood_rating, timestamp, tags = [] } = change;
+
+      if (!id) {
+        const existing = [...entries.values()].find(entry => entry.user_id === userId && entry.client_id === client_id);
+        const entry = existing || insertEntry(userId, { entry_text, mood_rating, timestamp, tags }, client_id);
+        return { status: 'applied', id: entry.id };
+      }
+
+      const entry = entries.get(id);
+      if (!isLive(entry, userId)) {
+        return { status: 'rejected', reason: 'not_found' };
+      }
+      if (isDistinctTime(entry.updated_at, base_updated_at)) {
+        return { status: 'rejected', reason: 'conflict' };
+      }
+
+      saveRevision(entry);
+      entry.entry_text = entry_text;
+      entry.mood_rating = mood_rating;
+      setEntryTags(entry, tags);
+      entry.updated_at = new Date();
+
+      return { status: 'applied', id };
+    },
+
+    async trashMany(userId, ids) {
+      return ids.filter((id) => {
+        const entry = entries.get(id);
+        if (!isLive(entry, userId)) {
+          return false;
+        }
+        trashEntry(entry);
+        return true;
+      });
+    },
+
+    async listChanges(userId, { since, include = [] }) {
+      const reachBack = since === null ? null : new Date(parseTimestamp(since).getTime() - SYNC_OVERLAP_SECONDS * 1000);
+
+      const changed = userEntries(userId)
+        .filter(entry => reachBack === null || (entry.updated_at || entry.created_at) > reachBack || include.includes(entry.id))
+        .sort((a, b) => compareByTimestampAndId(b, a))
+        .map(({ id, entry_text, mood_rating, timestamp, created_at, updated_at, tags }) => ({
+          id, entry_text, mood_rating, timestamp, created_at, updated_at, tags: [...tags],
+        }));
+
+      if (reachBack === null) {
+        return { changed, deleted: [] };
+      }
+
+      const purged = tombstones
+        .filter(tombstone => tombstone.user_id === userId && tombstone.deleted_at > reachBack)
+        .map(tombstone => tombstone.record_id);
+      const trashed = [...entries.values()]
+        .filter(entry => entry.user_id === userId && entry.deleted_at !== null && entry.deleted_at > reachBack)
+        .map(entry => entry.id);
+
+      return { changed, deleted: [...new Set([...purged, ...trashed])] };
+    },
+
+    async countActive() {
+      return [...entries.values()].filter(entry => entry.deleted_at === null).length;
+    },
+  };
+};
+
+module.exports = {
+  createPostgresJournalRepository,
+  createMemoryJournalRepository,
+};
@@ -0,0 +1,100 @@
+// backend/repositories/support.js - Pieces shared by the repository implementations
+
+// Both stores throw this when a write would break a uniqueness rule (an
+// account's email, a contact's email among the user's live contacts)
+class DuplicateRecordError extends Error {
+  constructor(message = 'Record already exists') {
+    super(message);
+    this.name = 'DuplicateRecordError';
+  }
+}
+
+const UNIQUE_VIOLATION = '23505';
+
+// Run a query-issuing function, turning unique violations into DuplicateRecordError
+const rethrowDuplicate = async (fn) => {
+  try {
+    return await fn();
+  } catch (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      throw new DuplicateRecordError(error.detail);
+    }
+    throw error;
+  }
+};
+
+// Postgres repositories run their queries through { query, transaction }.
+// On the pool, transaction() checks out a client and wraps fn in BEGIN/COMMIT;
+// inside a transaction it becomes a savepoint, so a failed step is rolled
+// back on its own and the outer transaction carries on.
+const clientDatabase = (client, depth = 0) => ({
+  query: (...args) => client.query(...args),
+
+  async transaction(fn) {
+    const savepoint = `repository_${depth + 1}`;
+    await client.query(`SAVEPOINT ${savepoint}`);
+    try {
+      const result = await fn(clientDatabase(client, depth + 1));
+      await client.query(`RELEASE SAVEPOINT ${savepoint}`);
+      return result;
+    } catch (error) {
+      await client.query(`ROLLBACK TO SAVEPOINT ${savepoint}`).catch(() => {});
+      throw error;
+    }
+  },
+});
+
+const poolDatabase = (pool) => ({
+  query: (...args) => pool.query(...args),
+
+  async transaction(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(clientDatabase(client));
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+});
+
+// Rows written by transactions still open during a sync pull carry change
+// times just before that pull's cursor, so each pull reaches back this far.
+// Rows sent twice are applied twice by the client, which is harmless.
+const SYNC_OVERLAP_SECONDS = 5;
+
+// The memory store keeps times as Dates; sync cursors hold them as text in
+// the same "YYYY-MM-DD HH:MM:SS.fff" form Postgres uses (UTC)
+const formatTimestamp = (date) => date.toISOString().replace('T', ' ').replace('Z', '');
+
+const parseTimestamp = (text) => new Date(`${text.replace(' ', 'T')}Z`);
+
+// Millisecond timestamps compared the way Postgres' IS DISTINCT FROM does
+const isDistinctTime = (a, b) => {
+  if (!a || !b) {
+    return Boolean(a) !== Boolean(b);
+  }
+  return new Date(a).getTime() !== new Date(b).getTime();
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+// Sort comparator for (timestamp, id) keyset order
+const compareByTimestampAndId = (a, b) => (a.timestamp - b.timestamp) || (a.id - b.id);
+
+module.exports = {
+  DuplicateRecordError,
+  rethrowDuplicate,
+  poolDatabase,
+  SYNC_OVERLAP_SECONDS,
+  formatTimestamp,
+  parseTimestamp,
+  isDistinctTime,
+  addDays,
+  compareByTimestampAndId,
+};
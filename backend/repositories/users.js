@@ -0,0 +1,126 @@
+// backend/repositories/users.js - Accounts and their refresh tokens
+//
+// UserRepository, implemented over Postgres and in memory. Emails are
+// compared lowercase; create() throws DuplicateRecordError for one already
+// registered. Refresh tokens are stored by hash and work once.
+//   create({ email, password_hash, display_name })  -> { id, email, display_name }
+//   findByEmail(email)                              includes password_hash
+//   findById(id)
+//   createRefreshToken(userId, tokenHash, expiresAt)
+//   useRefreshToken(tokenHash)      revokes a live token; its user id, or null
+//   revokeRefreshToken(tokenHash)   revokes an unrevoked token; its user id, or null
+const { DuplicateRecordError, rethrowDuplicate } = require('./support');
+
+// Postgres
+
+const createPostgresUserRepository = (db) => ({
+  async create({ email, password_hash, display_name }) {
+    const result = await rethrowDuplicate(() => db.query(
+      'INSERT INTO users (email, password_hash, display_name) VALUES ($1, $2, $3) RETURNING id, email, display_name',
+      [email.toLowerCase(), password_hash, display_name || null]
+    ));
+    return result.rows[0];
+  },
+
+  async findByEmail(email) {
+    const result = await db.query(
+      'SELECT id, email, display_name, password_hash FROM users WHERE email = $1',
+      [email.toLowerCase()]
+    );
+    return result.rows[0] || null;
+  },
+
+  async findById(id) {
+    const result = await db.query('SELECT id, email, display_name FROM users WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  },
+
+  async createRefreshToken(userId, tokenHash, expiresAt) {
+    await db.query(
+      'INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+      [userId, tokenHash, expiresAt]
+    );
+  },
+
+  async useRefreshToken(tokenHash) {
+    const result = await db.query(
+      `UPDATE refresh_tokens SET revoked_at = NOW()
+       WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       RETURNING user_id`,
+      [tokenHash]
+    );
+    return result.rows.length > 0 ? result.rows[0].user_id : null;
+  },
+
+  async revokeRefreshToken(tokenHash) {
+    const result = await db.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_hash = $1 AND revoked_at IS NULL RETURNING user_id',
+      [tokenHash]
+    );
+    return result.rows.length > 0 ? result.rows[0].user_id : null;
+  },
+});
+
+// Memory
+
+const createMemoryUserRepository = () => {
+  const users = new Map();
+  const refreshTokens = new Map(); // token hash -> { user_id, expires_at, revoked_at }
+  let lastUserId = 0;
+
+  const findUser = email => [...users.values()].find(user => user.email === email.toLowerCase());
+
+  return {
+    async create({ email, password_hash, display_name }) {
+      if (findUser(email)) {
+        throw new DuplicateRecordError(`Key (email)=(${email.toLowerCase()}) already exists.`);
+      }
+
+      const user = {
+        id: ++lastUserId,
+        email: email.toLowerCase(),
+        password_hash,
+        display_name: display_name || null,
+      };
+      users.set(user.id, user);
+      return { id: user.id, email: user.email, display_name: user.display_name };
+    },
+
+    async findByEmail(email) {
+      const user = findUser(email);
+      return user ? { ...user } : null;
+    },
+
+    async findById(id) {
+      const user = users.get(id);
+      return user ? { id: user.id, email: user.email, display_name: user.display_name } : null;
+    },
+
+    async createRefreshToken(userId, tokenHash, expiresAt) {
+      refreshTokens.set(tokenHash, { user_id: userId, expires_at: expiresAt, revoked_at: null });
+    },
+
+    async useRefreshToken(tokenHash) {
+      const token = refreshTokens.get(tokenHash);
+      if (!token || token.revoked_at !== null || token.expires_at <= new Date()) {
+        return null;
+      }
+      token.revoked_at = new Date();
+      return token.user_id;
+    },
+
+    async revokeRefreshToken(tokenHash) {
+      const token = refreshTokens.get(tokenHash);
+      if (!token || token.revoked_at !== null) {
+        return null;
+      }
+      token.revoked_at = new Date();
+      return token.user_id;
+    },
+  };
+};
+
+module.exports = {
+  createPostgresUserRepository,
+  createMemoryUserRepository,
+};
@@ -0,0 +1,54 @@
+// backend/seed.js - Command line runner for seed-data profiles
+//
+//   npm run seed -- demo     Seed the demo account
+//   npm run seed -- large    Seed the large synthetic dataset
+//   npm run seed -- --list   List available profiles
+//   npm run seed             Seed the profile named by SEED_PROFILE
+const { Pool } = require('pg');
+const { listSeedProfiles, loadSeedProfile, runSeed, DEFAULT_SEED_PROFILE } = require('./seeder');
+const { getMigrationStatus, describeStatusProblems } = require('./migrator');
+const { createPoolConfig, printPoolConfig } = require('./db');
+
+const printProfiles = () => {
+  console.log('🌱 Seed profiles:');
+  listSeedProfiles().forEach((profile) => {
+    const description = profile === DEFAULT_SEED_PROFILE
+      ? 'No seed data (default)'
+      : loadSeedProfile(profile).description;
+    console.log(`   ${profile.padEnd(8)} ${description}`);
+  });
+};
+
+async function main() {
+  const [profile] = process.argv.slice(2);
+
+  if (profile === '--list') {
+    printProfiles();
+    return;
+  }
+
+  const poolConfig = createPoolConfig();
+  printPoolConfig(poolConfig);
+  const pool = new Pool(poolConfig);
+
+  try {
+    // Profiles insert into the current schema, so it has to be up to date
+    if (describeStatusProblems(await getMigrationStatus(pool))) {
+      throw new Error('Database schema is not up to date - run `npm run migrate` first');
+    }
+
+    const result = await runSeed(pool, profile);
+    if (result.skipped) {
+      console.log(`✅ Nothing to seed for profile "${result.profile}"`);
+    } else {
+      console.log(`✅ Seeded profile "${result.profile}": ${result.user} with ${result.entries} journal entries and ${result.contacts} contacts`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Seeding failed:', error.message);
+  process.exit(1);
+});
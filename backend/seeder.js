@@ -0,0 +1,116 @@
+// backend/seeder.js - Named seed-data profiles
+//
+// A profile is a module in ./seeds exporting { description, run(client) }.
+// `none` inserts nothing and is the default. Profiles create their own
+// account and skip themselves if it already exists, so seeding is safe to
+// repeat on every start.
+//
+// config.js validates SEED_PROFILE against listSeedProfiles(), so this module
+// reads the config (and auth.js, which reads it too) lazily.
+const path = require('path');
+const fs = require('fs');
+const { loadKeyring, createJournalCipher } = require('./journalCrypto');
+const { resolveSearchIndexEnabled, createSearchIndex } = require('./journalSearch');
+
+const SEEDS_DIR = path.join(__dirname, 'seeds');
+const DEFAULT_SEED_PROFILE = 'none';
+
+const listSeedProfiles = () => {
+  const profiles = fs.readdirSync(SEEDS_DIR)
+    .filter(file => file.endsWith('.js'))
+    .map(file => path.basename(file, '.js'));
+  return [DEFAULT_SEED_PROFILE, ...profiles.sort()];
+};
+
+// Validate a profile name given on the command line the way config.js
+// validates SEED_PROFILE: production databases never receive demo rows
+const resolveSeedProfile = (name) => {
+  const { config } = require('./config');
+  const profile = name && name.trim() !== '' ? name.trim() : config.seedProfile;
+
+  if (!listSeedProfiles().includes(profile)) {
+    throw new Error(`Unknown seed profile "${profile}" (expected one of: ${listSeedProfiles().join(', ')})`);
+  }
+
+  if (profile !== DEFAULT_SEED_PROFILE && config.isProduction) {
+    throw new Error(`Seed profile "${profile}" cannot be used in production`);
+  }
+
+  return profile;
+};
+
+const loadSeedProfile = (profile) => require(path.join(SEEDS_DIR, `${profile}.js`));
+
+// Run a profile in a single transaction; returns a summary of what was inserted
+const runSeed = async (pool, name) => {
+  const profile = resolveSeedProfile(name);
+  if (profile === DEFAULT_SEED_PROFILE) {
+    return { profile, skipped: true };
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const summary = await loadSeedProfile(profile).run(client);
+    await client.query('COMMIT');
+    return { profile, ...summary };
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+};
+
+// Shared by profiles: create the seed account unless it exists. Returns the
+// new user's id, or null when the profile has already been applied.
+const createSeedUser = async (client, { email, password, displayName }) => {
+  const existing = await client.query('SELECT id FROM users WHERE email = $1', [email]);
+  if (existing.rows.length > 0) {
+    return null;
+  }
+
+  const { hashPassword } = require('./auth');
+  const result = await client.query(
+    'INSERT INTO users (email, password_hash, display_name) VALUES ($1, $2, $3) RETURNING id',
+    [email, await hashPassword(password), displayName]
+  );
+  return result.rows[0].id;
+};
+
+// Shared by profiles: profiles insert journal text as plaintext and call
+// this once at the end, so it is stored the way the server stores it -
+// encrypted when keys are configured, and indexed when search is on
+const protectSeedEntries = async (client, userId) => {
+  const { config } = require('./config');
+  const cipher = createJournalCipher(loadKeyring(config.journal.encryption));
+  const searchIndex = createSearchIndex(resolveSearchIndexEnabled(cipher.enabled, config.journal.searchIndex));
+
+  const result = await client.query('SELECT id, entry_text FROM journal_entries WHERE user_id = $1', [userId]);
+  const entries = result.rows.map(row => ({ id: row.id, user_id: userId, text: row.entry_text }));
+
+  if (cipher.enabled && entries.length > 0) {
+    await client.query(
+      `UPDATE journal_entries SET entry_text = sealed.text
+       FROM unnest($1::int[], $2::text[]) AS sealed(id, text)
+       WHERE journal_entries.id = sealed.id`,
+      [entries.map(entry => entry.id), entries.map(entry => cipher.encrypt(entry.text))]
+    );
+  }
+  await searchIndex.index(client, entries);
+};
+
+module.exports = {
+  DEFAULT_SEED_PROFILE,
+  listSeedProfiles,
+  resolveSeedProfile,
+  loadSeedProfile,
+  runSeed,
+  createSeedUser,
+  protectSeedEntries,
+};
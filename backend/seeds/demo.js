@@ -0,0 +1,76 @@
+// Demo profile: one account with two weeks of journal entries, tags and contacts
+const { createSeedUser, protectSeedEntries } = require('../seeder');
+
+const DEMO_ACCOUNT = {
+  email: 'demo@muudhealth.com',
+  password: 'muud-demo-password',
+  displayName: 'Demo User',
+};
+
+// [days ago, mood, text, tags]
+const ENTRIES = [
+  [13, 4, 'Welcome to MUUD Health! Writing down how I feel each day from now on.', ['gratitude']],
+  [12, 3, 'Feeling a bit stressed about work deadlines, but trying to stay positive.', ['work', 'stress']],
+  [11, 2, 'Slept badly and everything felt heavy today. Skipped the gym.', ['sleep']],
+  [10, 4, 'Long walk after lunch cleared my head. Work felt manageable again.', ['exercise', 'work']],
+  [9, 5, 'Had a great day today! Felt really productive and accomplished a lot of my goals.', ['work', 'gratitude']],
+  [8, 3, 'Quiet day. Read for an hour before bed and slept better.', ['sleep']],
+  [7, 4, 'Spent quality time with family. Really helped me relax and recharge.', ['family']],
+  [6, 2, 'Argument with a friend. Still thinking about what I should have said.', ['friends', 'stress']],
+  [5, 3, 'Talked things through with my friend. Not fully resolved but better.', ['friends']],
+  [4, 4, 'Therapy session went well - working on noticing negative self-talk.', ['therapy']],
+  [3, 5, 'Morning run followed by breakfast with my sister. Great start to the weekend.', ['exercise', 'family']],
+  [2, 3, 'Busy at work but kept my evening free. Early night.', ['work', 'sleep']],
+  [1, 4, 'Practiced the breathing exercise before a big meeting and it actually helped.', ['work', 'therapy']],
+];
+
+const CONTACTS = [
+  ['Dr. Sarah Wilson', 'dr.wilson@healthcare.com'],
+  ['MUUD Health Support', 'support@muudhealth.com'],
+  ['Sarah Johnson', 'sarah.j@email.com'],
+  ['Mike Chen', 'mike.chen@email.com'],
+];
+
+module.exports = {
+  description: `A demo account (${DEMO_ACCOUNT.email} / ${DEMO_ACCOUNT.password}) with sample journal entries, tags and contacts`,
+
+  async run(client) {
+    const userId = await createSeedUser(client, DEMO_ACCOUNT);
+    if (userId === null) {
+      return { skipped: true };
+    }
+
+    const tagNames = [...new Set(ENTRIES.flatMap(([, , , tags]) => tags))];
+    const tagResult = await client.query(
+      `INSERT INTO tags (user_id, name)
+       SELECT $1::int, unnest($2::text[])
+       RETURNING id, name`,
+      [userId, tagNames]
+    );
+    const tagIds = new Map(tagResult.rows.map(row => [row.name, row.id]));
+
+    for (const [daysAgo, mood, text, tags] of ENTRIES) {
+      const entry = await client.query(
+        `INSERT INTO journal_entries (user_id, entry_text, mood_rating, timestamp)
+         VALUES ($1, $2, $3, NOW() - make_interval(days => $4::int) - INTERVAL '2 hours')
+         RETURNING id`,
+        [userId, text, mood, daysAgo]
+      );
+      await client.query(
+        'INSERT INTO journal_entry_tags (entry_id, tag_id) SELECT $1::int, unnest($2::int[])',
+        [entry.rows[0].id, tags.map(tag => tagIds.get(tag))]
+      );
+    }
+
+    await protectSeedEntries(client, userId);
+
+    for (const [name, email] of CONTACTS) {
+      await client.query(
+        'INSERT INTO contacts (user_id, contact_name, contact_email) VALUES ($1, $2, $3)',
+        [userId, name, email]
+      );
+    }
+
+    return { user: DEMO_ACCOUNT.email, entries: ENTRIES.length, contacts: CONTACTS.length };
+  },
+};
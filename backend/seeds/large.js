@@ -0,0 +1,91 @@
+// Large profile: a synthetic account for exercising pagination, search,
+// filters and insights at realistic volume. SEED_LARGE_ENTRIES overrides
+// the number of journal entries.
+const { createSeedUser, protectSeedEntries } = require('../seeder');
+const { config } = require('../config');
+
+const LARGE_ACCOUNT = {
+  email: 'load-test@muudhealth.com',
+  password: 'muud-load-test-password',
+  displayName: 'Load Test User',
+};
+
+const ENTRY_COUNT = config.seedLargeEntries;
+const CONTACT_COUNT = 200;
+const HISTORY_DAYS = 730;
+
+const OPENINGS = [
+  'Slept badly last night.',
+  'Woke up early and felt rested.',
+  'Work was hectic all day.',
+  'Took a long walk at lunch.',
+  'Had dinner with family.',
+  'Therapy session this afternoon.',
+  'Skipped the gym again.',
+  'Great run this morning.',
+  'Deadlines are piling up.',
+  'Caught up with an old friend.',
+];
+
+const CLOSINGS = [
+  'Feeling calmer than expected.',
+  'Anxious about tomorrow.',
+  'Grateful for the small things.',
+  'Need to get to bed earlier.',
+  'Trying to stay positive.',
+  'Proud of how I handled it.',
+  'Mostly just tired.',
+  'Want to do this more often.',
+];
+
+const TAGS = ['work', 'sleep', 'exercise', 'family', 'friends', 'therapy', 'stress', 'gratitude', 'travel', 'health'];
+
+module.exports = {
+  description: `A synthetic account (${LARGE_ACCOUNT.email}) with ${ENTRY_COUNT} journal entries over two years, tags and ${CONTACT_COUNT} contacts`,
+
+  async run(client) {
+    const userId = await createSeedUser(client, LARGE_ACCOUNT);
+    if (userId === null) {
+      return { skipped: true };
+    }
+
+    // Fixed seed so every run produces the same dataset
+    await client.query('SELECT setseed(0.42)');
+
+    await client.query(
+      `INSERT INTO journal_entries (user_id, entry_text, mood_rating, timestamp)
+       SELECT $1::int,
+              ($2::text[])[1 + floor(random() * array_length($2::text[], 1))::int] || ' ' ||
+              ($3::text[])[1 + floor(random() * array_length($3::text[], 1))::int],
+              1 + floor(random() * 5)::int,
+              NOW() - random() * make_interval(days => $5::int)
+       FROM generate_series(1, $4::int)`,
+      [userId, OPENINGS, CLOSINGS, ENTRY_COUNT, HISTORY_DAYS]
+    );
+
+    await protectSeedEntries(client, userId);
+
+    await client.query(
+      'INSERT INTO tags (user_id, name) SELECT $1::int, unnest($2::text[])',
+      [userId, TAGS]
+    );
+
+    // Each tag lands on roughly 15% of entries
+    await client.query(
+      `INSERT INTO journal_entry_tags (entry_id, tag_id)
+       SELECT e.id, t.id
+       FROM journal_entries e JOIN tags t ON t.user_id = e.user_id
+       WHERE e.user_id = $1 AND random() < 0.15`,
+      [userId]
+    );
+
+    await client.query(
+      `INSERT INTO contacts (user_id, contact_name, contact_email)
+       SELECT $1::int, 'Contact ' || i, 'contact' || i || '@example.com'
+       FROM generate_series(1, $2::int) AS i`,
+      [userId, CONTACT_COUNT]
+    );
+
+    return { user: LARGE_ACCOUNT.email, entries: ENTRY_COUNT, contacts: CONTACT_COUNT };
+  },
+};
@@ -1,66 +1,128 @@
 // backend/server.js - Fixed version with proper database connection
+const crypto = require('crypto');
 const express = require('express');
 const { Pool } = require('pg');
 const cors = require('cors');
 const Joi = require('joi');
-require('dotenv').config();
+const swaggerUiDist = require('swagger-ui-dist');
+const { config } = require('./config');
+const {
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  generateRefreshToken,
+  hashRefreshToken,
+  requireAuth,
+} = require('./auth');
+const { createPoolConfig, describePoolConfig } = require('./db');
+const { loadMigrations, getMigrationStatus, describeStatusProblems } = require('./migrator');
+const { runSeed, DEFAULT_SEED_PROFILE } = require('./seeder');
+const { IMPORT_FORMATS, IMPORT_CONTENT_TYPES, parseImport, resolveMapping } = require('./journalImport');
+const { createRateLimitStore, rateLimit } = require('./rateLimit');
+const { logger, requestLogger } = require('./logger');
+const { createRouteRegistry, buildOpenApiDocument, renderDocsPage } = require('./openapi');
+const { version: API_VERSION } = require('./package.json');
+const { sendError, sendValidationError, isDatabaseUnavailable } = require('./errors');
+const { loadKeyring, createJournalCipher } = require('./journalCrypto');
+const { resolveSearchIndexEnabled, createSearchIndex } = require('./journalSearch');
+const { createMetricsRegistry, httpMetrics, instrumentPool } = require('./metrics');
+const { createRepositories, DuplicateRecordError } = require('./repositories');
 
 const app = express();
-const port = process.env.PORT || 3000;
+const port = config.port;
+
+// Seed profile applied at startup (none, demo or large); never demo rows in production
+const SEED_PROFILE = config.seedProfile;
+
+// Journal text is envelope-encrypted at rest once master keys are configured
+// (see journalCrypto.js); search then relies on the opt-in index in journalSearch.js
+const journalCipher = createJournalCipher(loadKeyring(config.journal.encryption));
+const searchIndex = createSearchIndex(resolveSearchIndexEnabled(journalCipher.enabled, config.journal.searchIndex));
+
+// Days a deleted journal entry or contact stays in the trash, and how often
+// expired ones are purged
+const TRASH_RETENTION_DAYS = config.trashRetentionDays;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Request rate limits, counted in fixed windows (budgets are listed in
+// config.js). RATE_LIMIT_STORE picks where counters live (memory, or postgres
+// to share them between instances)
+const RATE_LIMIT_STORE = config.rateLimits.store;
+const RATE_LIMIT_BUDGETS = Object.fromEntries(Object.entries(config.rateLimits.budgets)
+  .map(([name, { max, windowSeconds }]) => [name, { name, max, windowMs: windowSeconds * 1000 }]));
+const RATE_LIMIT_PRUNE_INTERVAL_MS = 5 * 60 * 1000;
+
+// Accounts allowed to query the audit log, by user id
+const ADMIN_USER_IDS = config.adminUserIds;
+
+// Bearer token Prometheus sends to scrape /metrics; required in production,
+// without it (development and test) /metrics is open
+const METRICS_TOKEN = config.metricsToken;
+
+// Seconds requests in flight get to finish on SIGTERM/SIGINT before their
+// connections are closed anyway; keep it below the orchestrator's own grace period
+const SHUTDOWN_TIMEOUT_SECONDS = config.shutdownTimeoutSeconds;
+
+// Behind a load balancer or reverse proxy, set TRUST_PROXY (true, a hop count
+// or a list of proxy addresses) so req.ip is the client rather than the proxy
+if (config.trustProxy !== undefined) {
+  app.set('trust proxy', config.trustProxy);
+}
 
 // Middleware
+// Request IDs and the per-request log line come first so every response,
+// including rejections from the middleware below, is logged
+const metrics = createMetricsRegistry();
+
+app.use(requestLogger);
+app.use(httpMetrics(metrics));
+
+// Responses still being worked on, so shutdown can wait for them. Once
+// shutdown has begun, every response closes its keep-alive connection.
+let shuttingDown = false;
+const activeResponses = new Set();
+
+app.use((req, res, next) => {
+  activeResponses.add(res);
+  res.once('close', () => activeResponses.delete(res));
+  if (shuttingDown) {
+    res.set('Connection', 'close');
+  }
+  next();
+});
 app.use(cors({
   origin: '*', // Allow all origins for development
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 }));
+// Imports carry a whole exported journal, so they get a larger body limit.
+// The file may be the body itself (text/csv, text/markdown, or any type with
+// ?format=), read as text; otherwise it comes wrapped in a JSON request.
+const isRawImport = req => req.query.format !== undefined || Boolean(req.is(Object.keys(IMPORT_CONTENT_TYPES)));
+app.use('/import', express.text({ type: isRawImport, limit: '5mb' }));
+app.use('/import', express.json({ limit: '5mb' }));
 app.use(express.json());
 
-// Enhanced logging middleware
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  next();
-});
-
-// Database configuration with improved error handling
-const createPoolConfig = () => {
-  const config = {
-    user: process.env.DB_USER || 'postgres',
-    host: process.env.DB_HOST || 'localhost',
-    database: process.env.DB_NAME || 'muud_health',
-    port: parseInt(process.env.DB_PORT) || 5432,
-    connectionTimeoutMillis: 10000,
-    idleTimeoutMillis: 30000,
-    max: 20,
-    allowExitOnIdle: false,
-  };
-
-  // Handle password configuration
-  const dbPassword = process.env.DB_PASSWORD;
-  if (dbPassword && dbPassword.trim() !== '' && dbPassword !== 'undefined') {
-    config.password = dbPassword;
-    console.log('🔐 Using password authentication');
-  } else {
-    console.log('🔓 Using trust authentication (no password)');
-  }
-
-  console.log('🔧 Database Configuration:');
-  console.log(`  Host: ${config.host}`);
-  console.log(`  Port: ${config.port}`);
-  console.log(`  Database: ${config.database}`);
-  console.log(`  User: ${config.user}`);
-  console.log(`  Password: ${config.password ? '***SET***' : 'NOT SET'}`);
+// Route handlers go through the repositories. With DATA_STORE=memory they
+// keep everything in this process, and there is no pool at all: migrations,
+// seeding and the database checks below are skipped.
+const poolConfig = createPoolConfig();
+const pool = config.dataStore === 'postgres' ? new Pool(poolConfig) : null;
+if (pool) {
+  logger.info('Database configuration', describePoolConfig(poolConfig));
+  instrumentPool(metrics, pool);
+}
 
-  return config;
-};
+const repositories = createRepositories(config.dataStore, { pool, journalCipher, searchIndex });
 
-const pool = new Pool(createPoolConfig());
+const rateLimitStore = createRateLimitStore(RATE_LIMIT_STORE, pool);
 
 // Enhanced connection testing with better error handling
 async function testConnection(maxRetries = 10, retryDelay = 3000) {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      console.log(`🔄 Testing database connection (attempt ${attempt}/${maxRetries})...`);
+      logger.info('Testing database connection', { attempt, max_retries: maxRetries });
       
       const client = await pool.connect();
       const result = await client.query(`
@@ -72,321 +134,1746 @@ async function testConnection(maxRetries = 10, retryDelay = 3000) {
       `);
       
       const info = result.rows[0];
-      console.log('✅ Database connection successful!');
-      console.log(`   Connected as: ${info.user}`);
-      console.log(`   Database: ${info.database}`);
-      console.log(`   Server time: ${info.current_time}`);
-      console.log(`   PostgreSQL: ${info.version.split(' ')[0]} ${info.version.split(' ')[1]}`);
+      logger.info('Database connection successful', {
+        user: info.user,
+        database: info.database,
+        server_time: info.current_time,
+        postgres_version: info.version.split(' ')[1]
+      });
       
       client.release();
       return true;
     } catch (error) {
-      console.error(`❌ Connection attempt ${attempt} failed:`, error.message);
-      
       // Provide specific error guidance
+      let hint;
       if (error.code === 'ECONNREFUSED') {
-        console.log('   💡 Database server is not running or not accessible');
+        hint = 'Database server is not running or not accessible';
       } else if (error.code === 'ENOTFOUND') {
-        console.log('   💡 Database host not found - check DB_HOST setting');
+        hint = 'Database host not found - check DB_HOST setting';
       } else if (error.message.includes('password')) {
-        console.log('   💡 Password authentication failed - check DB_PASSWORD');
+        hint = 'Password authentication failed - check DB_PASSWORD';
       } else if (error.message.includes('database') && error.message.includes('does not exist')) {
-        console.log('   💡 Database does not exist - check DB_NAME setting');
+        hint = 'Database does not exist - check DB_NAME setting';
       }
-      
+
+      logger.warn('Database connection attempt failed', {
+        attempt,
+        max_retries: maxRetries,
+        error,
+        hint,
+        retry_in_ms: attempt < maxRetries ? retryDelay : undefined
+      });
+
       if (attempt < maxRetries) {
-        console.log(`   ⏳ Retrying in ${retryDelay/1000} seconds...`);
         await new Promise(resolve => setTimeout(resolve, retryDelay));
       }
     }
   }
   
-  console.error('❌ All database connection attempts failed');
+  logger.error('All database connection attempts failed');
   return false;
 }
 
 // Pool error handling
-pool.on('error', (err, client) => {
-  console.error('💥 Unexpected database pool error:', err);
+if (pool) {
+  pool.on('error', (err, client) => {
+    logger.error('Unexpected database pool error', { error: err });
+  });
+
+  pool.on('connect', (client) => {
+    logger.debug('New database client connected');
+  });
+}
+
+// Validation schemas
+const registerSchema = Joi.object({
+  email: Joi.string().email().required(),
+  password: Joi.string().min(8).max(128).required(),
+  display_name: Joi.string().min(1).max(255).optional()
+});
+
+const loginSchema = Joi.object({
+  email: Joi.string().email().required(),
+  password: Joi.string().required()
+});
+
+const refreshSchema = Joi.object({
+  refresh_token: Joi.string().required()
+});
+
+// Tags are stored lowercase without the leading '#': "#Work" becomes "work"
+const tagSchema = Joi.string().trim().lowercase().replace(/^#/, '')
+  .pattern(/^[a-z0-9_-]{1,50}$/)
+  .messages({ 'string.pattern.base': 'Tags may only contain letters, numbers, "-" and "_" (max 50 characters)' });
+
+const tagListSchema = Joi.array().items(tagSchema).unique().max(20);
+
+// The inclusive upper bound of a date range. A date without a time means the
+// whole of that day (UTC), so to=2024-03-31 still matches entries written
+// that afternoon rather than stopping at midnight.
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const rangeEndSchema = Joi.date().iso().custom((value, helpers) => (
+  DATE_ONLY.test(helpers.original) ? new Date(value.getTime() + 24 * 60 * 60 * 1000 - 1) : value
+));
+
+const journalEntrySchema = Joi.object({
+  tags: tagListSchema.optional(),
+  entry_text: Joi.string().min(1).required(),
+  mood_rating: Joi.number().integer().min(1).max(5).required(),
+  timestamp: Joi.date().iso().optional()
+});
+
+const journalEntryUpdateSchema = Joi.object({
+  tags: tagListSchema.optional(),
+  entry_text: Joi.string().min(1).optional(),
+  mood_rating: Joi.number().integer().min(1).max(5).optional()
+}).min(1);
+
+const journalListQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().optional(),
+  tag: tagSchema.optional(),
+  from: Joi.date().iso().optional(),
+  to: rangeEndSchema.optional()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+  mood_min: Joi.number().integer().min(1).max(5).optional(),
+  mood_max: Joi.number().integer().min(1).max(5).optional()
+    .when('mood_min', { is: Joi.exist(), then: Joi.number().min(Joi.ref('mood_min')) })
+});
+
+const journalSearchQuerySchema = Joi.object({
+  q: Joi.string().trim().min(1).max(200).required(),
+  limit: Joi.number().integer().min(1).max(50).default(20)
+});
+
+const tagListQuerySchema = Joi.object({
+  prefix: Joi.string().trim().lowercase().replace(/^#/, '').allow('').max(50).optional(),
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+const moodInsightsQuerySchema = Joi.object({
+  bucket: Joi.string().valid('day', 'week', 'month').default('day'),
+  from: Joi.date().iso().optional(),
+  to: rangeEndSchema.optional()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+});
+
+const contactSchema = Joi.object({
+  contact_name: Joi.string().min(1).required(),
+  contact_email: Joi.string().email().required()
+});
+
+// Path parameters, used for the API docs; :id is parsed by parseRecordId
+const recordIdParams = Joi.object({
+  id: Joi.number().integer().positive().required()
+});
+
+// Ids are SERIAL columns, so at most 2^31 - 1
+const MAX_RECORD_ID = 2147483647;
+
+// :id must be plain digits. parseInt (and Joi's number conversion) would read
+// "1.5", "1abc" or "1e3" as some other record's id. Returns null when invalid.
+const parseRecordId = (value) => {
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) {
+    return null;
+  }
+  const id = Number(value);
+  return id >= 1 && id <= MAX_RECORD_ID ? id : null;
+};
+
+const sendInvalidRecordId = (res, label) => {
+  return sendError(res, 'VALIDATION_FAILED', `Invalid ${label.toLowerCase()} ID`, {
+    fields: [{ field: 'id', message: '"id" must be a positive whole number' }]
+  });
+};
+
+const contactUpdateSchema = Joi.object({
+  contact_name: Joi.string().min(1).optional(),
+  contact_email: Joi.string().email().optional()
+}).min(1);
+
+// The schema is managed by versioned migrations (see migrations/ and
+// `npm run migrate`); the server only checks that all of them are applied
+async function checkMigrations() {
+  try {
+    logger.info('Checking database migrations');
+
+    const problems = describeStatusProblems(await getMigrationStatus(pool));
+    if (problems) {
+      logger.error('Database schema is not up to date', {
+        problems,
+        hint: 'Run `npm run migrate` (or `npm run migrate -- status` for details)'
+      });
+      return false;
+    }
+
+    logger.info('Database schema is up to date');
+    return true;
+  } catch (error) {
+    logger.error('Error checking migrations', { error });
+    return false;
+  }
+}
+
+// Database initialization: apply the configured seed profile and report row counts
+async function initializeDatabase() {
+  try {
+    const seed = await runSeed(pool, SEED_PROFILE);
+    if (!seed.skipped) {
+      logger.info('Seeded profile', {
+        profile: seed.profile,
+        user: seed.user,
+        journal_entries: seed.entries,
+        contacts: seed.contacts
+      });
+    } else if (seed.profile !== DEFAULT_SEED_PROFILE) {
+      logger.info('Seed profile already applied', { profile: seed.profile });
+    }
+
+    const [journalCount, contactsCount] = await Promise.all([
+      repositories.journal.countActive(),
+      repositories.contacts.countActive()
+    ]);
+
+    logger.info('Database initialized', {
+      journal_entries: journalCount,
+      contacts: contactsCount
+    });
+
+    return true;
+  } catch (error) {
+    logger.error('Error initializing database', { error });
+    return false;
+  }
+}
+
+// Enhanced error handling middleware
+// `message` says what failed and is always returned; the underlying error's
+// own message can reveal SQL or internals, so it is only included (as
+// `detail`) in development. The request ID in the response matches the logs.
+const handleError = (res, error, message = 'Internal server error') => {
+  res.req.log.error(message, { error });
+  
+  // Handle specific database errors
+  if (isDatabaseUnavailable(error)) {
+    return sendError(res, 'DB_UNAVAILABLE', 'Database connection lost');
+  }
+  
+  sendError(res, 'INTERNAL_ERROR', message, {
+    detail: config.isDevelopment ? error.message : undefined
+  });
+};
+
+// Rate limiting
+// Every request counts against its client IP, and the auth routes get a much
+// smaller budget of their own. Login attempts are also counted per account
+// from each IP, which caps guesses at one password without letting someone
+// elsewhere lock its owner out by failing logins on purpose.
+app.use(rateLimit(rateLimitStore, RATE_LIMIT_BUDGETS.ip, req => req.ip));
+
+app.use('/auth', rateLimit(rateLimitStore, RATE_LIMIT_BUDGETS.auth, req => req.ip));
+
+app.use('/auth/login', rateLimit(rateLimitStore, RATE_LIMIT_BUDGETS.login, (req) => {
+  const email = req.method === 'POST' && req.body ? req.body.email : null;
+  return typeof email === 'string' ? `${req.ip}:${email.trim().toLowerCase()}` : null;
+}));
+
+const pruneRateLimits = async () => {
+  try {
+    await rateLimitStore.prune();
+  } catch (error) {
+    logger.error('Failed to prune rate limit counters', { error });
+  }
+};
+
+// Swagger UI's scripts and styles for /docs, served from the installed
+// swagger-ui-dist package rather than a CDN. Static files need no token.
+const DOCS_ASSETS_URL = '/docs/assets';
+app.use(DOCS_ASSETS_URL, express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+// Authorization layer
+// Every request passes through here: anything not on the public list needs a
+// valid access token, and per-record routes load the record scoped to the
+// caller before the handler runs.
+const PUBLIC_ROUTES = [
+  'GET /health',
+  'GET /livez',
+  'GET /readyz',
+  'GET /metrics',
+  'GET /test',
+  'GET /openapi.json',
+  'GET /docs',
+  'POST /auth/register',
+  'POST /auth/login',
+  'POST /auth/refresh',
+  'POST /auth/logout',
+];
+
+app.use((req, res, next) => {
+  if (req.method === 'OPTIONS' || PUBLIC_ROUTES.includes(`${req.method} ${req.path}`)) {
+    return next();
+  }
+  requireAuth(req, res, next);
+});
+
+// Signed-in callers also get per-user budgets, which follow them across
+// networks and devices; writes have a tighter one
+app.use(rateLimit(rateLimitStore, RATE_LIMIT_BUDGETS.user, req => (req.user ? req.user.id : null)));
+
+app.use(rateLimit(rateLimitStore, RATE_LIMIT_BUDGETS.write, req => (
+  req.user && ['POST', 'PUT', 'DELETE'].includes(req.method) ? req.user.id : null
+)));
+
+// Repositories that hold per-user records, keyed by the resource name used in routes
+const OWNED_RESOURCES = {
+  journal_entry: { repository: 'journal', label: 'Journal entry' },
+  contact: { repository: 'contacts', label: 'Contact' },
+};
+
+// Middleware: resolves :id to a record owned by the caller. Records that
+// belong to someone else get the same 404 as missing ones, so other users'
+// IDs are never revealed.
+const authorizeRecord = (resource) => {
+  const { repository, label } = OWNED_RESOURCES[resource];
+
+  return async (req, res, next) => {
+    try {
+      const recordId = parseRecordId(req.params.id);
+
+      if (recordId === null) {
+        return sendInvalidRecordId(res, label);
+      }
+
+      if (!(await repositories[repository].exists(req.user.id, recordId))) {
+        return sendError(res, 'NOT_FOUND', `${label} not found`);
+      }
+
+      req.recordId = recordId;
+      next();
+    } catch (error) {
+      handleError(res, error, `Failed to load ${label.toLowerCase()}`);
+    }
+  };
+};
+
+// Middleware: only accounts listed in ADMIN_USER_IDS get through
+const requireAdmin = (req, res, next) => {
+  if (!ADMIN_USER_IDS.includes(req.user.id)) {
+    return sendError(res, 'FORBIDDEN', 'Administrator access required');
+  }
+  next();
+};
+
+// Audit log
+//
+// audit(resource, action) records who did what to which journal entries and
+// contacts: one audit event per record, written once the response has
+// been sent (or the client went away mid-stream). Routes on a single record
+// (:id) are recorded automatically whatever the outcome, so attempts on other
+// users' records show up with their 404. Other routes name the records they
+// returned or changed with req.audit(recordIds), passing a resource and
+// action when they differ from the route's (e.g. sync).
+const AUDIT_ACTIONS = ['create', 'read', 'update', 'delete', 'restore'];
+
+const audit = (resource = null, action = null) => (req, res, next) => {
+  const occurredAt = new Date();
+  const pathId = parseRecordId(req.params.id);
+  const events = [];
+  let written = false;
+
+  req.audit = (recordIds, eventResource = resource, eventAction = action) => {
+    recordIds.forEach(recordId => events.push({ resource: eventResource, action: eventAction, recordId }));
+  };
+
+  const writeEvents = () => {
+    if (written) {
+      return;
+    }
+    written = true;
+
+    if (events.length === 0 && resource && pathId !== null) {
+      req.audit([pathId]);
+    }
+    if (events.length === 0) {
+      return;
+    }
+
+    repositories.audit.record({
+      occurredAt,
+      actorId: req.user.id,
+      requestId: req.id,
+      status: res.statusCode,
+      events
+    }).catch((error) => {
+      req.log.error('Failed to write audit events', { error, count: events.length });
+    });
+  };
+
+  res.on('finish', writeEvents);
+  res.on('close', writeEvents);
+  next();
+};
+
+// Issue an access token plus a stored refresh token for a user
+const createSession = async (user) => {
+  const { token, tokenHash, expiresAt } = generateRefreshToken();
+
+  await repositories.users.createRefreshToken(user.id, tokenHash, expiresAt);
+
+  return {
+    access_token: signAccessToken(user),
+    refresh_token: token,
+    token_type: 'Bearer',
+    user: {
+      id: user.id,
+      email: user.email,
+      display_name: user.display_name
+    }
+  };
+};
+
+// Every endpoint is registered through `api` so it is listed in the OpenAPI
+// document (see openapi.js) and in the 404 handler's available_endpoints
+const api = createRouteRegistry(app);
+
+// Auth Endpoints
+
+// POST /auth/register
+api.post('/auth/register', {
+  summary: 'Create account',
+  tags: ['Auth'],
+  body: registerSchema,
+  responses: { 201: 'Account created; returns a session' }
+}, async (req, res) => {
+  try {
+    const { error, value } = registerSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const { email, password, display_name } = value;
+    const passwordHash = await hashPassword(password);
+
+    const user = await repositories.users.create({ email, password_hash: passwordHash, display_name });
+
+    const session = await createSession(user);
+
+    req.log.info('Registered user', { user_id: user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      ...session
+    });
+  } catch (error) {
+    if (error instanceof DuplicateRecordError) {
+      return sendError(res, 'DUPLICATE_ACCOUNT', 'An account with this email already exists');
+    }
+    handleError(res, error, 'Failed to register user');
+  }
+});
+
+// POST /auth/login
+api.post('/auth/login', {
+  summary: 'Log in',
+  tags: ['Auth'],
+  body: loginSchema,
+  responses: { 200: 'Logged in; returns a session' }
+}, async (req, res) => {
+  try {
+    const { error, value } = loginSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const user = await repositories.users.findByEmail(value.email);
+    const passwordMatches = user && await verifyPassword(value.password, user.password_hash);
+
+    if (!passwordMatches) {
+      return sendError(res, 'INVALID_CREDENTIALS', 'Invalid email or password');
+    }
+
+    const session = await createSession(user);
+
+    req.log.info('User logged in', { user_id: user.id });
+
+    res.json({
+      success: true,
+      message: 'Logged in successfully',
+      ...session
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to log in');
+  }
+});
+
+// POST /auth/refresh - rotates the refresh token
+api.post('/auth/refresh', {
+  summary: 'Refresh session',
+  description: 'Exchanges a refresh token for a new access token and refresh token. Each refresh token works once.',
+  tags: ['Auth'],
+  body: refreshSchema
+}, async (req, res) => {
+  try {
+    const { error, value } = refreshSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const userId = await repositories.users.useRefreshToken(hashRefreshToken(value.refresh_token));
+
+    if (userId === null) {
+      return sendError(res, 'INVALID_REFRESH_TOKEN', 'Invalid or expired refresh token');
+    }
+
+    const session = await createSession(await repositories.users.findById(userId));
+
+    res.json({
+      success: true,
+      message: 'Session refreshed',
+      ...session
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to refresh session');
+  }
+});
+
+// POST /auth/logout - revokes the given refresh token
+api.post('/auth/logout', {
+  summary: 'Log out',
+  description: 'Revokes the given refresh token.',
+  tags: ['Auth'],
+  body: refreshSchema
+}, async (req, res) => {
+  try {
+    const { error, value } = refreshSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const userId = await repositories.users.revokeRefreshToken(hashRefreshToken(value.refresh_token));
+
+    if (userId !== null) {
+      req.log.info('User logged out', { user_id: userId });
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to log out');
+  }
+});
+
+// Journal Endpoints
+
+// POST /journal/entry
+api.post('/journal/entry', {
+  summary: 'Create journal entry',
+  tags: ['Journal'],
+  body: journalEntrySchema,
+  responses: { 201: 'Journal entry created' }
+}, audit('journal_entry', 'create'), async (req, res) => {
+  try {
+    const { error, value } = journalEntrySchema.validate(req.body, { abortEarly: false });
+    
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const { tags = [] } = value;
+    const entry = await repositories.journal.create(req.user.id, value);
+
+    req.log.info('Journal entry created', { entry_id: entry.id });
+    req.audit([entry.id]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Journal entry created successfully',
+      entry_id: entry.id,
+      timestamp: entry.timestamp,
+      tags: [...tags].sort()
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to create journal entry');
+  }
+});
+
+// Cursors hold times as timestamp text, e.g. "2024-05-01 09:30:00.123456",
+// which the repositories pass to SQL as is. Anything else, including dates
+// the pattern allows but the calendar doesn't (2024-02-30), is rejected here
+// rather than failing the query.
+const CURSOR_TIME = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,6})?$/;
+
+const isCursorTime = (text) => {
+  if (typeof text !== 'string' || !CURSOR_TIME.test(text)) {
+    return false;
+  }
+  const seconds = text.slice(0, 19).replace(' ', 'T');
+  const date = new Date(`${seconds}Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 19) === seconds;
+};
+
+// Pagination cursors are opaque to clients: base64url-encoded JSON holding the
+// (timestamp, id) position of the last entry on the previous page, as the
+// journal repository reports it
+const encodeCursor = (position) => {
+  return Buffer.from(JSON.stringify({ t: position.timestamp, id: position.id })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!isCursorTime(t) || !Number.isInteger(id) || id < 1 || id > MAX_RECORD_ID) {
+      return null;
+    }
+    return { timestamp: t, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// GET /journal/entries?limit=20&cursor=<next_cursor>&from=&to=&mood_min=&mood_max=
+// Date and mood bounds are inclusive.
+api.get('/journal/entries', {
+  summary: 'Get your journal entries (paginated)',
+  description: 'Newest first. Pass next_cursor back as cursor for the following page; date and mood bounds are inclusive.',
+  tags: ['Journal'],
+  query: journalListQuerySchema
+}, audit('journal_entry', 'read'), async (req, res) => {
+  try {
+    const { error, value } = journalListQuerySchema.validate(req.query, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const { limit, cursor, tag, from, to, mood_min, mood_max } = value;
+    const after = cursor ? decodeCursor(cursor) : null;
+
+    if (cursor && !after) {
+      return sendError(res, 'INVALID_CURSOR', 'Invalid cursor');
+    }
+
+    const { entries, next } = await repositories.journal.list(req.user.id, {
+      limit, after, tag, from, to, mood_min, mood_max
+    });
+    const nextCursor = next ? encodeCursor(next) : null;
+
+    req.log.debug('Retrieved journal entries', { count: entries.length });
+    req.audit(entries.map(entry => entry.id));
+
+    res.json({
+      success: true,
+      entries,
+      count: entries.length,
+      next_cursor: nextCursor
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve journal entries');
+  }
+});
+
+// GET /journal/search?q=<terms> - ranked full-text search with highlighted
+// snippets; matched words are wrapped in <mark></mark>
+api.get('/journal/search', {
+  summary: 'Search journal entries',
+  description: 'Ranked full-text search. Matched words in each snippet are wrapped in <mark></mark>. '
+    + 'Answers SEARCH_DISABLED when the server keeps no search index.',
+  tags: ['Journal'],
+  query: journalSearchQuerySchema
+}, audit('journal_entry', 'read'), async (req, res) => {
+  try {
+    const { error, value } = journalSearchQuerySchema.validate(req.query, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    if (!repositories.journal.searchEnabled) {
+      return sendError(res, 'SEARCH_DISABLED', 'Search is not enabled on this server');
+    }
+
+    const results = await repositories.journal.search(req.user.id, value.q, value.limit);
+
+    req.log.debug('Searched journal entries', { count: results.length });
+    req.audit(results.map(entry => entry.id));
+
+    res.json({
+      success: true,
+      query: value.q,
+      results,
+      count: results.length
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to search journal entries');
+  }
+});
+
+// PUT /journal/entry/:id - saves the current version as a revision, then updates
+api.put('/journal/entry/:id', {
+  summary: 'Edit journal entry',
+  description: 'The current version is saved as a revision first.',
+  tags: ['Journal'],
+  params: recordIdParams,
+  body: journalEntryUpdateSchema
+}, audit('journal_entry', 'update'), authorizeRecord('journal_entry'), async (req, res) => {
+  try {
+    const { error, value } = journalEntryUpdateSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const entryId = req.recordId;
+    const entry = await repositories.journal.update(req.user.id, entryId, value);
+
+    if (!entry) {
+      return sendError(res, 'NOT_FOUND', 'Journal entry not found');
+    }
+
+    req.log.info('Updated journal entry', { entry_id: entryId });
+
+    res.json({
+      success: true,
+      message: 'Journal entry updated successfully',
+      entry
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to update journal entry');
+  }
+});
+
+// GET /tags?prefix=wo - the caller's tags for autocomplete, most used first
+api.get('/tags', {
+  summary: 'Tag autocomplete',
+  description: 'The caller\'s tags, most used first.',
+  tags: ['Tags'],
+  query: tagListQuerySchema
+}, async (req, res) => {
+  try {
+    const { error, value } = tagListQuerySchema.validate(req.query, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const tags = await repositories.journal.listTags(req.user.id, value.prefix || '', value.limit);
+
+    res.json({
+      success: true,
+      tags,
+      count: tags.length
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve tags');
+  }
+});
+
+// GET /journal/entry/:id/revisions - earlier versions, newest first
+api.get('/journal/entry/:id/revisions', {
+  summary: 'Journal entry history',
+  description: 'Earlier versions of the entry, newest first.',
+  tags: ['Journal'],
+  params: recordIdParams
+}, audit('journal_entry', 'read'), authorizeRecord('journal_entry'), async (req, res) => {
+  try {
+    const revisions = await repositories.journal.listRevisions(req.recordId);
+
+    req.log.debug('Retrieved journal entry revisions', { entry_id: req.recordId, count: revisions.length });
+
+    res.json({
+      success: true,
+      revisions,
+      count: revisions.length
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve journal entry revisions');
+  }
+});
+
+// DELETE /journal/entry/:id - moves the entry to the trash (see /trash)
+api.delete('/journal/entry/:id', {
+  summary: 'Move journal entry to trash',
+  tags: ['Journal'],
+  params: recordIdParams
+}, audit('journal_entry', 'delete'), authorizeRecord('journal_entry'), async (req, res) => {
+  try {
+    const entryId = req.recordId;
+
+    if (!(await repositories.journal.trash(req.user.id, entryId))) {
+      return sendError(res, 'NOT_FOUND', 'Journal entry not found');
+    }
+
+    req.log.info('Moved journal entry to trash', { entry_id: entryId });
+
+    res.json({
+      success: true,
+      message: 'Journal entry moved to trash'
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to delete journal entry');
+  }
+});
+
+// Insights Endpoints
+
+const MOOD_RATINGS = [1, 2, 3, 4, 5];
+
+// Round to two decimals, keeping null for empty ranges
+const roundMood = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+// GET /insights/mood?bucket=day|week|month&from=&to= - mood aggregates per
+// time bucket (weeks start on Monday), plus a summary over the whole range
+api.get('/insights/mood', {
+  summary: 'Mood aggregates by day/week/month',
+  description: 'Average, minimum, maximum and count per time bucket (weeks start on Monday), plus a summary over the whole range.',
+  tags: ['Insights'],
+  query: moodInsightsQuerySchema
+}, async (req, res) => {
+  try {
+    const { error, value } = moodInsightsQuerySchema.validate(req.query, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const { bucket, from, to } = value;
+    const rows = await repositories.journal.moodBuckets(req.user.id, { bucket, from, to });
+
+    const summary = {
+      entry_count: 0,
+      average_mood: null,
+      min_mood: null,
+      max_mood: null,
+      distribution: Object.fromEntries(MOOD_RATINGS.map(rating => [rating, 0]))
+    };
+    let moodTotal = 0;
+
+    const buckets = rows.map((row) => {
+      const { distribution } = row;
+      const ratedCount = MOOD_RATINGS.reduce((sum, rating) => sum + distribution[rating], 0);
+
+      summary.entry_count += row.entry_count;
+      moodTotal += row.mood_total;
+      MOOD_RATINGS.forEach((rating) => { summary.distribution[rating] += distribution[rating]; });
+      if (row.min_mood !== null && (summary.min_mood === null || row.min_mood < summary.min_mood)) {
+        summary.min_mood = row.min_mood;
+      }
+      if (row.max_mood !== null && (summary.max_mood === null || row.max_mood > summary.max_mood)) {
+        summary.max_mood = row.max_mood;
+      }
+
+      return {
+        bucket_start: row.bucket_start,
+        entry_count: row.entry_count,
+        average_mood: ratedCount > 0 ? roundMood(row.mood_total / ratedCount) : null,
+        min_mood: row.min_mood,
+        max_mood: row.max_mood,
+        distribution
+      };
+    });
+
+    const totalRated = MOOD_RATINGS.reduce((sum, rating) => sum + summary.distribution[rating], 0);
+    summary.average_mood = totalRated > 0 ? roundMood(moodTotal / totalRated) : null;
+
+    req.log.debug('Computed mood insights', { bucket, count: buckets.length });
+
+    res.json({
+      success: true,
+      bucket,
+      from: from || null,
+      to: to || null,
+      summary,
+      buckets
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to compute mood insights');
+  }
+});
+
+// Export Endpoints
+
+// Same labels the app shows (getMoodLabel in the journal screens)
+const MOOD_LABELS = { 1: 'Terrible', 2: 'Poor', 3: 'Okay', 4: 'Good', 5: 'Excellent' };
+const getMoodLabel = (rating) => MOOD_LABELS[rating] || 'Unknown';
+
+const EXPORT_BATCH_SIZE = 500;
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toExportRecord = (row) => ({
+  id: row.id,
+  timestamp: row.timestamp.toISOString(),
+  updated_at: row.updated_at ? row.updated_at.toISOString() : null,
+  mood_rating: row.mood_rating,
+  mood_label: getMoodLabel(row.mood_rating),
+  tags: row.tags,
+  entry_text: row.entry_text,
+});
+
+// Each format writes a header, one chunk per entry and a footer, so entries
+// can be streamed without holding the whole journal in memory. Markdown uses
+// one front matter block per entry so the file can be imported again.
+const EXPORT_FORMATS = {
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    header: (exportedAt) => `{\n  "exported_at": ${JSON.stringify(exportedAt)},\n  "entries": [\n`,
+    entry: (record, index) => `${index > 0 ? ',\n' : ''}    ${JSON.stringify(record)}`,
+    footer: () => '\n  ]\n}\n',
+  },
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    header: () => 'id,timestamp,updated_at,mood_rating,mood_label,tags,entry_text\r\n',
+    entry: (record) => [
+      record.id,
+      record.timestamp,
+      record.updated_at,
+      record.mood_rating,
+      record.mood_label,
+      record.tags.join(' '),
+      record.entry_text,
+    ].map(csvField).join(',') + '\r\n',
+    footer: () => '',
+  },
+  md: {
+    contentType: 'text/markdown; charset=utf-8',
+    header: (exportedAt) => `# MUUD Health Journal\n\nExported ${exportedAt}\n\n`,
+    entry: (record) => [
+      '---',
+      `date: ${record.timestamp}`,
+      `mood: ${record.mood_rating}`,
+      `mood_label: ${record.mood_label}`,
+      `tags: [${record.tags.join(', ')}]`,
+      '---',
+      '',
+      record.entry_text,
+      '',
+      '',
+    ].join('\n'),
+    footer: () => '',
+  },
+};
+
+const exportQuerySchema = Joi.object({
+  format: Joi.string().valid(...Object.keys(EXPORT_FORMATS)).default('json')
+});
+
+// Resolves once the chunk is written or buffered, waiting for 'drain' when
+// the client reads slower than the repository returns entries
+const writeChunk = (res, chunk) => {
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => {
+    res.once('drain', resolve);
+    res.once('close', resolve);
+  });
+};
+
+// GET /export/journal?format=json|csv|md - stream every entry, oldest first
+api.get('/export/journal', {
+  summary: 'Export journal (json, csv or md)',
+  description: 'Streams every entry, oldest first, as a file download.',
+  tags: ['Export'],
+  query: exportQuerySchema,
+  produces: Object.values(EXPORT_FORMATS).map(format => format.contentType.split(';')[0])
+}, audit('journal_entry', 'read'), async (req, res) => {
+  const { error, value } = exportQuerySchema.validate(req.query, { abortEarly: false });
+
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  const userId = req.user.id;
+  const format = EXPORT_FORMATS[value.format];
+  const exportedAt = new Date().toISOString();
+  let closed = false;
+  let exported = 0;
+
+  res.on('close', () => {
+    closed = true;
+  });
+
+  try {
+    // Read the first batch before sending headers so a database error can
+    // still be reported as a normal JSON error response
+    const fetchBatch = (after) => repositories.journal.listForExport(userId, { limit: EXPORT_BATCH_SIZE, after });
+
+    let batch = await fetchBatch(null);
+
+    res.setHeader('Content-Type', format.contentType);
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="muud-journal-${exportedAt.slice(0, 10)}.${value.format}"`
+    );
+    await writeChunk(res, format.header(exportedAt));
+
+    while (batch && !closed) {
+      for (const row of batch.entries) {
+        await writeChunk(res, format.entry(toExportRecord(row), exported));
+        req.audit([row.id]);
+        exported += 1;
+      }
+
+      batch = batch.next ? await fetchBatch(batch.next) : null;
+    }
+
+    res.end(format.footer());
+    req.log.info('Exported journal', { format: value.format, count: exported });
+  } catch (error) {
+    if (!res.headersSent) {
+      return handleError(res, error, 'Failed to export journal');
+    }
+
+    // Too late for an error response; cut the download short so the client
+    // sees an incomplete transfer instead of a truncated file that looks whole
+    req.log.error('Journal export failed', { exported, error });
+    res.destroy(error);
+  }
+});
+
+// Import Endpoints
+
+const IMPORT_MAX_ROWS = 5000;
+const IMPORT_PREVIEW_ROWS = 20;
+
+const importFieldSchema = Joi.string().trim().min(1).max(100).optional();
+
+const importMappingSchema = Joi.object({
+  entry_text: importFieldSchema,
+  mood_rating: importFieldSchema,
+  timestamp: importFieldSchema,
+  tags: importFieldSchema
+}).default({});
+
+const journalImportSchema = Joi.object({
+  format: Joi.string().valid(...IMPORT_FORMATS).required(),
+  content: Joi.string().min(1).required()
+    .description('The whole file as text; the request body may be at most 5 MB'),
+  mapping: importMappingSchema,
+  dry_run: Joi.boolean().default(true)
+});
+
+// The same options as query parameters, for a file sent as the raw body
+const journalImportQuerySchema = Joi.object({
+  format: Joi.string().valid(...IMPORT_FORMATS).optional()
+    .description('Required unless the Content-Type is text/csv or text/markdown'),
+  mapping: importMappingSchema,
+  dry_run: Joi.boolean().default(true)
+});
+
+// The import request, from the JSON body or from the raw file and query string
+const importRequest = (req) => {
+  if (!isRawImport(req)) {
+    return req.body;
+  }
+  return {
+    format: IMPORT_CONTENT_TYPES[req.is(Object.keys(IMPORT_CONTENT_TYPES))],
+    ...req.query,
+    content: typeof req.body === 'string' ? req.body : ''
+  };
+};
+
+// Imported rows must carry their original date; any format Date can parse is accepted
+const importedEntrySchema = journalEntrySchema.keys({
+  timestamp: Joi.date().required()
+});
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Moods may be numbers ("4") or the labels the app shows ("Good")
+const MOOD_RATINGS_BY_LABEL = Object.fromEntries(
+  Object.entries(MOOD_LABELS).map(([rating, label]) => [label.toLowerCase(), parseInt(rating)])
+);
+
+const toMoodRating = (value) => {
+  if (isBlank(value)) return undefined;
+  const text = String(value).trim();
+  return MOOD_RATINGS_BY_LABEL[text.toLowerCase()] || text;
+};
+
+// Tags may be an array or one string separated by spaces, commas or semicolons
+const toTagList = (value) => {
+  if (isBlank(value)) return undefined;
+  return Array.isArray(value) ? value : String(value).split(/[\s,;]+/).filter(Boolean);
+};
+
+const toEntryCandidate = (fields, mapping) => {
+  const pick = (target) => (mapping[target] ? fields[mapping[target]] : undefined);
+  const text = pick('entry_text');
+
+  return {
+    entry_text: isBlank(text) ? undefined : String(text).trim(),
+    mood_rating: toMoodRating(pick('mood_rating')),
+    timestamp: isBlank(pick('timestamp')) ? undefined : pick('timestamp'),
+    tags: toTagList(pick('tags'))
+  };
+};
+
+// Entries are the same when they were written at the same moment with the same text
+const importKey = (timestamp, entryText) => `${new Date(timestamp).getTime()}|${entryText}`;
+
+// POST /import/journal - parse a CSV, JSON or Markdown export, validate every
+// row and skip entries that already exist. With dry_run (the default) nothing
+// is written and the response is a preview; otherwise valid rows are saved in
+// one transaction and invalid or duplicate rows are reported and skipped.
+api.post('/import/journal', {
+  summary: 'Import journal (json, csv or md)',
+  description: 'The file is either the raw request body (text/csv or text/markdown, or any type with ?format=, e.g. a JSON export with ?format=json; options go in the query string) or a JSON string in `content`. The body may be at most 5 MB (413 PAYLOAD_TOO_LARGE beyond that) and hold at most 5,000 entries. With dry_run (the default) nothing is written and the response is a preview. Otherwise valid rows are saved in one transaction and invalid or duplicate rows are reported and skipped.',
+  tags: ['Import'],
+  body: journalImportSchema,
+  query: journalImportQuerySchema,
+  consumes: Object.keys(IMPORT_CONTENT_TYPES)
+}, audit('journal_entry', 'create'), async (req, res) => {
+  try {
+    const { error, value } = journalImportSchema.validate(importRequest(req), { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const userId = req.user.id;
+    const { format, content, dry_run } = value;
+
+    let records;
+    try {
+      records = parseImport(format, content);
+    } catch (parseError) {
+      return sendError(res, 'INVALID_IMPORT', 'Could not read import file', {
+        fields: [{ field: 'content', message: parseError.message }]
+      });
+    }
+
+    if (records.length > IMPORT_MAX_ROWS) {
+      return sendError(res, 'INVALID_IMPORT', 'Import file too large', {
+        fields: [{
+          field: 'content',
+          message: `At most ${IMPORT_MAX_ROWS} entries can be imported at once (found ${records.length})`
+        }]
+      });
+    }
+
+    const mapping = resolveMapping(records, value.mapping);
+    const unmapped = ['entry_text', 'mood_rating', 'timestamp'].filter(target => !mapping[target]);
+    if (records.length > 0 && unmapped.length > 0) {
+      const available = [...new Set(records.flatMap(record => Object.keys(record.fields)))];
+      return sendError(res, 'INVALID_IMPORT', 'Could not match import fields', {
+        fields: unmapped.map(target => ({
+          field: `mapping.${target}`,
+          message: `No field found for ${target}; set it in "mapping" (available fields: ${available.join(', ')})`
+        })),
+        mapping
+      });
+    }
+
+    // Validate every row, collecting all problems rather than the first
+    const errors = [];
+    const candidates = [];
+    records.forEach(({ row, fields }) => {
+      const { error: rowError, value: entry } = importedEntrySchema.validate(
+        toEntryCandidate(fields, mapping),
+        { abortEarly: false }
+      );
+      if (rowError) {
+        errors.push({ row, messages: rowError.details.map(detail => detail.message) });
+      } else {
+        candidates.push({ row, entry: { ...entry, tags: entry.tags || [] } });
+      }
+    });
+
+    // Dedupe against the user's entries and against earlier rows in the file
+    const existing = await repositories.journal.listByTimestamps(userId, candidates.map(({ entry }) => entry.timestamp));
+    const seen = new Map(existing.map(row => [importKey(row.timestamp, row.entry_text), { entry_id: row.id }]));
+
+    const duplicates = [];
+    const toImport = [];
+    candidates.forEach(({ row, entry }) => {
+      const key = importKey(entry.timestamp, entry.entry_text);
+      if (seen.has(key)) {
+        duplicates.push({ row, duplicate_of: seen.get(key) });
+      } else {
+        seen.set(key, { row });
+        toImport.push({ row, entry });
+      }
+    });
+
+    if (!dry_run && toImport.length > 0) {
+      const importedIds = await repositories.journal.createMany(userId, toImport.map(({ entry }) => entry));
+      req.audit(importedIds);
+      req.log.info('Imported journal', { format, count: toImport.length });
+    }
+
+    res.status(dry_run ? 200 : 201).json({
+      success: true,
+      dry_run,
+      mapping,
+      summary: {
+        total_rows: records.length,
+        valid: toImport.length,
+        duplicates: duplicates.length,
+        errors: errors.length,
+        imported: dry_run ? 0 : toImport.length
+      },
+      preview: toImport.slice(0, IMPORT_PREVIEW_ROWS).map(({ row, entry }) => ({ row, ...entry })),
+      duplicates,
+      errors
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to import journal');
+  }
+});
+
+// Contacts are unique per user by email; the contacts repository throws
+// DuplicateRecordError for a clash
+const isDuplicateContact = (error) => error instanceof DuplicateRecordError;
+
+const sendDuplicateContact = (res) => {
+  return sendError(res, 'DUPLICATE_CONTACT', 'Contact with this email already exists for this user');
+};
+
+// POST /contacts/add
+api.post('/contacts/add', {
+  summary: 'Add contact',
+  tags: ['Contacts'],
+  body: contactSchema,
+  responses: { 201: 'Contact added' }
+}, audit('contact', 'create'), async (req, res) => {
+  try {
+    const { error, value } = contactSchema.validate(req.body, { abortEarly: false });
+    
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const contact = await repositories.contacts.create(req.user.id, value);
+
+    req.log.info('Contact added', { contact_id: contact.id });
+    req.audit([contact.id]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Contact added successfully',
+      contact_id: contact.id,
+      created_at: contact.created_at
+    });
+  } catch (error) {
+    if (isDuplicateContact(error)) {
+      return sendDuplicateContact(res);
+    }
+    handleError(res, error, 'Failed to add contact');
+  }
+});
+
+// GET /contacts
+api.get('/contacts', {
+  summary: 'Get your contacts',
+  tags: ['Contacts']
+}, audit('contact', 'read'), async (req, res) => {
+  try {
+    const contacts = await repositories.contacts.list(req.user.id);
+
+    req.log.debug('Retrieved contacts', { count: contacts.length });
+    req.audit(contacts.map(contact => contact.id));
+
+    res.json({
+      success: true,
+      contacts,
+      count: contacts.length
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve contacts');
+  }
+});
+
+// PUT /contacts/:id
+api.put('/contacts/:id', {
+  summary: 'Update contact',
+  tags: ['Contacts'],
+  params: recordIdParams,
+  body: contactUpdateSchema
+}, audit('contact', 'update'), authorizeRecord('contact'), async (req, res) => {
+  try {
+    const { error, value } = contactUpdateSchema.validate(req.body, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const contactId = req.recordId;
+    const contact = await repositories.contacts.update(req.user.id, contactId, value);
+
+    if (!contact) {
+      return sendError(res, 'NOT_FOUND', 'Contact not found');
+    }
+
+    req.log.info('Updated contact', { contact_id: contactId });
+
+    res.json({
+      success: true,
+      message: 'Contact updated successfully',
+      contact
+    });
+  } catch (error) {
+    if (isDuplicateContact(error)) {
+      return sendDuplicateContact(res);
+    }
+    handleError(res, error, 'Failed to update contact');
+  }
+});
+
+// DELETE /contacts/:id - moves the contact to the trash (see /trash)
+api.delete('/contacts/:id', {
+  summary: 'Move contact to trash',
+  tags: ['Contacts'],
+  params: recordIdParams
+}, audit('contact', 'delete'), authorizeRecord('contact'), async (req, res) => {
+  try {
+    const contactId = req.recordId;
+
+    if (!(await repositories.contacts.trash(req.user.id, contactId))) {
+      return sendError(res, 'NOT_FOUND', 'Contact not found');
+    }
+
+    req.log.info('Moved contact to trash', { contact_id: contactId });
+
+    res.json({
+      success: true,
+      message: 'Contact moved to trash'
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to delete contact');
+  }
 });
 
-pool.on('connect', (client) => {
-  console.log('🔗 New database client connected');
-});
+// Trash Endpoints
+//
+// DELETE requests move journal entries and contacts to the trash by setting
+// deleted_at. Trashed rows are hidden everywhere else and can be restored
+// until purgeTrash deletes them for good after TRASH_RETENTION_DAYS.
 
-// Validation schemas
-const journalEntrySchema = Joi.object({
-  user_id: Joi.number().integer().required(),
-  entry_text: Joi.string().min(1).required(),
-  mood_rating: Joi.number().integer().min(1).max(5).required(),
-  timestamp: Joi.date().iso().optional()
+// GET /trash - everything the caller has deleted, most recently deleted first,
+// with the time each item will be purged
+api.get('/trash', {
+  summary: 'Deleted entries and contacts',
+  description: 'Most recently deleted first, with the time each item will be purged.',
+  tags: ['Trash']
+}, audit(), async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const [entries, contacts] = await Promise.all([
+      repositories.journal.listTrash(userId, TRASH_RETENTION_DAYS),
+      repositories.contacts.listTrash(userId, TRASH_RETENTION_DAYS)
+    ]);
+
+    req.log.debug('Retrieved trash', { journal_entries: entries.length, contacts: contacts.length });
+    req.audit(entries.map(entry => entry.id), 'journal_entry', 'read');
+    req.audit(contacts.map(contact => contact.id), 'contact', 'read');
+
+    res.json({
+      success: true,
+      retention_days: TRASH_RETENTION_DAYS,
+      journal_entries: entries,
+      contacts,
+      count: entries.length + contacts.length
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to retrieve trash');
+  }
 });
 
-const contactSchema = Joi.object({
-  user_id: Joi.number().integer().required(),
-  contact_name: Joi.string().min(1).required(),
-  contact_email: Joi.string().email().required()
+const trashRestoreParams = recordIdParams.keys({
+  type: Joi.string().valid(...Object.keys(OWNED_RESOURCES)).required()
 });
 
-// Database initialization with better error handling
-async function initializeDatabase() {
+// POST /trash/:type/:id/restore - type is journal_entry or contact. Restoring
+// counts as a change, so syncing devices pick the row up again.
+api.post('/trash/:type/:id/restore', {
+  summary: 'Restore from trash',
+  tags: ['Trash'],
+  params: trashRestoreParams
+}, audit(), async (req, res) => {
   try {
-    console.log('🔄 Initializing database tables...');
-    
-    // Create journal_entries table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS journal_entries (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER NOT NULL,
-        entry_text TEXT NOT NULL,
-        mood_rating INTEGER CHECK (mood_rating >= 1 AND mood_rating <= 5),
-        timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+    const { error, value } = trashRestoreParams.validate(req.params, { abortEarly: false });
 
-    // Create contacts table with proper constraints
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS contacts (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER NOT NULL,
-        contact_name VARCHAR(255) NOT NULL,
-        contact_email VARCHAR(255) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        CONSTRAINT unique_user_email UNIQUE(user_id, contact_email)
-      )
-    `);
+    if (error) {
+      return sendValidationError(res, error);
+    }
 
-    // Check existing data
-    const [journalCount, contactsCount] = await Promise.all([
-      pool.query('SELECT COUNT(*) FROM journal_entries'),
-      pool.query('SELECT COUNT(*) FROM contacts')
-    ]);
+    const owned = OWNED_RESOURCES[value.type];
+    const recordId = parseRecordId(req.params.id);
 
-    console.log('✅ Database tables initialized successfully');
-    console.log(`   Journal entries: ${journalCount.rows[0].count}`);
-    console.log(`   Contacts: ${contactsCount.rows[0].count}`);
+    if (recordId === null) {
+      return sendInvalidRecordId(res, owned.label);
+    }
 
-    // Add sample data if tables are empty
-    if (parseInt(journalCount.rows[0].count) === 0) {
-      await pool.query(`
-        INSERT INTO journal_entries (user_id, entry_text, mood_rating, timestamp) VALUES
-        (1, 'Welcome to MUUD Health! Your backend is now connected and working.', 5, NOW() - INTERVAL '1 hour'),
-        (1, 'The database connection is secure and all API endpoints are functional.', 4, NOW() - INTERVAL '30 minutes')
-      `);
-      console.log('✅ Added sample journal entries');
+    if (!(await repositories[owned.repository].restore(req.user.id, recordId))) {
+      return sendError(res, 'NOT_FOUND', `${owned.label} not found in trash`);
     }
 
-    if (parseInt(contactsCount.rows[0].count) === 0) {
-      await pool.query(`
-        INSERT INTO contacts (user_id, contact_name, contact_email) VALUES
-        (1, 'Dr. Sarah Wilson', 'dr.wilson@healthcare.com'),
-        (1, 'MUUD Health Support', 'support@muudhealth.com')
-      `);
-      console.log('✅ Added sample contacts');
+    req.log.info('Restored from trash', { type: req.params.type, id: recordId });
+    req.audit([recordId], value.type, 'restore');
+
+    res.json({
+      success: true,
+      message: `${owned.label} restored`,
+      id: recordId
+    });
+  } catch (error) {
+    // The email was reused by a new contact while this one was in the trash
+    if (req.params.type === 'contact' && isDuplicateContact(error)) {
+      return sendDuplicateContact(res);
+    }
+    handleError(res, error, 'Failed to restore from trash');
+  }
+});
+
+// Permanently delete rows that have been in the trash longer than the
+// retention period. Sync tombstones are left behind for them.
+async function purgeTrash() {
+  try {
+    const results = await Promise.all(Object.values(OWNED_RESOURCES).map(({ repository }) => (
+      repositories[repository].purgeTrash(TRASH_RETENTION_DAYS)
+    )));
+
+    const purged = results.reduce((total, count) => total + count, 0);
+    if (purged > 0) {
+      logger.info('Purged trash', { count: purged, retention_days: TRASH_RETENTION_DAYS });
     }
-    
-    return true;
   } catch (error) {
-    console.error('❌ Error initializing database:', error.message);
-    return false;
+    logger.error('Failed to purge trash', { error });
   }
 }
 
-// Enhanced error handling middleware
-const handleError = (res, error, message = 'Internal server error', statusCode = 500) => {
-  console.error(`❌ ${message}:`, error.message);
-  
-  if (process.env.NODE_ENV === 'development') {
-    console.error('Stack trace:', error.stack);
-  }
-  
-  // Handle specific database errors
-  if (error.code === 'ECONNREFUSED') {
-    return res.status(503).json({
-      success: false,
-      message: 'Database connection lost',
-      error: 'The database server is not responding'
-    });
+// Sync Endpoints
+//
+// The app keeps its own copy of the journal and contacts so it works offline.
+// A sync pushes the changes made on the device and pulls everything that
+// changed on the server since the device's last sync, in one round trip.
+// A row's change time is COALESCE(updated_at, created_at). Rows moved to the
+// trash are reported as deleted by their deleted_at, and rows purged from it
+// by their sync tombstones. The repositories' listChanges() does the reading
+// and reaches a few seconds further back than the cursor (see
+// SYNC_OVERLAP_SECONDS in repositories/support.js).
+const SYNC_MAX_CHANGES = 1000;
+
+// Sync cursors are base64url-encoded JSON holding the store's time of the
+// pull (repositories.now()), kept as timestamp text (see isCursorTime)
+
+const encodeSyncCursor = (time) => {
+  return Buffer.from(JSON.stringify({ t: time })).toString('base64url');
+};
+
+const decodeSyncCursor = (cursor) => {
+  try {
+    const { t } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return isCursorTime(t) ? t : null;
+  } catch (error) {
+    return null;
   }
-  
-  res.status(statusCode).json({ 
-    success: false, 
-    message,
-    error: process.env.NODE_ENV === 'development' ? error.message : undefined,
-    timestamp: new Date().toISOString()
-  });
 };
 
-// Journal Endpoints
+// A pushed row names the server id it changes or, when it was created
+// offline, the temporary id the device gave it. base_updated_at is the
+// updated_at the device last pulled, so edits made elsewhere are detected.
+const syncRecordKeys = {
+  id: Joi.number().integer().positive().optional(),
+  client_id: Joi.string().trim().min(1).max(64).optional(),
+  base_updated_at: Joi.date().iso().allow(null).optional()
+};
 
-// POST /journal/entry
-app.post('/journal/entry', async (req, res) => {
-  try {
-    const { error, value } = journalEntrySchema.validate(req.body);
-    
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        details: error.details[0].message
-      });
+const syncJournalEntrySchema = journalEntrySchema.keys(syncRecordKeys).xor('id', 'client_id');
+const syncContactSchema = contactSchema.keys(syncRecordKeys).xor('id', 'client_id');
+
+// Rows are validated one at a time while pushing, so a bad row is rejected
+// on its own instead of failing the whole sync
+const syncResourceChangesSchema = Joi.object({
+  upserted: Joi.array().items(Joi.object().unknown()).max(SYNC_MAX_CHANGES).default([]),
+  deleted: Joi.array().items(Joi.number().integer().positive()).max(SYNC_MAX_CHANGES).default([])
+}).default();
+
+const syncPushSchema = Joi.object({
+  since: Joi.string().allow(null).optional(),
+  changes: Joi.object({
+    journal_entries: syncResourceChangesSchema,
+    contacts: syncResourceChangesSchema
+  }).default()
+});
+
+const syncQuerySchema = Joi.object({
+  since: Joi.string().optional()
+});
+
+// Keyed by the names used in sync requests and responses
+const SYNC_RESOURCES = {
+  journal_entries: { resource: 'journal_entry', schema: syncJournalEntrySchema },
+  contacts: { resource: 'contact', schema: syncContactSchema },
+};
+
+// Apply the device's changes through `repos` (the caller's transaction). Each
+// row is upserted in a nested transaction so a rejected row leaves the rest
+// of the push intact; see upsertSynced() in the journal and contacts
+// repositories for when a row is applied or rejected.
+// Returns one { id, client_id, status, reason } result per pushed row.
+// Applied rows are reported to audit(recordIds, resource, action).
+const pushSyncChanges = async (repos, userId, changes, audit = () => {}) => {
+  const results = {};
+
+  for (const [key, { resource, schema }] of Object.entries(SYNC_RESOURCES)) {
+    const { repository } = OWNED_RESOURCES[resource];
+    const { upserted, deleted } = changes[key];
+    results[key] = [];
+
+    for (const change of upserted) {
+      const { error, value } = schema.validate(change);
+      const ref = { id: change.id, client_id: change.client_id };
+
+      if (error) {
+        results[key].push({ ...ref, status: 'rejected', reason: 'invalid', details: error.details[0].message });
+        continue;
+      }
+
+      try {
+        const outcome = await repos.transaction(tx => tx[repository].upsertSynced(userId, value));
+        results[key].push({ ...ref, ...outcome });
+        if (outcome.status === 'applied') {
+          audit([outcome.id], resource, value.id ? 'update' : 'create');
+        }
+      } catch (error) {
+        if (!isDuplicateContact(error)) {
+          throw error;
+        }
+        results[key].push({ ...ref, status: 'rejected', reason: 'duplicate' });
+      }
     }
 
-    const { user_id, entry_text, mood_rating, timestamp } = value;
-    const entryTimestamp = timestamp || new Date().toISOString();
+    // Deletions made on the device move rows to the trash like DELETE requests do
+    if (deleted.length > 0) {
+      audit(await repos[repository].trashMany(userId, deleted), resource, 'delete');
+    }
+  }
 
-    const result = await pool.query(
-      'INSERT INTO journal_entries (user_id, entry_text, mood_rating, timestamp) VALUES ($1, $2, $3, $4) RETURNING id, timestamp',
-      [user_id, entry_text, mood_rating, entryTimestamp]
-    );
+  return results;
+};
 
-    console.log(`✅ Journal entry created for user ${user_id}, entry ID: ${result.rows[0].id}`);
+// Rows changed after `since` (everything when since is null) and rows deleted
+// after it. `include` adds the current server copy of specific ids, which is
+// how a device learns the winning version after a conflict.
+const pullSyncChanges = async (repos, userId, since, include = {}) => {
+  const changes = {
+    cursor: encodeSyncCursor(await repos.now()),
+    full_sync: since === null,
+  };
 
-    res.status(201).json({
-      success: true,
-      message: 'Journal entry created successfully',
-      entry_id: result.rows[0].id,
-      timestamp: result.rows[0].timestamp
+  for (const [key, { resource }] of Object.entries(SYNC_RESOURCES)) {
+    changes[key] = await repos[OWNED_RESOURCES[resource].repository].listChanges(userId, {
+      since,
+      include: include[key] || []
     });
-  } catch (error) {
-    handleError(res, error, 'Failed to create journal entry');
   }
-});
 
-// GET /journal/user/:id
-app.get('/journal/user/:id', async (req, res) => {
+  return changes;
+};
+
+const countSyncChanges = (changes) => {
+  return Object.keys(SYNC_RESOURCES).reduce(
+    (total, key) => total + changes[key].changed.length + changes[key].deleted.length,
+    0
+  );
+};
+
+// Audit the rows a pull sent to the device
+const auditSyncPull = (req, changes) => {
+  Object.entries(SYNC_RESOURCES).forEach(([key, { resource }]) => {
+    req.audit(changes[key].changed.map(row => row.id), resource, 'read');
+  });
+};
+
+// GET /sync?since=<cursor> - pull only: everything changed since the cursor
+// returned by the previous sync, or the whole journal and contact list
+// when since is omitted
+api.get('/sync', {
+  summary: 'Pull changes since the last sync',
+  description: 'Pass the cursor returned by the previous sync as since, or omit it for everything.',
+  tags: ['Sync'],
+  query: syncQuerySchema
+}, audit(), async (req, res) => {
   try {
-    const userId = parseInt(req.params.id);
-    
-    if (isNaN(userId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid user ID'
-      });
+    const { error, value } = syncQuerySchema.validate(req.query, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
     }
 
-    const result = await pool.query(
-      'SELECT id, entry_text, mood_rating, timestamp FROM journal_entries WHERE user_id = $1 ORDER BY timestamp DESC',
-      [userId]
-    );
+    const since = value.since ? decodeSyncCursor(value.since) : null;
+    if (value.since && !since) {
+      return sendError(res, 'INVALID_CURSOR', 'Invalid sync cursor');
+    }
 
-    console.log(`✅ Retrieved ${result.rows.length} journal entries for user ${userId}`);
+    const changes = await pullSyncChanges(repositories, req.user.id, since);
+
+    req.log.debug('Sync pull', { pulled: countSyncChanges(changes) });
+    auditSyncPull(req, changes);
 
     res.json({
       success: true,
-      entries: result.rows,
-      count: result.rows.length
+      ...changes
     });
   } catch (error) {
-    handleError(res, error, 'Failed to retrieve journal entries');
+    handleError(res, error, 'Failed to sync');
   }
 });
 
-// DELETE /journal/entry/:id
-app.delete('/journal/entry/:id', async (req, res) => {
+// POST /sync - push the device's pending changes, then pull as GET /sync
+// does, in one transaction. Body:
+//   { since, changes: { journal_entries: { upserted, deleted }, contacts: { upserted, deleted } } }
+// `pushed` reports each upserted row as applied (with its server id) or
+// rejected with a reason: invalid, not_found, conflict or duplicate.
+api.post('/sync', {
+  summary: 'Push offline changes and pull in one round trip',
+  description: 'Each upserted row is reported as applied (with its server id) or rejected with a reason: invalid, not_found, conflict or duplicate.',
+  tags: ['Sync'],
+  body: syncPushSchema
+}, audit(), async (req, res) => {
   try {
-    const entryId = parseInt(req.params.id);
-    
-    if (isNaN(entryId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid entry ID'
-      });
-    }
+    const { error, value } = syncPushSchema.validate(req.body, { abortEarly: false });
 
-    const result = await pool.query(
-      'DELETE FROM journal_entries WHERE id = $1 RETURNING id',
-      [entryId]
-    );
+    if (error) {
+      return sendValidationError(res, error);
+    }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Journal entry not found'
-      });
+    const since = value.since ? decodeSyncCursor(value.since) : null;
+    if (value.since && !since) {
+      return sendError(res, 'INVALID_CURSOR', 'Invalid sync cursor');
     }
 
-    console.log(`✅ Deleted journal entry ${entryId}`);
+    const userId = req.user.id;
+
+    const { pushed, changes } = await repositories.transaction(async (tx) => {
+      const pushResults = await pushSyncChanges(tx, userId, value.changes, req.audit);
+
+      // Send back the server's version of every row that lost a conflict
+      const conflicts = Object.fromEntries(Object.entries(pushResults).map(([key, results]) => [
+        key,
+        results.filter(result => result.reason === 'conflict').map(result => result.id),
+      ]));
+
+      return { pushed: pushResults, changes: await pullSyncChanges(tx, userId, since, conflicts) };
+    });
+
+    const pushedCount = Object.values(pushed).reduce((total, results) => total + results.length, 0);
+    req.log.info('Sync', { pushed: pushedCount, pulled: countSyncChanges(changes) });
+    auditSyncPull(req, changes);
 
     res.json({
       success: true,
-      message: 'Journal entry deleted successfully'
+      pushed,
+      ...changes
     });
   } catch (error) {
-    handleError(res, error, 'Failed to delete journal entry');
+    handleError(res, error, 'Failed to sync');
   }
 });
 
-// POST /contacts/add
-app.post('/contacts/add', async (req, res) => {
-  try {
-    const { error, value } = contactSchema.validate(req.body);
-    
-    if (error) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        details: error.details[0].message
-      });
-    }
-
-    const { user_id, contact_name, contact_email } = value;
+// Audit Endpoints
 
-    const result = await pool.query(
-      'INSERT INTO contacts (user_id, contact_name, contact_email) VALUES ($1, $2, $3) RETURNING id, created_at',
-      [user_id, contact_name, contact_email.toLowerCase()]
-    );
+const auditQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(500).default(100),
+  cursor: Joi.string().optional(),
+  actor_id: Joi.number().integer().positive().optional(),
+  resource: Joi.string().valid(...Object.keys(OWNED_RESOURCES)).optional(),
+  action: Joi.string().valid(...AUDIT_ACTIONS).optional(),
+  record_id: Joi.number().integer().positive().optional(),
+  request_id: Joi.string().max(128).optional(),
+  from: Joi.date().iso().optional(),
+  to: rangeEndSchema.optional()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+});
 
-    console.log(`✅ Contact added for user ${user_id}, contact ID: ${result.rows[0].id}`);
+// Opaque like the journal cursors: base64url-encoded JSON holding the id of
+// the last event on the previous page (a BIGSERIAL, so kept as a string)
+const encodeAuditCursor = (id) => Buffer.from(JSON.stringify({ id })).toString('base64url');
 
-    res.status(201).json({
-      success: true,
-      message: 'Contact added successfully',
-      contact_id: result.rows[0].id,
-      created_at: result.rows[0].created_at
-    });
+const decodeAuditCursor = (cursor) => {
+  try {
+    const { id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return typeof id === 'string' && /^\d{1,19}$/.test(id) ? id : null;
   } catch (error) {
-    if (error.code === '23505') { // Unique constraint violation
-      return res.status(409).json({
-        success: false,
-        message: 'Contact with this email already exists for this user'
-      });
-    }
-    handleError(res, error, 'Failed to add contact');
+    return null;
   }
-});
+};
 
-// GET /contacts/user/:id
-app.get('/contacts/user/:id', async (req, res) => {
+// GET /audit?actor_id=&resource=&action=&record_id=&request_id=&from=&to= -
+// audit events, newest first; only for accounts listed in ADMIN_USER_IDS
+api.get('/audit', {
+  summary: 'Query the audit log',
+  description: 'Newest first; filters combine. Only for accounts listed in ADMIN_USER_IDS. '
+    + 'Pass next_cursor back as cursor for the following page; date bounds are inclusive.',
+  tags: ['Audit'],
+  query: auditQuerySchema,
+  admin: true
+}, requireAdmin, async (req, res) => {
   try {
-    const userId = parseInt(req.params.id);
-    
-    if (isNaN(userId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid user ID'
-      });
+    const { error, value } = auditQuerySchema.validate(req.query, { abortEarly: false });
+
+    if (error) {
+      return sendValidationError(res, error);
     }
 
-    const result = await pool.query(
-      'SELECT id, contact_name, contact_email, created_at FROM contacts WHERE user_id = $1 ORDER BY contact_name ASC',
-      [userId]
-    );
+    const { limit, cursor, from, to, ...filters } = value;
+    const beforeId = cursor ? decodeAuditCursor(cursor) : null;
+
+    if (cursor && !beforeId) {
+      return sendError(res, 'INVALID_CURSOR', 'Invalid cursor');
+    }
+
+    const { events, next } = await repositories.audit.list({ limit, beforeId, filters, from, to });
 
-    console.log(`✅ Retrieved ${result.rows.length} contacts for user ${userId}`);
+    req.log.info('Queried audit log', { filters: Object.keys(filters), count: events.length });
 
     res.json({
       success: true,
-      contacts: result.rows,
-      count: result.rows.length
+      events,
+      count: events.length,
+      next_cursor: next ? encodeAuditCursor(next) : null
     });
   } catch (error) {
-    handleError(res, error, 'Failed to retrieve contacts');
+    handleError(res, error, 'Failed to query audit log');
   }
 });
 
 // Enhanced health check endpoint
-app.get('/health', async (req, res) => {
+api.get('/health', {
+  summary: 'Health check',
+  tags: ['Utility'],
+  description: 'Responds 503 when the database is unreachable.'
+}, async (req, res) => {
+  if (!pool) {
+    return res.json({
+      success: true,
+      message: 'MUUD Health API is running with the in-memory data store',
+      timestamp: new Date().toISOString(),
+      database: {
+        status: 'not_used',
+        data_store: config.dataStore
+      },
+      server: {
+        port: port,
+        environment: config.environment,
+        uptime: process.uptime()
+      }
+    });
+  }
+
   try {
     const client = await pool.connect();
     const dbStatus = await client.query(`
@@ -418,7 +1905,7 @@ app.get('/health', async (req, res) => {
       },
       server: {
         port: port,
-        environment: process.env.NODE_ENV || 'development',
+        environment: config.environment,
         uptime: process.uptime()
       }
     });
@@ -433,115 +1920,333 @@ app.get('/health', async (req, res) => {
       },
       server: {
         port: port,
-        environment: process.env.NODE_ENV || 'development'
+        environment: config.environment
       }
     });
   }
 });
 
+// Probes for orchestrators and load balancers. /livez only says the process
+// is up and serving (restart it if not); /readyz also requires the database
+// to answer and every migration to be applied (send it traffic only then).
+// With the in-memory data store there is no database to check.
+
+// Migration files don't change while the server runs
+const MIGRATIONS = loadMigrations();
+
+api.get('/livez', {
+  summary: 'Liveness probe',
+  tags: ['Utility']
+}, (req, res) => {
+  res.json({
+    success: true,
+    status: 'alive',
+    uptime: process.uptime()
+  });
+});
+
+api.get('/readyz', {
+  summary: 'Readiness probe',
+  description: 'Responds 503 NOT_READY unless the database is reachable and every migration is applied, and while the server is shutting down.',
+  tags: ['Utility']
+}, async (req, res) => {
+  const checks = { server: shuttingDown ? 'shutting_down' : 'ok' };
+
+  if (pool) {
+    try {
+      await pool.query('SELECT 1');
+      checks.database = 'ok';
+      checks.migrations = 'ok';
+    } catch (error) {
+      req.log.warn('Readiness check failed: database unreachable', { error });
+      checks.database = 'unreachable';
+      checks.migrations = 'unknown';
+    }
+  }
+
+  if (checks.database === 'ok') {
+    try {
+      if (describeStatusProblems(await getMigrationStatus(pool, MIGRATIONS))) {
+        checks.migrations = 'pending';
+      }
+    } catch (error) {
+      req.log.warn('Readiness check failed: migration status unavailable', { error });
+      checks.migrations = 'unknown';
+    }
+  }
+
+  if (Object.values(checks).some(check => check !== 'ok')) {
+    return sendError(res, 'NOT_READY', 'Service is not ready', { checks });
+  }
+
+  res.json({
+    success: true,
+    status: 'ready',
+    checks
+  });
+});
+
+// Middleware: /metrics skips the access token check, since scrapers have no
+// account, and takes `Authorization: Bearer <METRICS_TOKEN>` instead. Hashing
+// both sides gives timingSafeEqual buffers of the same length.
+const requireMetricsToken = (req, res, next) => {
+  if (!METRICS_TOKEN) {
+    return next();
+  }
+
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  if (scheme !== 'Bearer' || !token || !crypto.timingSafeEqual(digest(token), digest(METRICS_TOKEN))) {
+    return sendError(res, 'AUTH_REQUIRED', 'Metrics token required');
+  }
+  next();
+};
+
+// GET /metrics - Prometheus scrape target
+api.get('/metrics', {
+  summary: 'Prometheus metrics',
+  description: 'Request counts and latency per route, database query timings and pool connections. '
+    + 'Needs `Authorization: Bearer <METRICS_TOKEN>` when the server has METRICS_TOKEN set (always in production).',
+  tags: ['Utility'],
+  produces: ['text/plain']
+}, requireMetricsToken, (req, res) => {
+  res.set('Content-Type', metrics.contentType);
+  res.send(metrics.render());
+});
+
 // Simple test endpoint
-app.get('/test', (req, res) => {
+api.get('/test', {
+  summary: 'Simple test',
+  tags: ['Utility']
+}, (req, res) => {
   res.json({
     success: true,
     message: 'MUUD Health API is working!',
     timestamp: new Date().toISOString(),
     server: {
       port: port,
-      environment: process.env.NODE_ENV || 'development'
+      environment: config.environment
     }
   });
 });
 
+// API documentation
+// The OpenAPI document is built on first request, once every route is registered
+let openApiDocument = null;
+
+api.get('/openapi.json', {
+  summary: 'OpenAPI document for this API',
+  tags: ['Utility']
+}, (req, res) => {
+  if (!openApiDocument) {
+    openApiDocument = buildOpenApiDocument({
+      info: {
+        title: 'MUUD Health API',
+        version: API_VERSION,
+        description: 'Journal, contacts and sync API for the MUUD Health app.'
+      },
+      routes: api.routes,
+      schemas: {
+        JournalEntry: journalEntrySchema,
+        JournalEntryUpdate: journalEntryUpdateSchema,
+        Contact: contactSchema,
+        ContactUpdate: contactUpdateSchema
+      },
+      isPublic: route => PUBLIC_ROUTES.includes(`${route.method.toUpperCase()} ${route.path}`)
+    });
+  }
+  res.json(openApiDocument);
+});
+
+api.get('/docs', {
+  summary: 'Interactive API documentation',
+  tags: ['Utility'],
+  produces: ['text/html']
+}, (req, res) => {
+  res.type('html').send(renderDocsPage({ title: 'MUUD Health API', specUrl: '/openapi.json', assetsUrl: DOCS_ASSETS_URL }));
+});
+
 // 404 handler
 app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    message: `Endpoint not found: ${req.method} ${req.originalUrl}`,
-    available_endpoints: [
-      'GET /health',
-      'GET /test',
-      'POST /journal/entry',
-      'GET /journal/user/:id',
-      'DELETE /journal/entry/:id',
-      'POST /contacts/add',
-      'GET /contacts/user/:id'
-    ]
+  sendError(res, 'ENDPOINT_NOT_FOUND', `Endpoint not found: ${req.method} ${req.originalUrl}`, {
+    available_endpoints: api.endpoints()
   });
 });
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  console.log('\n🔄 Shutting down gracefully...');
-  try {
-    await pool.end();
-    console.log('✅ Database connections closed');
-  } catch (error) {
-    console.error('❌ Error closing database connections:', error.message);
+// Errors thrown before a handler runs, such as a malformed JSON body
+app.use((error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
   }
-  process.exit(0);
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 'VALIDATION_FAILED', 'Request body is not valid JSON');
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(res, 'PAYLOAD_TOO_LARGE', `Request body is larger than ${error.limit} bytes`);
+  }
+  handleError(res, error);
 });
 
-process.on('SIGTERM', async () => {
-  console.log('🔄 Received SIGTERM, shutting down gracefully...');
-  try {
-    await pool.end();
-    console.log('✅ Database connections closed');
-  } catch (error) {
-    console.error('❌ Error closing database connections:', error.message);
+// Graceful shutdown
+// On SIGTERM or SIGINT /readyz starts failing, the server stops accepting
+// connections and requests in flight get SHUTDOWN_TIMEOUT_SECONDS to finish.
+// Connections still open after that are closed, and only then the pool.
+// A second signal exits straight away.
+let server = null;
+
+// Resolves true once every connection has closed, false at the deadline
+const drainRequests = () => new Promise((resolve) => {
+  if (!server) {
+    resolve(true);
+    return;
   }
-  process.exit(0);
+  const deadline = setTimeout(() => resolve(false), SHUTDOWN_TIMEOUT_SECONDS * 1000);
+  server.close(() => {
+    clearTimeout(deadline);
+    resolve(true);
+  });
 });
 
+const shutdown = async (signal) => {
+  if (shuttingDown) {
+    logger.warn('Shutdown forced', { signal, active_requests: activeResponses.size });
+    process.exit(1);
+  }
+  shuttingDown = true;
+  logger.info('Shutting down gracefully', {
+    signal,
+    active_requests: activeResponses.size,
+    timeout_seconds: SHUTDOWN_TIMEOUT_SECONDS
+  });
+
+  // Responses not yet started close their connection too, instead of
+  // leaving it idle for the next request
+  activeResponses.forEach((res) => {
+    if (!res.headersSent) {
+      res.set('Connection', 'close');
+    }
+  });
+
+  const drained = await drainRequests();
+  if (drained) {
+    logger.info('All requests finished');
+  } else {
+    logger.warn('Shutdown deadline reached, closing remaining connections', {
+      active_requests: activeResponses.size
+    });
+    server.closeAllConnections();
+  }
+
+  if (pool) {
+    try {
+      await pool.end();
+      logger.info('Database connections closed');
+    } catch (error) {
+      logger.error('Error closing database connections', { error });
+    }
+  }
+  process.exit(drained ? 0 : 1);
+};
+
 // Start server
 async function startServer() {
   try {
-    console.log('🚀 Starting MUUD Health API server...');
-    console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`🌐 CORS enabled for all origins (development mode)`);
-    
-    // Test database connection
-    const dbConnected = await testConnection();
+    logger.info('Starting MUUD Health API server', {
+      environment: config.environment,
+      data_store: repositories.name,
+      log_level: config.logLevel,
+      seed_profile: SEED_PROFILE,
+      trash_retention_days: TRASH_RETENTION_DAYS,
+      journal_encryption_key: journalCipher.activeKeyId,
+      journal_search_index: searchIndex.enabled,
+      audit_admins: ADMIN_USER_IDS.length,
+      shutdown_timeout_seconds: SHUTDOWN_TIMEOUT_SECONDS,
+      rate_limit_store: rateLimitStore.name,
+      rate_limits: Object.fromEntries(Object.values(RATE_LIMIT_BUDGETS)
+        .map(({ name, max, windowMs }) => [name, `${max}/${windowMs / 1000}s`])),
+      cors_origin: '*'
+    });
     
-    if (dbConnected) {
+    if (!journalCipher.enabled) {
+      logger.warn('Journal encryption is disabled - set JOURNAL_ENCRYPTION_KEYS or JOURNAL_ENCRYPTION_KEY_FILE');
+    }
+
+    if (!METRICS_TOKEN) {
+      logger.warn('METRICS_TOKEN not set - /metrics is open to anyone');
+    }
+
+    setInterval(pruneRateLimits, RATE_LIMIT_PRUNE_INTERVAL_MS).unref();
+
+    if (!pool) {
+      logger.warn('Using the in-memory data store - nothing is kept once the server stops');
+      setInterval(purgeTrash, TRASH_PURGE_INTERVAL_MS).unref();
+    } else {
+      // Without a database the migration status can't be read, so the
+      // schema can't be trusted either: fail closed rather than serve
+      const dbConnected = await testConnection();
+
+      if (!dbConnected) {
+        logger.error('Refusing to start without a database connection', {
+          troubleshooting: [
+            'Check if Docker is running: docker ps',
+            'Check PostgreSQL container: docker logs muud_health_db',
+            'Verify .env file has correct password',
+            'Reset containers: docker-compose down -v && docker-compose up -d',
+            'Wait 10-15 seconds for database to fully start'
+          ]
+        });
+        await pool.end();
+        process.exit(1);
+      }
+
+      if (!(await checkMigrations())) {
+        logger.error('Refusing to start until pending migrations are applied');
+        await pool.end();
+        process.exit(1);
+      }
+
+      // Migration 0005 fills the search index from the entries it finds, and
+      // the index may have been on before; with it off no indexed words stay
+      // behind. A failure here stops startup.
+      if (!searchIndex.enabled) {
+        await searchIndex.clear(pool);
+      }
+
       const dbInitialized = await initializeDatabase();
+      await purgeTrash();
+      setInterval(purgeTrash, TRASH_PURGE_INTERVAL_MS).unref();
+
       if (dbInitialized) {
-        console.log('🎯 Backend is fully ready for API calls!');
+        logger.info('Backend is fully ready for API calls');
       } else {
-        console.log('⚠️ Server starting with database connection but initialization failed');
+        logger.warn('Server starting with database connection but initialization failed');
       }
-    } else {
-      console.log('⚠️ Server starting without database connection');
-      console.log('');
-      console.log('💡 Troubleshooting steps:');
-      console.log('1. Check if Docker is running: docker ps');
-      console.log('2. Check PostgreSQL container: docker logs muud_health_db');
-      console.log('3. Verify .env file has correct password');
-      console.log('4. Reset containers: docker-compose down -v && docker-compose up -d');
-      console.log('5. Wait 10-15 seconds for database to fully start');
-    }
-
-    app.listen(port, '0.0.0.0', () => {
-      console.log('');
-      console.log('✅ MUUD Health API server is running!');
-      console.log(`🌐 Local: http://localhost:${port}`);
-      console.log(`🌐 Network: http://0.0.0.0:${port}`);
-      console.log(`🏥 Health check: http://localhost:${port}/health`);
-      console.log(`🧪 Test endpoint: http://localhost:${port}/test`);
-      console.log('');
-      console.log('📚 Available API endpoints:');
-      console.log('   POST /journal/entry      - Create journal entry');
-      console.log('   GET  /journal/user/:id   - Get user journal entries');
-      console.log('   DELETE /journal/entry/:id - Delete journal entry');
-      console.log('   POST /contacts/add       - Add contact');
-      console.log('   GET  /contacts/user/:id  - Get user contacts');
-      console.log('   GET  /health             - Health check');
-      console.log('   GET  /test               - Simple test');
-      console.log('');
-    });
-  } catch (error) {
-    console.error('❌ Failed to start server:', error);
+    }
+
+    server = app.listen(port, '0.0.0.0', () => {
+      logger.info('MUUD Health API server is running', {
+        port: Number(port),
+        local_url: `http://localhost:${port}`,
+        health_check: `http://localhost:${port}/health`,
+        api_docs: `http://localhost:${port}/docs`
+      });
+      logger.debug('Available API endpoints', { endpoints: api.endpoints() });
+    });
+  } catch (error) {
+    logger.error('Failed to start server', { error });
     process.exit(1);
   }
 }
 
-startServer();
\ No newline at end of file
+// Started with `node server.js`; when required (e.g. by tests with supertest)
+// the app is only built, without listening, connecting or timers
+if (require.main === module) {
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  startServer();
+}
+
+module.exports = {
+  app,
+  repositories
+};
\ No newline at end of file
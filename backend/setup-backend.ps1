@@ -57,60 +57,6 @@ function Wait-ForDatabase {
     return $false
 }
 
-function Initialize-Database {
-    Write-ColorOutput "Initializing database tables with password authentication..." "Info"
-    
-    $createTablesSQL = @"
-CREATE TABLE IF NOT EXISTS journal_entries (
-    id SERIAL PRIMARY KEY,
-    user_id INTEGER NOT NULL,
-    entry_text TEXT NOT NULL,
-    mood_rating INTEGER CHECK (mood_rating >= 1 AND mood_rating <= 5),
-    timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
-CREATE TABLE IF NOT EXISTS contacts (
-    id SERIAL PRIMARY KEY,
-    user_id INTEGER NOT NULL,
-    contact_name VARCHAR(255) NOT NULL,
-    contact_email VARCHAR(255) NOT NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(user_id, contact_email)
-);
-
-INSERT INTO journal_entries (user_id, entry_text, mood_rating, timestamp) 
-SELECT 1, 'Welcome to MUUD Health! Your secure database is ready.', 5, NOW()
-WHERE NOT EXISTS (SELECT 1 FROM journal_entries);
-
-INSERT INTO journal_entries (user_id, entry_text, mood_rating, timestamp) 
-SELECT 1, 'Password authentication is now enabled for better security.', 4, NOW() - INTERVAL '1 hour'
-WHERE NOT EXISTS (SELECT 1 FROM journal_entries WHERE entry_text LIKE '%Password authentication%');
-
-INSERT INTO contacts (user_id, contact_name, contact_email) 
-SELECT 1, 'Dr. Sample', 'dr.sample@healthcare.com'
-WHERE NOT EXISTS (SELECT 1 FROM contacts);
-
-INSERT INTO contacts (user_id, contact_name, contact_email) 
-SELECT 1, 'MUUD Health Support', 'support@muudhealth.com'
-WHERE NOT EXISTS (SELECT 1 FROM contacts WHERE contact_email = 'support@muudhealth.com');
-
-SELECT 'Secure database initialized successfully!' as status;
-SELECT 'Journal entries: ' || COUNT(*) as info FROM journal_entries;
-SELECT 'Contacts: ' || COUNT(*) as info FROM contacts;
-"@
-
-    try {
-        # Set password for database connection
-        $env:PGPASSWORD = "muud_health"
-        $createTablesSQL | docker exec -i -e PGPASSWORD=muud_health muud_health_db psql -U postgres -d muud_health
-        Write-ColorOutput "SUCCESS: Secure database tables created successfully!" "Success"
-        return $true
-    } catch {
-        Write-ColorOutput "ERROR: Failed to initialize database: $($_.Exception.Message)" "Error"
-        return $false
-    }
-}
-
 function Create-DockerCompose {
     Write-ColorOutput "Creating docker-compose.yml with password authentication..." "Info"
     
@@ -222,6 +168,9 @@ DB_PASSWORD=muud_health
 PORT=3000
 NODE_ENV=development
 
+# Seed data (none, demo or large)
+SEED_PROFILE=demo
+
 # Security Note: In production, use a stronger password
 "@
     $envContent | Out-File -FilePath ".env" -Encoding UTF8
@@ -249,11 +198,6 @@ NODE_ENV=development
         docker logs muud_health_db
         exit 1
     }
-    
-    # Initialize database with password
-    if (-not (Initialize-Database)) {
-        exit 1
-    }
 } else {
     Write-ColorOutput "Skipping Docker setup" "Warning"
 }
@@ -288,6 +232,27 @@ try {
     Write-ColorOutput "WARNING: Could not test database connection" "Warning"
 }
 
+# Apply database migrations
+Write-ColorOutput "Applying database migrations..." "Info"
+npm run migrate
+
+if ($LASTEXITCODE -eq 0) {
+    Write-ColorOutput "SUCCESS: Database schema is up to date" "Success"
+} else {
+    Write-ColorOutput "ERROR: Failed to apply database migrations" "Error"
+    exit 1
+}
+
+# Add the demo account and sample data
+Write-ColorOutput "Seeding demo data..." "Info"
+npm run seed -- demo
+
+if ($LASTEXITCODE -eq 0) {
+    Write-ColorOutput "SUCCESS: Demo data ready (demo@muudhealth.com / muud-demo-password)" "Success"
+} else {
+    Write-ColorOutput "WARNING: Failed to seed demo data" "Warning"
+}
+
 # Show final status
 Write-Host ""
 Write-ColorOutput "Secure Backend Setup Complete!" "Success"
@@ -303,7 +268,8 @@ Write-ColorOutput "Status Summary:" "Info"
 Write-ColorOutput "  - Docker containers running with password auth" "Success"
 Write-ColorOutput "  - PostgreSQL database ready and secured" "Success"
 Write-ColorOutput "  - Node.js dependencies installed" "Success"
-Write-ColorOutput "  - Database tables initialized with sample data" "Success"
+Write-ColorOutput "  - Database migrations applied" "Success"
+Write-ColorOutput "  - Demo account seeded" "Success"
 Write-Host ""
 
 # Show security warning
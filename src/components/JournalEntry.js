@@ -8,7 +8,7 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 
-export default function JournalEntry({ entry, onPress, onDelete }) {
+export default function JournalEntry({ entry, onPress, onEdit, onDelete, onTagPress }) {
   const formatDate = (timestamp) => {
     const date = new Date(timestamp);
     const now = new Date();
@@ -70,7 +70,7 @@ export default function JournalEntry({ entry, onPress, onDelete }) {
   const handleDelete = () => {
     Alert.alert(
       'Delete Entry',
-      'Are you sure you want to delete this journal entry? This action cannot be undone.',
+      'Move this journal entry to the trash? You can restore it from Trash later.',
       [
         {
           text: 'Cancel',
@@ -94,6 +94,10 @@ export default function JournalEntry({ entry, onPress, onDelete }) {
           text: 'View Full Entry',
           onPress: () => onPress && onPress(entry),
         },
+        {
+          text: 'Edit Entry',
+          onPress: () => onEdit && onEdit(entry),
+        },
         {
           text: 'Delete Entry',
           style: 'destructive',
@@ -112,6 +116,16 @@ export default function JournalEntry({ entry, onPress, onDelete }) {
     return text.substr(0, maxLength) + '...';
   };
 
+  // Search results carry a snippet with matches wrapped in <mark></mark>;
+  // odd-numbered parts after splitting are the highlighted ones
+  const renderSnippet = (snippet) => (
+    snippet.split(/<\/?mark>/).map((part, index) => (
+      <Text key={index} style={index % 2 === 1 ? styles.highlight : undefined}>
+        {part}
+      </Text>
+    ))
+  );
+
   return (
     <TouchableOpacity
       style={styles.container}
@@ -135,9 +149,25 @@ export default function JournalEntry({ entry, onPress, onDelete }) {
 
       {/* Entry text */}
       <Text style={styles.entryText}>
-        {truncateText(entry.entry_text)}
+        {entry.snippet ? renderSnippet(entry.snippet) : truncateText(entry.entry_text)}
       </Text>
 
+      {/* Tags */}
+      {entry.tags && entry.tags.length > 0 && (
+        <View style={styles.tagList}>
+          {entry.tags.map((tag) => (
+            <TouchableOpacity
+              key={tag}
+              style={styles.tagChip}
+              onPress={() => onTagPress && onTagPress(tag)}
+              disabled={!onTagPress}
+            >
+              <Text style={styles.tagText}>#{tag}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
       {/* Footer with read more indicator */}
       {entry.entry_text.length > 120 && (
         <View style={styles.footer}>
@@ -212,6 +242,27 @@ const styles = StyleSheet.create({
     lineHeight: 20,
     marginBottom: 8,
   },
+  highlight: {
+    backgroundColor: '#FFF3CD',
+    fontWeight: '600',
+  },
+  tagList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  tagChip: {
+    backgroundColor: '#007AFF1A',
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 12,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  tagText: {
+    fontSize: 12,
+    color: '#007AFF',
+  },
   footer: {
     flexDirection: 'row',
     alignItems: 'center',
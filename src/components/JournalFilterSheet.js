@@ -0,0 +1,330 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+const DATE_PRESETS = [
+  { key: 'all', label: 'All time' },
+  { key: 'last7', label: 'Last 7 days' },
+  { key: 'last30', label: 'Last 30 days' },
+  { key: 'thisMonth', label: 'This month' },
+  { key: 'lastMonth', label: 'Last month' },
+];
+
+const MOOD_OPTIONS = [
+  { value: 1, emoji: '😢', label: 'Terrible', color: '#F44336' },
+  { value: 2, emoji: '😕', label: 'Poor', color: '#FF5722' },
+  { value: 3, emoji: '😐', label: 'Okay', color: '#FF9800' },
+  { value: 4, emoji: '🙂', label: 'Good', color: '#8BC34A' },
+  { value: 5, emoji: '😊', label: 'Excellent', color: '#4CAF50' },
+];
+
+export const EMPTY_FILTERS = { datePreset: 'all', moodMin: null, moodMax: null, tag: null };
+
+// Turn the sheet's selections into the from/to/mood_min/mood_max/tag query
+// parameters understood by getJournalEntriesAPI
+export const buildJournalFilters = ({ datePreset, moodMin, moodMax, tag }) => {
+  const now = new Date();
+  const filters = {};
+
+  switch (datePreset) {
+    case 'last7':
+      filters.from = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000).toISOString();
+      break;
+    case 'last30':
+      filters.from = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000).toISOString();
+      break;
+    case 'thisMonth':
+      filters.from = new Date(now.getFullYear(), now.getMonth(), 1).toISOString();
+      break;
+    case 'lastMonth':
+      filters.from = new Date(now.getFullYear(), now.getMonth() - 1, 1).toISOString();
+      filters.to = new Date(now.getFullYear(), now.getMonth(), 1, 0, 0, 0, -1).toISOString();
+      break;
+    default:
+      break;
+  }
+
+  if (moodMin) filters.mood_min = moodMin;
+  if (moodMax) filters.mood_max = moodMax;
+  if (tag) filters.tag = tag;
+
+  return filters;
+};
+
+export const countActiveFilters = ({ datePreset, moodMin, moodMax, tag }) => {
+  return (datePreset !== 'all' ? 1 : 0) + (moodMin || moodMax ? 1 : 0) + (tag ? 1 : 0);
+};
+
+export default function JournalFilterSheet({ visible, filters, onApply, onClose }) {
+  const [datePreset, setDatePreset] = useState(filters.datePreset);
+  const [moodMin, setMoodMin] = useState(filters.moodMin);
+  const [moodMax, setMoodMax] = useState(filters.moodMax);
+  const [tag, setTag] = useState(filters.tag);
+
+  // Start from the applied filters each time the sheet opens
+  useEffect(() => {
+    if (visible) {
+      setDatePreset(filters.datePreset);
+      setMoodMin(filters.moodMin);
+      setMoodMax(filters.moodMax);
+      setTag(filters.tag);
+    }
+  }, [visible, filters]);
+
+  const selectMoodMin = (value) => {
+    const next = moodMin === value ? null : value;
+    setMoodMin(next);
+    if (next && moodMax && moodMax < next) {
+      setMoodMax(next);
+    }
+  };
+
+  const selectMoodMax = (value) => {
+    const next = moodMax === value ? null : value;
+    setMoodMax(next);
+    if (next && moodMin && moodMin > next) {
+      setMoodMin(next);
+    }
+  };
+
+  const renderMoodRow = (title, selected, onSelect) => (
+    <View style={styles.moodRow}>
+      <Text style={styles.moodRowTitle}>{title}</Text>
+      <View style={styles.moodOptions}>
+        {MOOD_OPTIONS.map((mood) => (
+          <TouchableOpacity
+            key={mood.value}
+            style={[
+              styles.moodOption,
+              selected === mood.value && {
+                backgroundColor: mood.color + '20',
+                borderColor: mood.color,
+              },
+            ]}
+            onPress={() => onSelect(mood.value)}
+            activeOpacity={0.7}
+          >
+            <Text style={styles.moodEmoji}>{mood.emoji}</Text>
+            <Text
+              style={[
+                styles.moodLabel,
+                selected === mood.value && { color: mood.color, fontWeight: '600' },
+              ]}
+            >
+              {mood.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  );
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.sheet}>
+          {/* Header */}
+          <View style={styles.header}>
+            <TouchableOpacity
+              onPress={() => {
+                setDatePreset(EMPTY_FILTERS.datePreset);
+                setMoodMin(EMPTY_FILTERS.moodMin);
+                setMoodMax(EMPTY_FILTERS.moodMax);
+                setTag(EMPTY_FILTERS.tag);
+              }}
+            >
+              <Text style={styles.resetText}>Reset</Text>
+            </TouchableOpacity>
+            <Text style={styles.title}>Filter Entries</Text>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+              <Ionicons name="close" size={24} color="#666" />
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.body}>
+            {/* Date range */}
+            <Text style={styles.sectionTitle}>Date</Text>
+            <View style={styles.presetList}>
+              {DATE_PRESETS.map((preset) => (
+                <TouchableOpacity
+                  key={preset.key}
+                  style={[
+                    styles.presetChip,
+                    datePreset === preset.key && styles.presetChipSelected,
+                  ]}
+                  onPress={() => setDatePreset(preset.key)}
+                >
+                  <Text
+                    style={[
+                      styles.presetText,
+                      datePreset === preset.key && styles.presetTextSelected,
+                    ]}
+                  >
+                    {preset.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {/* Mood range */}
+            <Text style={styles.sectionTitle}>Mood</Text>
+            {renderMoodRow('Lowest', moodMin, selectMoodMin)}
+            {renderMoodRow('Highest', moodMax, selectMoodMax)}
+
+            {/* Tag (chosen by tapping a tag on an entry) */}
+            {tag && (
+              <>
+                <Text style={styles.sectionTitle}>Tag</Text>
+                <View style={styles.presetList}>
+                  <TouchableOpacity
+                    style={[styles.presetChip, styles.presetChipSelected, styles.tagChip]}
+                    onPress={() => setTag(null)}
+                  >
+                    <Text style={[styles.presetText, styles.presetTextSelected]}>#{tag}</Text>
+                    <Ionicons name="close" size={14} color="#007AFF" style={styles.tagClear} />
+                  </TouchableOpacity>
+                </View>
+              </>
+            )}
+
+            <TouchableOpacity
+              style={styles.applyButton}
+              onPress={() => onApply({ datePreset, moodMin, moodMax, tag })}
+            >
+              <Text style={styles.applyText}>Show Entries</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  sheet: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    maxHeight: '85%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+  },
+  resetText: {
+    fontSize: 16,
+    color: '#007AFF',
+  },
+  closeButton: {
+    padding: 4,
+  },
+  body: {
+    padding: 20,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 12,
+  },
+  presetList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 20,
+  },
+  presetChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  presetChipSelected: {
+    backgroundColor: '#007AFF1A',
+    borderColor: '#007AFF',
+  },
+  presetText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  presetTextSelected: {
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  tagChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  tagClear: {
+    marginLeft: 4,
+  },
+  moodRow: {
+    marginBottom: 16,
+  },
+  moodRowTitle: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 8,
+  },
+  moodOptions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  moodOption: {
+    alignItems: 'center',
+    padding: 8,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    flex: 1,
+    marginHorizontal: 2,
+  },
+  moodEmoji: {
+    fontSize: 20,
+    marginBottom: 4,
+  },
+  moodLabel: {
+    fontSize: 10,
+    color: '#666',
+    textAlign: 'center',
+  },
+  applyButton: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 14,
+    borderRadius: 25,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  applyText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+});
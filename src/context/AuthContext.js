@@ -0,0 +1,9 @@
+import { createContext, useContext } from 'react';
+
+// Holds the signed-in user and a signOut() callback provided by App
+export const AuthContext = createContext({
+  user: null,
+  signOut: () => {},
+});
+
+export const useAuth = () => useContext(AuthContext);
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -12,13 +12,21 @@ import {
   ActivityIndicator,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { addContactAPI } from '../services/api';
+import { addContactAPI, updateContactAPI, ERROR_CODES } from '../services/api';
 
-export default function AddContactScreen({ navigation }) {
-  const [contactName, setContactName] = useState('');
-  const [contactEmail, setContactEmail] = useState('');
+export default function AddContactScreen({ navigation, route }) {
+  // When opened with a contact, the screen edits it instead of adding one
+  const editingContact = route && route.params ? route.params.contact : null;
+  const isEditing = !!editingContact;
+
+  const [contactName, setContactName] = useState(isEditing ? editingContact.contact_name : '');
+  const [contactEmail, setContactEmail] = useState(isEditing ? editingContact.contact_email : '');
   const [isSubmitting, setIsSubmitting] = useState(false);
 
+  useEffect(() => {
+    navigation.setOptions({ title: isEditing ? 'Edit Contact' : 'Add Contact' });
+  }, [navigation, isEditing]);
+
   const validateEmail = (email) => {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     return emailRegex.test(email);
@@ -41,6 +49,11 @@ export default function AddContactScreen({ navigation }) {
       return;
     }
 
+    if (isEditing) {
+      await handleUpdate();
+      return;
+    }
+
     try {
       setIsSubmitting(true);
       console.log('Adding contact...', { contactName: contactName.trim(), contactEmail: contactEmail.trim() });
@@ -77,7 +90,7 @@ export default function AddContactScreen({ navigation }) {
       console.error('Error creating contact:', error);
       
       // Check if it's a duplicate email error
-      if (error.message && error.message.includes('already exists')) {
+      if (error.code === ERROR_CODES.DUPLICATE_CONTACT) {
         Alert.alert(
           'Duplicate Contact',
           'A contact with this email address already exists.',
@@ -95,6 +108,49 @@ export default function AddContactScreen({ navigation }) {
     }
   };
 
+  const handleUpdate = async () => {
+    try {
+      setIsSubmitting(true);
+      console.log('Updating contact...', { id: editingContact.id, contactName: contactName.trim() });
+
+      const updatedContact = await updateContactAPI(editingContact.id, {
+        contact_name: contactName.trim(),
+        contact_email: contactEmail.trim().toLowerCase(),
+      });
+
+      console.log('Contact updated:', updatedContact);
+
+      Alert.alert(
+        'Contact Updated',
+        `${contactName.trim()} has been updated.`,
+        [
+          {
+            text: 'OK',
+            onPress: () => navigation.navigate('ContactsList'),
+          },
+        ]
+      );
+    } catch (error) {
+      console.error('Error updating contact:', error);
+
+      if (error.code === ERROR_CODES.DUPLICATE_CONTACT) {
+        Alert.alert(
+          'Duplicate Contact',
+          'Another contact already uses this email address.',
+          [{ text: 'OK' }]
+        );
+      } else {
+        Alert.alert(
+          'Error',
+          'Failed to update contact. Please try again.',
+          [{ text: 'OK' }]
+        );
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
   const handleCancel = () => {
     const navigateBack = () => {
       // Try to go back first
@@ -108,10 +164,17 @@ export default function AddContactScreen({ navigation }) {
       }
     };
 
-    if (contactName.trim() || contactEmail.trim()) {
+    const hasChanges = isEditing
+      ? contactName.trim() !== editingContact.contact_name ||
+        contactEmail.trim().toLowerCase() !== editingContact.contact_email
+      : contactName.trim() || contactEmail.trim();
+
+    if (hasChanges) {
       Alert.alert(
-        'Discard Contact?',
-        'Are you sure you want to discard this contact?',
+        isEditing ? 'Discard Changes?' : 'Discard Contact?',
+        isEditing
+          ? 'Are you sure you want to discard your changes to this contact?'
+          : 'Are you sure you want to discard this contact?',
         [
           { text: 'Keep Editing', style: 'cancel' },
           {
@@ -140,7 +203,7 @@ export default function AddContactScreen({ navigation }) {
           <TouchableOpacity onPress={handleCancel} style={styles.cancelButton}>
             <Text style={styles.cancelText}>Cancel</Text>
           </TouchableOpacity>
-          <Text style={styles.headerTitle}>Add Contact</Text>
+          <Text style={styles.headerTitle}>{isEditing ? 'Edit Contact' : 'Add Contact'}</Text>
           <TouchableOpacity
             onPress={handleSubmit}
             style={[
@@ -158,7 +221,7 @@ export default function AddContactScreen({ navigation }) {
                   (!isFormValid || isSubmitting) && styles.saveTextDisabled,
                 ]}
               >
-                Add
+                {isEditing ? 'Save' : 'Add'}
               </Text>
             )}
           </TouchableOpacity>
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -12,13 +12,74 @@ import {
   ActivityIndicator,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { createJournalEntryAPI } from '../services/api';
+import { createJournalEntryAPI, updateJournalEntryAPI, getTagsAPI } from '../services/api';
 
-export default function AddJournalEntryScreen({ navigation }) {
-  const [entryText, setEntryText] = useState('');
-  const [moodRating, setMoodRating] = useState(0);
+// Tags are stored lowercase without '#', using letters, numbers, '-' and '_'
+const normalizeTag = (raw) => raw.trim().toLowerCase().replace(/^#/, '').replace(/[^a-z0-9_-]/g, '').slice(0, 50);
+
+export default function AddJournalEntryScreen({ navigation, route }) {
+  // When opened with an entry, the screen edits it instead of creating one
+  const editingEntry = route && route.params ? route.params.entry : null;
+  const isEditing = !!editingEntry;
+
+  const [entryText, setEntryText] = useState(isEditing ? editingEntry.entry_text : '');
+  const [moodRating, setMoodRating] = useState(isEditing ? editingEntry.mood_rating : 0);
+  const [tags, setTags] = useState(isEditing ? editingEntry.tags || [] : []);
+  const [tagInput, setTagInput] = useState('');
+  const [tagSuggestions, setTagSuggestions] = useState([]);
   const [isSubmitting, setIsSubmitting] = useState(false);
 
+  // Autocomplete from the user's existing tags as they type
+  useEffect(() => {
+    const prefix = normalizeTag(tagInput);
+    if (prefix === '') {
+      setTagSuggestions([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timeoutId = setTimeout(async () => {
+      try {
+        const found = await getTagsAPI(prefix);
+        if (!cancelled) {
+          setTagSuggestions(found.map(tag => tag.name).filter(name => !tags.includes(name)));
+        }
+      } catch (error) {
+        console.log('⚠️ Tag suggestions unavailable:', error.message);
+      }
+    }, 250);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [tagInput, tags]);
+
+  const addTag = (raw) => {
+    const tag = normalizeTag(raw);
+    if (tag && !tags.includes(tag) && tags.length < 20) {
+      setTags([...tags, tag]);
+    }
+    setTagInput('');
+  };
+
+  const removeTag = (tag) => {
+    setTags(tags.filter(t => t !== tag));
+  };
+
+  // Typing a space or comma finishes the current tag
+  const handleTagInputChange = (text) => {
+    if (/[\s,]$/.test(text)) {
+      addTag(text);
+    } else {
+      setTagInput(text);
+    }
+  };
+
+  useEffect(() => {
+    navigation.setOptions({ title: isEditing ? 'Edit Entry' : 'New Entry' });
+  }, [navigation, isEditing]);
+
   const moodOptions = [
     { value: 1, emoji: '😢', label: 'Terrible', color: '#F44336' },
     { value: 2, emoji: '😕', label: 'Poor', color: '#FF5722' },
@@ -39,6 +100,11 @@ export default function AddJournalEntryScreen({ navigation }) {
       return;
     }
 
+    if (isEditing) {
+      await handleUpdate();
+      return;
+    }
+
     try {
       setIsSubmitting(true);
       console.log('Saving journal entry...', { entryText: entryText.trim(), moodRating });
@@ -46,6 +112,7 @@ export default function AddJournalEntryScreen({ navigation }) {
       const newEntry = await createJournalEntryAPI({
         entry_text: entryText.trim(),
         mood_rating: moodRating,
+        tags,
       });
 
       console.log('Journal entry saved:', newEntry);
@@ -68,6 +135,7 @@ export default function AddJournalEntryScreen({ navigation }) {
               // Clear form for another entry
               setEntryText('');
               setMoodRating(0);
+              setTags([]);
             },
           },
         ]
@@ -84,6 +152,41 @@ export default function AddJournalEntryScreen({ navigation }) {
     }
   };
 
+  const handleUpdate = async () => {
+    try {
+      setIsSubmitting(true);
+      console.log('Updating journal entry...', { id: editingEntry.id, moodRating });
+
+      const updatedEntry = await updateJournalEntryAPI(editingEntry.id, {
+        entry_text: entryText.trim(),
+        mood_rating: moodRating,
+        tags,
+      });
+
+      console.log('Journal entry updated:', updatedEntry);
+
+      Alert.alert(
+        'Entry Updated',
+        'Your changes have been saved. The previous version is kept in the entry history.',
+        [
+          {
+            text: 'OK',
+            onPress: () => navigation.navigate('JournalList'),
+          },
+        ]
+      );
+    } catch (error) {
+      console.error('Error updating journal entry:', error);
+      Alert.alert(
+        'Error',
+        'Failed to save your changes. Please try again.',
+        [{ text: 'OK' }]
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
   const handleCancel = () => {
     const navigateBack = () => {
       // Try to go back first
@@ -97,10 +200,18 @@ export default function AddJournalEntryScreen({ navigation }) {
       }
     };
 
-    if (entryText.trim() || moodRating > 0) {
+    const hasChanges = isEditing
+      ? entryText.trim() !== editingEntry.entry_text ||
+        moodRating !== editingEntry.mood_rating ||
+        tags.join(',') !== (editingEntry.tags || []).join(',')
+      : entryText.trim() || moodRating > 0 || tags.length > 0;
+
+    if (hasChanges) {
       Alert.alert(
-        'Discard Entry?',
-        'Are you sure you want to discard this journal entry?',
+        isEditing ? 'Discard Changes?' : 'Discard Entry?',
+        isEditing
+          ? 'Are you sure you want to discard your changes to this entry?'
+          : 'Are you sure you want to discard this journal entry?',
         [
           { text: 'Keep Writing', style: 'cancel' },
           {
@@ -162,7 +273,7 @@ export default function AddJournalEntryScreen({ navigation }) {
           <TouchableOpacity onPress={handleCancel} style={styles.cancelButton}>
             <Text style={styles.cancelText}>Cancel</Text>
           </TouchableOpacity>
-          <Text style={styles.headerTitle}>New Entry</Text>
+          <Text style={styles.headerTitle}>{isEditing ? 'Edit Entry' : 'New Entry'}</Text>
           <TouchableOpacity
             onPress={handleSubmit}
             style={[
@@ -207,6 +318,52 @@ export default function AddJournalEntryScreen({ navigation }) {
           <Text style={styles.characterCount}>{entryText.length} characters</Text>
         </View>
 
+        {/* Tags */}
+        <View style={styles.tagsContainer}>
+          <Text style={styles.sectionTitle}>Tags</Text>
+          {tags.length > 0 && (
+            <View style={styles.tagList}>
+              {tags.map((tag) => (
+                <TouchableOpacity
+                  key={tag}
+                  style={styles.tagChip}
+                  onPress={() => removeTag(tag)}
+                  disabled={isSubmitting}
+                >
+                  <Text style={styles.tagChipText}>#{tag}</Text>
+                  <Ionicons name="close" size={14} color="#007AFF" />
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+          <TextInput
+            style={styles.tagInput}
+            placeholder="Add a tag, e.g. work, sleep, family"
+            placeholderTextColor="#999"
+            value={tagInput}
+            onChangeText={handleTagInputChange}
+            onSubmitEditing={() => addTag(tagInput)}
+            autoCapitalize="none"
+            autoCorrect={false}
+            returnKeyType="done"
+            blurOnSubmit={false}
+            editable={!isSubmitting}
+          />
+          {tagSuggestions.length > 0 && (
+            <View style={styles.tagList}>
+              {tagSuggestions.map((suggestion) => (
+                <TouchableOpacity
+                  key={suggestion}
+                  style={styles.suggestionChip}
+                  onPress={() => addTag(suggestion)}
+                >
+                  <Text style={styles.suggestionChipText}>#{suggestion}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+        </View>
+
         {/* Tips */}
         <View style={styles.tipsContainer}>
           <View style={styles.tipHeader}>
@@ -337,6 +494,57 @@ const styles = StyleSheet.create({
     textAlign: 'right',
     marginTop: 8,
   },
+  tagsContainer: {
+    backgroundColor: '#FFFFFF',
+    margin: 20,
+    marginTop: 0,
+    padding: 20,
+    borderRadius: 12,
+  },
+  tagList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  tagChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#007AFF1A',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 16,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  tagChipText: {
+    fontSize: 14,
+    color: '#007AFF',
+    marginRight: 4,
+  },
+  tagInput: {
+    fontSize: 16,
+    color: '#333',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    backgroundColor: '#F9F9F9',
+    marginBottom: 8,
+  },
+  suggestionChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  suggestionChipText: {
+    fontSize: 14,
+    color: '#666',
+  },
   tipsContainer: {
     backgroundColor: '#FFFFFF',
     margin: 20,
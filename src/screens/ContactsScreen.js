@@ -11,7 +11,7 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useFocusEffect } from '@react-navigation/native';
-import { getContactsAPI } from '../services/api';
+import { getContactsAPI, deleteContactAPI, syncAPI } from '../services/api';
 import ContactCard from '../components/ContactCard';
 
 export default function ContactsScreen({ navigation }) {
@@ -37,6 +37,7 @@ export default function ContactsScreen({ navigation }) {
 
   const onRefresh = useCallback(async () => {
     setRefreshing(true);
+    await syncAPI().catch(error => console.log('⚠️ Sync skipped:', error.message));
     await loadContacts();
     setRefreshing(false);
   }, []);
@@ -77,16 +78,48 @@ export default function ContactsScreen({ navigation }) {
         },
         {
           text: 'Edit',
-          onPress: () => {
-            // In a real app, this would open an edit contact screen
-            Alert.alert('Edit Contact', 'Edit functionality coming soon!');
-          },
+          onPress: () => navigation.navigate('AddContact', { contact }),
+        },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => handleDeleteContact(contact),
         },
         { text: 'Cancel', style: 'cancel' },
       ]
     );
   };
 
+  const handleDeleteContact = (contactToDelete) => {
+    Alert.alert(
+      'Delete Contact',
+      `Move ${contactToDelete.contact_name} to the trash? You can restore the contact from Trash later.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setLoading(true);
+              await deleteContactAPI(contactToDelete.id);
+
+              // Remove the contact from local state immediately for better UX
+              setContacts(prev => prev.filter(c => c.id !== contactToDelete.id));
+              setFilteredContacts(prev => prev.filter(c => c.id !== contactToDelete.id));
+            } catch (error) {
+              console.error('Error deleting contact:', error);
+              Alert.alert('Delete Failed', 'Failed to delete the contact. Please try again.');
+              await loadContacts();
+            } finally {
+              setLoading(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
   const renderContact = ({ item }) => (
     <ContactCard contact={item} onPress={handleContactPress} />
   );
@@ -7,15 +7,17 @@ import {
   TouchableOpacity,
   Dimensions,
   RefreshControl,
+  Alert,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useFocusEffect } from '@react-navigation/native';
-import { getJournalEntriesAPI, getContactsAPI } from '../services/api';
-import { initializeSampleData } from '../utils/storage';
+import { getMoodInsightsAPI, getContactsAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
 
 const { width } = Dimensions.get('window');
 
 export default function HomeScreen({ navigation }) {
+  const { user, signOut } = useAuth();
   const [stats, setStats] = useState({
     totalEntries: 0,
     thisWeek: 0,
@@ -76,36 +78,28 @@ export default function HomeScreen({ navigation }) {
 
   const loadStats = async () => {
     try {
-      // Initialize sample data if needed
-      await initializeSampleData();
-
-      // Get journal entries and calculate stats
-      const entries = await getJournalEntriesAPI();
-      const contacts = await getContactsAPI();
-
-      // Calculate this week's entries
+      // Aggregates come from the insights endpoint (computed locally when offline)
       const oneWeekAgo = new Date();
       oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
-      
-      const thisWeekEntries = entries.filter(entry => 
-        new Date(entry.timestamp) > oneWeekAgo
-      );
 
-      // Calculate average mood
-      const moodAverage = entries.length > 0 
-        ? entries.reduce((sum, entry) => sum + entry.mood_rating, 0) / entries.length
-        : 0;
+      const [allTime, thisWeek, contacts] = await Promise.all([
+        getMoodInsightsAPI({ bucket: 'month' }),
+        getMoodInsightsAPI({ bucket: 'day', from: oneWeekAgo.toISOString() }),
+        getContactsAPI(),
+      ]);
+
+      const moodAverage = allTime.summary.average_mood || 0;
 
       setStats({
-        totalEntries: entries.length,
-        thisWeek: thisWeekEntries.length,
+        totalEntries: allTime.summary.entry_count,
+        thisWeek: thisWeek.summary.entry_count,
         totalContacts: contacts.length,
         moodAverage: Number(moodAverage.toFixed(1)),
       });
 
       console.log('Stats loaded:', {
-        totalEntries: entries.length,
-        thisWeek: thisWeekEntries.length,
+        totalEntries: allTime.summary.entry_count,
+        thisWeek: thisWeek.summary.entry_count,
         totalContacts: contacts.length,
         moodAverage: Number(moodAverage.toFixed(1)),
       });
@@ -135,6 +129,17 @@ export default function HomeScreen({ navigation }) {
     return '😢';
   };
 
+  const handleSignOut = () => {
+    Alert.alert(
+      'Sign Out',
+      'Are you sure you want to sign out?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Sign Out', style: 'destructive', onPress: signOut },
+      ]
+    );
+  };
+
   const getWellnessTip = () => {
     const tips = [
       "Taking just 5 minutes to reflect on your day can improve your mental clarity and emotional awareness.",
@@ -157,7 +162,12 @@ export default function HomeScreen({ navigation }) {
     >
       {/* Header */}
       <View style={styles.header}>
-        <Text style={styles.welcomeText}>Welcome to</Text>
+        <TouchableOpacity style={styles.signOutButton} onPress={handleSignOut}>
+          <Ionicons name="log-out-outline" size={22} color="#666" />
+        </TouchableOpacity>
+        <Text style={styles.welcomeText}>
+          {user && user.display_name ? `Welcome, ${user.display_name}, to` : 'Welcome to'}
+        </Text>
         <Text style={styles.appName}>MUUD Health</Text>
         <Text style={styles.subtitle}>Your wellness companion</Text>
       </View>
@@ -245,6 +255,12 @@ const styles = StyleSheet.create({
     backgroundColor: '#FFFFFF',
     alignItems: 'center',
   },
+  signOutButton: {
+    position: 'absolute',
+    top: 50,
+    right: 20,
+    padding: 4,
+  },
   welcomeText: {
     fontSize: 16,
     color: '#666',
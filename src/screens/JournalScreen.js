@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -8,24 +8,64 @@ import {
   Alert,
   RefreshControl,
   Modal,
+  ScrollView,
+  ActivityIndicator,
+  TextInput,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useFocusEffect } from '@react-navigation/native';
-import { getJournalEntriesAPI, deleteJournalEntryAPI } from '../services/api';
+import {
+  getJournalEntriesAPI,
+  deleteJournalEntryAPI,
+  getJournalEntryRevisionsAPI,
+  searchJournalEntriesAPI,
+  exportJournalAPI,
+  syncAPI,
+} from '../services/api';
+import { EXPORT_FORMATS, shareJournalExport } from '../utils/journalExport';
 import JournalEntry from '../components/JournalEntry';
+import JournalFilterSheet, {
+  EMPTY_FILTERS,
+  buildJournalFilters,
+  countActiveFilters,
+} from '../components/JournalFilterSheet';
+
+const PAGE_SIZE = 20;
 
 export default function JournalScreen({ navigation }) {
   const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [loading, setLoading] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
   const [selectedEntry, setSelectedEntry] = useState(null);
   const [modalVisible, setModalVisible] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+  const [loadingHistory, setLoadingHistory] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [filterState, setFilterState] = useState(EMPTY_FILTERS);
+  const [filterSheetVisible, setFilterSheetVisible] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  // Focus and refresh callbacks are memoized once, so they read the applied
+  // filters through a ref rather than a stale closure
+  const filterStateRef = useRef(EMPTY_FILTERS);
+
+  const isSearching = searchQuery.trim() !== '';
+  const activeFilterCount = countActiveFilters(filterState);
 
   const loadEntries = async () => {
     try {
       setLoading(true);
-      const fetchedEntries = await getJournalEntriesAPI();
-      setEntries(fetchedEntries);
+      const page = await getJournalEntriesAPI({
+        limit: PAGE_SIZE,
+        filters: buildJournalFilters(filterStateRef.current),
+      });
+      setEntries(page.entries);
+      setNextCursor(page.nextCursor);
     } catch (error) {
       console.error('Error loading entries:', error);
       Alert.alert('Error', 'Failed to load journal entries. Please try again.');
@@ -34,12 +74,66 @@ export default function JournalScreen({ navigation }) {
     }
   };
 
+  // Infinite scroll: fetch the next page when the list nears its end
+  const loadMoreEntries = async () => {
+    if (!nextCursor || loadingMore || loading || isSearching) {
+      return;
+    }
+
+    try {
+      setLoadingMore(true);
+      const page = await getJournalEntriesAPI({
+        cursor: nextCursor,
+        limit: PAGE_SIZE,
+        filters: buildJournalFilters(filterStateRef.current),
+      });
+      setEntries(prevEntries => [...prevEntries, ...page.entries]);
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      console.error('Error loading more entries:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
   const onRefresh = useCallback(async () => {
     setRefreshing(true);
+    await syncAPI().catch(error => console.log('⚠️ Sync skipped:', error.message));
     await loadEntries();
     setRefreshing(false);
   }, []);
 
+  // Search as the user types, waiting for a short pause between keystrokes
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (query === '') {
+      setSearchResults(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timeoutId = setTimeout(async () => {
+      try {
+        setSearching(true);
+        const results = await searchJournalEntriesAPI(query);
+        if (!cancelled) {
+          setSearchResults(results);
+        }
+      } catch (error) {
+        console.error('Error searching entries:', error);
+      } finally {
+        if (!cancelled) {
+          setSearching(false);
+        }
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [searchQuery]);
+
   // Load entries when screen comes into focus
   useFocusEffect(
     useCallback(() => {
@@ -47,11 +141,81 @@ export default function JournalScreen({ navigation }) {
     }, [])
   );
 
+  const applyFilters = (nextFilterState) => {
+    filterStateRef.current = nextFilterState;
+    setFilterState(nextFilterState);
+    setFilterSheetVisible(false);
+    loadEntries();
+  };
+
+  // Tapping a tag on an entry narrows the list to that tag
+  const handleTagPress = (tag) => {
+    setModalVisible(false);
+    setSearchQuery('');
+    applyFilters({ ...filterStateRef.current, tag });
+  };
+
+  const handleExport = async (format) => {
+    try {
+      setExporting(true);
+      const exportFile = await exportJournalAPI(format);
+      await shareJournalExport(exportFile);
+    } catch (error) {
+      console.error('Error exporting journal:', error);
+      Alert.alert('Export Failed', 'Could not export your journal. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const showExportOptions = () => {
+    Alert.alert(
+      'Export Journal',
+      'Choose a format for your journal entries',
+      [
+        ...Object.entries(EXPORT_FORMATS).map(([format, { label }]) => ({
+          text: label,
+          onPress: () => handleExport(format),
+        })),
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+      ]
+    );
+  };
+
   const handleEntryPress = (entry) => {
     setSelectedEntry(entry);
+    setShowHistory(false);
+    setRevisions([]);
     setModalVisible(true);
   };
 
+  const handleEditEntry = (entry) => {
+    setModalVisible(false);
+    navigation.navigate('AddJournalEntry', { entry });
+  };
+
+  const handleToggleHistory = async () => {
+    if (showHistory) {
+      setShowHistory(false);
+      return;
+    }
+
+    setShowHistory(true);
+    try {
+      setLoadingHistory(true);
+      const entryRevisions = await getJournalEntryRevisionsAPI(selectedEntry.id);
+      setRevisions(entryRevisions);
+    } catch (error) {
+      console.error('Error loading entry history:', error);
+      Alert.alert('Error', 'Failed to load the history for this entry.');
+    } finally {
+      setLoadingHistory(false);
+    }
+  };
+
   const handleDeleteEntry = async (entryToDelete) => {
     try {
       console.log('Deleting entry:', entryToDelete);
@@ -64,7 +228,7 @@ export default function JournalScreen({ navigation }) {
       // Show confirmation
       Alert.alert(
         'Delete Entry',
-        'Are you sure you want to delete this journal entry? This action cannot be undone.',
+        'Move this journal entry to the trash? You can restore it from Trash later.',
         [
           {
             text: 'Cancel',
@@ -82,10 +246,13 @@ export default function JournalScreen({ navigation }) {
                 
                 // Remove the entry from local state immediately for better UX
                 setEntries(prevEntries => prevEntries.filter(e => e.id !== entryToDelete.id));
+                setSearchResults(prevResults =>
+                  prevResults ? prevResults.filter(e => e.id !== entryToDelete.id) : prevResults
+                );
                 
                 Alert.alert(
-                  'Entry Deleted',
-                  'Your journal entry has been successfully deleted.',
+                  'Moved to Trash',
+                  'Your journal entry was moved to the trash. Open Trash to restore it.',
                   [{ text: 'OK' }]
                 );
                 
@@ -151,11 +318,28 @@ export default function JournalScreen({ navigation }) {
     <JournalEntry 
       entry={item} 
       onPress={handleEntryPress} 
+      onEdit={handleEditEntry}
       onDelete={handleDeleteEntry}
+      onTagPress={handleTagPress}
     />
   );
 
-  const renderEmptyState = () => (
+  const renderEmptyState = () => activeFilterCount > 0 ? (
+    <View style={styles.emptyContainer}>
+      <Ionicons name="funnel-outline" size={64} color="#CCC" />
+      <Text style={styles.emptyTitle}>No Matching Entries</Text>
+      <Text style={styles.emptySubtitle}>
+        No journal entries match the selected filters
+      </Text>
+      <TouchableOpacity
+        style={styles.emptyButton}
+        onPress={() => applyFilters(EMPTY_FILTERS)}
+      >
+        <Ionicons name="close" size={20} color="#FFFFFF" />
+        <Text style={styles.emptyButtonText}>Clear Filters</Text>
+      </TouchableOpacity>
+    </View>
+  ) : (
     <View style={styles.emptyContainer}>
       <Ionicons name="book-outline" size={64} color="#CCC" />
       <Text style={styles.emptyTitle}>No Journal Entries Yet</Text>
@@ -172,30 +356,121 @@ export default function JournalScreen({ navigation }) {
     </View>
   );
 
+  const renderSearchResults = () => {
+    if (searching || searchResults === null) {
+      return (
+        <View style={styles.emptyContainer}>
+          <ActivityIndicator size="large" color="#007AFF" />
+        </View>
+      );
+    }
+    return (
+      <View style={styles.emptyContainer}>
+        <Ionicons name="search-outline" size={64} color="#CCC" />
+        <Text style={styles.emptyTitle}>No Results Found</Text>
+        <Text style={styles.emptySubtitle}>
+          No journal entries match "{searchQuery.trim()}"
+        </Text>
+      </View>
+    );
+  };
+
   const renderHeader = () => (
     <View style={styles.header}>
-      <Text style={styles.headerTitle}>Journal Entries</Text>
+      <View style={styles.headerRow}>
+        <Text style={styles.headerTitle}>Journal Entries</Text>
+        <View style={styles.headerActions}>
+          <TouchableOpacity
+            style={styles.exportButton}
+            onPress={showExportOptions}
+            disabled={exporting}
+          >
+            {exporting ? (
+              <ActivityIndicator size="small" color="#007AFF" />
+            ) : (
+              <Ionicons name="share-outline" size={18} color="#007AFF" />
+            )}
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.filterButton, activeFilterCount > 0 && styles.filterButtonActive]}
+            onPress={() => setFilterSheetVisible(true)}
+          >
+            <Ionicons
+              name="funnel-outline"
+              size={16}
+              color={activeFilterCount > 0 ? '#FFFFFF' : '#007AFF'}
+            />
+            <Text style={[styles.filterButtonText, activeFilterCount > 0 && styles.filterButtonTextActive]}>
+              {activeFilterCount > 0 ? `Filters (${activeFilterCount})` : 'Filter'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </View>
       <Text style={styles.headerSubtitle}>
-        {entries.length} {entries.length === 1 ? 'entry' : 'entries'}
+        {isSearching
+          ? `${(searchResults || []).length} ${(searchResults || []).length === 1 ? 'result' : 'results'} for "${searchQuery.trim()}"`
+          : `${entries.length}${nextCursor ? '+' : ''} ${entries.length === 1 && !nextCursor ? 'entry' : 'entries'}`}
       </Text>
     </View>
   );
 
+  const renderSearchBar = () => (
+    <View style={styles.searchContainer}>
+      <View style={styles.searchBar}>
+        <Ionicons name="search-outline" size={20} color="#666" />
+        <TextInput
+          style={styles.searchInput}
+          placeholder="Search journal..."
+          placeholderTextColor="#999"
+          value={searchQuery}
+          onChangeText={setSearchQuery}
+          autoCapitalize="none"
+          autoCorrect={false}
+          returnKeyType="search"
+        />
+        {searchQuery.length > 0 && (
+          <TouchableOpacity
+            onPress={() => setSearchQuery('')}
+            style={styles.clearButton}
+          >
+            <Ionicons name="close-circle" size={20} color="#666" />
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+
+  const listData = isSearching ? (searchResults || []) : entries;
+
+  const renderFooter = () => (
+    loadingMore ? (
+      <View style={styles.listFooter}>
+        <ActivityIndicator size="small" color="#007AFF" />
+      </View>
+    ) : null
+  );
+
   return (
     <View style={styles.container}>
       {/* Header */}
-      {entries.length > 0 && renderHeader()}
+      {(entries.length > 0 || activeFilterCount > 0) && renderHeader()}
+
+      {/* Search Bar */}
+      {(entries.length > 0 || activeFilterCount > 0) && renderSearchBar()}
 
       {/* Journal Entries List */}
       <FlatList
-        data={entries}
+        data={listData}
         renderItem={renderEntry}
         keyExtractor={(item) => item.id.toString()}
-        contentContainerStyle={entries.length === 0 ? styles.emptyList : styles.list}
+        contentContainerStyle={listData.length === 0 ? styles.emptyList : styles.list}
         refreshControl={
           <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
         }
-        ListEmptyComponent={renderEmptyState}
+        ListEmptyComponent={isSearching ? renderSearchResults : renderEmptyState}
+        ListFooterComponent={renderFooter}
+        onEndReached={loadMoreEntries}
+        onEndReachedThreshold={0.5}
         showsVerticalScrollIndicator={false}
       />
 
@@ -208,6 +483,14 @@ export default function JournalScreen({ navigation }) {
         <Ionicons name="add" size={24} color="#FFFFFF" />
       </TouchableOpacity>
 
+      {/* Filter Sheet */}
+      <JournalFilterSheet
+        visible={filterSheetVisible}
+        filters={filterState}
+        onApply={applyFilters}
+        onClose={() => setFilterSheetVisible(false)}
+      />
+
       {/* Entry Detail Modal */}
       <Modal
         animationType="slide"
@@ -245,9 +528,74 @@ export default function JournalScreen({ navigation }) {
                     </Text>
                   </View>
 
-                  <Text style={styles.modalEntryText}>
-                    {selectedEntry.entry_text}
-                  </Text>
+                  {selectedEntry.tags && selectedEntry.tags.length > 0 && (
+                    <View style={styles.modalTagList}>
+                      {selectedEntry.tags.map((tag) => (
+                        <TouchableOpacity
+                          key={tag}
+                          style={styles.modalTagChip}
+                          onPress={() => handleTagPress(tag)}
+                        >
+                          <Text style={styles.modalTagText}>#{tag}</Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  )}
+
+                  {selectedEntry.updated_at && (
+                    <Text style={styles.modalEditedText}>
+                      Edited {formatFullDate(selectedEntry.updated_at)}
+                    </Text>
+                  )}
+
+                  {showHistory ? (
+                    <ScrollView style={styles.historyList}>
+                      {loadingHistory ? (
+                        <ActivityIndicator size="small" color="#007AFF" />
+                      ) : revisions.length === 0 ? (
+                        <Text style={styles.historyEmpty}>
+                          This entry hasn't been edited yet.
+                        </Text>
+                      ) : (
+                        revisions.map((revision) => (
+                          <View key={revision.id} style={styles.historyItem}>
+                            <Text style={styles.historyDate}>
+                              {getMoodEmoji(revision.mood_rating)} Before {formatFullDate(revision.revised_at)}
+                            </Text>
+                            <Text style={styles.historyText}>{revision.entry_text}</Text>
+                          </View>
+                        ))
+                      )}
+                    </ScrollView>
+                  ) : (
+                    <Text style={styles.modalEntryText}>
+                      {selectedEntry.entry_text}
+                    </Text>
+                  )}
+
+                  {/* Edit and history buttons in modal */}
+                  <View style={styles.modalActions}>
+                    <TouchableOpacity
+                      style={styles.modalActionButton}
+                      onPress={() => handleEditEntry(selectedEntry)}
+                    >
+                      <Ionicons name="create-outline" size={20} color="#007AFF" />
+                      <Text style={styles.modalActionText}>Edit</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.modalActionButton}
+                      onPress={handleToggleHistory}
+                    >
+                      <Ionicons
+                        name={showHistory ? 'document-text-outline' : 'time-outline'}
+                        size={20}
+                        color="#007AFF"
+                      />
+                      <Text style={styles.modalActionText}>
+                        {showHistory ? 'Current' : 'History'}
+                      </Text>
+                    </TouchableOpacity>
+                  </View>
 
                   {/* Delete button in modal */}
                   <TouchableOpacity
@@ -276,20 +624,88 @@ const styles = StyleSheet.create({
     padding: 20,
     paddingBottom: 10,
   },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
   headerTitle: {
     fontSize: 24,
     fontWeight: 'bold',
     color: '#333',
     marginBottom: 4,
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  exportButton: {
+    padding: 6,
+    marginRight: 8,
+  },
+  filterButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+  },
+  filterButtonActive: {
+    backgroundColor: '#007AFF',
+  },
+  filterButtonText: {
+    fontSize: 14,
+    color: '#007AFF',
+    marginLeft: 4,
+  },
+  filterButtonTextActive: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
   headerSubtitle: {
     fontSize: 14,
     color: '#666',
   },
+  searchContainer: {
+    paddingHorizontal: 20,
+    paddingBottom: 10,
+  },
+  searchBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 1,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    marginLeft: 8,
+    paddingVertical: 4,
+  },
+  clearButton: {
+    padding: 4,
+  },
   list: {
     paddingTop: 10,
     paddingBottom: 100, // Space for FAB
   },
+  listFooter: {
+    paddingVertical: 20,
+    alignItems: 'center',
+  },
   emptyList: {
     flex: 1,
     justifyContent: 'center',
@@ -396,12 +812,83 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#333',
   },
+  modalTagList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  modalTagChip: {
+    backgroundColor: '#007AFF1A',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  modalTagText: {
+    fontSize: 13,
+    color: '#007AFF',
+  },
   modalEntryText: {
     fontSize: 16,
     color: '#333',
     lineHeight: 24,
     marginBottom: 20,
   },
+  modalEditedText: {
+    fontSize: 12,
+    color: '#999',
+    fontStyle: 'italic',
+    marginBottom: 12,
+  },
+  historyList: {
+    maxHeight: 300,
+    marginBottom: 20,
+  },
+  historyEmpty: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    paddingVertical: 20,
+  },
+  historyItem: {
+    borderLeftWidth: 3,
+    borderLeftColor: '#E0E0E0',
+    paddingLeft: 12,
+    marginBottom: 16,
+  },
+  historyDate: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 4,
+  },
+  historyText: {
+    fontSize: 14,
+    color: '#666',
+    lineHeight: 20,
+  },
+  modalActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  modalActionButton: {
+    flex: 0.48,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#007AFF1A',
+    paddingVertical: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+  },
+  modalActionText: {
+    color: '#007AFF',
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
   modalDeleteButton: {
     flexDirection: 'row',
     alignItems: 'center',
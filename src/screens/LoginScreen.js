@@ -0,0 +1,273 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { loginAPI, registerAPI, ERROR_CODES, describeFieldErrors } from '../services/api';
+
+export default function LoginScreen({ onAuthenticated }) {
+  const [mode, setMode] = useState('login');
+  const [displayName, setDisplayName] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isRegistering = mode === 'register';
+
+  const validateEmail = (value) => {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(value);
+  };
+
+  const handleSubmit = async () => {
+    // Validation
+    if (!validateEmail(email.trim())) {
+      Alert.alert('Invalid Email', 'Please enter a valid email address.');
+      return;
+    }
+
+    if (isRegistering && password.length < 8) {
+      Alert.alert('Weak Password', 'Your password must be at least 8 characters long.');
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+
+      const credentials = {
+        email: email.trim().toLowerCase(),
+        password,
+      };
+
+      const session = isRegistering
+        ? await registerAPI({
+            ...credentials,
+            display_name: displayName.trim() || undefined,
+          })
+        : await loginAPI(credentials);
+
+      onAuthenticated && onAuthenticated(session);
+    } catch (error) {
+      console.error('Authentication failed:', error);
+
+      switch (error.code) {
+        case ERROR_CODES.DUPLICATE_ACCOUNT:
+          Alert.alert('Account Exists', 'An account with this email already exists. Try logging in instead.');
+          break;
+        case ERROR_CODES.INVALID_CREDENTIALS:
+          Alert.alert('Login Failed', 'The email or password you entered is incorrect.');
+          break;
+        case ERROR_CODES.VALIDATION_FAILED:
+          Alert.alert('Check Your Details', describeFieldErrors(error));
+          break;
+        case ERROR_CODES.RATE_LIMITED:
+          Alert.alert('Too Many Attempts', 'Too many sign-in attempts. Please wait a few minutes and try again.');
+          break;
+        case ERROR_CODES.NETWORK_ERROR:
+        case ERROR_CODES.TIMEOUT:
+          Alert.alert('Offline', 'Cannot reach the MUUD Health server. Please check your connection and try again.');
+          break;
+        default:
+          Alert.alert('Error', 'Something went wrong. Please try again.');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const isFormValid = email.trim() && password && validateEmail(email.trim());
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.appName}>MUUD Health</Text>
+          <Text style={styles.subtitle}>
+            {isRegistering ? 'Create your account' : 'Welcome back'}
+          </Text>
+        </View>
+
+        {/* Form */}
+        <View style={styles.formContainer}>
+          {isRegistering && (
+            <View style={styles.inputContainer}>
+              <Text style={styles.inputLabel}>Name</Text>
+              <View style={styles.inputWrapper}>
+                <Ionicons name="person-outline" size={20} color="#666" style={styles.inputIcon} />
+                <TextInput
+                  style={styles.textInput}
+                  placeholder="What should we call you?"
+                  placeholderTextColor="#999"
+                  value={displayName}
+                  onChangeText={setDisplayName}
+                  autoCapitalize="words"
+                  editable={!isSubmitting}
+                />
+              </View>
+            </View>
+          )}
+
+          <View style={styles.inputContainer}>
+            <Text style={styles.inputLabel}>Email *</Text>
+            <View style={styles.inputWrapper}>
+              <Ionicons name="mail-outline" size={20} color="#666" style={styles.inputIcon} />
+              <TextInput
+                style={styles.textInput}
+                placeholder="Enter email address"
+                placeholderTextColor="#999"
+                value={email}
+                onChangeText={setEmail}
+                keyboardType="email-address"
+                autoCapitalize="none"
+                autoCorrect={false}
+                editable={!isSubmitting}
+              />
+            </View>
+          </View>
+
+          <View style={styles.inputContainer}>
+            <Text style={styles.inputLabel}>Password *</Text>
+            <View style={styles.inputWrapper}>
+              <Ionicons name="lock-closed-outline" size={20} color="#666" style={styles.inputIcon} />
+              <TextInput
+                style={styles.textInput}
+                placeholder={isRegistering ? 'At least 8 characters' : 'Enter password'}
+                placeholderTextColor="#999"
+                value={password}
+                onChangeText={setPassword}
+                secureTextEntry
+                autoCapitalize="none"
+                autoCorrect={false}
+                editable={!isSubmitting}
+              />
+            </View>
+          </View>
+
+          <TouchableOpacity
+            onPress={handleSubmit}
+            style={[
+              styles.submitButton,
+              (!isFormValid || isSubmitting) && styles.submitButtonDisabled,
+            ]}
+            disabled={!isFormValid || isSubmitting}
+          >
+            {isSubmitting ? (
+              <ActivityIndicator size="small" color="#FFFFFF" />
+            ) : (
+              <Text style={styles.submitText}>
+                {isRegistering ? 'Create Account' : 'Log In'}
+              </Text>
+            )}
+          </TouchableOpacity>
+        </View>
+
+        {/* Mode switch */}
+        <TouchableOpacity
+          style={styles.switchButton}
+          onPress={() => setMode(isRegistering ? 'login' : 'register')}
+          disabled={isSubmitting}
+        >
+          <Text style={styles.switchText}>
+            {isRegistering
+              ? 'Already have an account? Log in'
+              : "Don't have an account? Sign up"}
+          </Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    paddingVertical: 40,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  appName: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#007AFF',
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#666',
+  },
+  formContainer: {
+    backgroundColor: '#FFFFFF',
+    margin: 20,
+    padding: 20,
+    borderRadius: 12,
+  },
+  inputContainer: {
+    marginBottom: 20,
+  },
+  inputLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  inputWrapper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    backgroundColor: '#F9F9F9',
+  },
+  inputIcon: {
+    marginRight: 8,
+  },
+  textInput: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    paddingVertical: 12,
+  },
+  submitButton: {
+    backgroundColor: '#007AFF',
+    paddingVertical: 14,
+    borderRadius: 25,
+    alignItems: 'center',
+  },
+  submitButtonDisabled: {
+    backgroundColor: '#CCC',
+  },
+  submitText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+  switchButton: {
+    alignItems: 'center',
+    padding: 12,
+  },
+  switchText: {
+    fontSize: 14,
+    color: '#007AFF',
+  },
+});
@@ -0,0 +1,321 @@
+import React, { useState, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SectionList,
+  TouchableOpacity,
+  Alert,
+  RefreshControl,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
+import { getTrashAPI, restoreFromTrashAPI, syncAPI, ERROR_CODES } from '../services/api';
+
+const EMPTY_TRASH = { retention_days: null, journal_entries: [], contacts: [] };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export default function TrashScreen() {
+  const [trash, setTrash] = useState(EMPTY_TRASH);
+  const [loading, setLoading] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+  const [restoringKey, setRestoringKey] = useState(null);
+
+  const loadTrash = async () => {
+    try {
+      setLoading(true);
+      setTrash(await getTrashAPI());
+    } catch (error) {
+      console.error('Error loading trash:', error);
+      Alert.alert('Error', 'Failed to load the trash. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Send deletions made offline first so they show up in the backend's trash
+  const syncAndLoadTrash = async () => {
+    await syncAPI().catch(error => console.log('⚠️ Sync skipped:', error.message));
+    await loadTrash();
+  };
+
+  const onRefresh = useCallback(async () => {
+    setRefreshing(true);
+    await syncAndLoadTrash();
+    setRefreshing(false);
+  }, []);
+
+  // Load the trash when screen comes into focus
+  useFocusEffect(
+    useCallback(() => {
+      syncAndLoadTrash();
+    }, [])
+  );
+
+  const handleRestore = async (section, item) => {
+    const key = `${section.type}:${item.id}`;
+
+    try {
+      setRestoringKey(key);
+      await restoreFromTrashAPI(section.type, item.id);
+
+      // Remove the item from the list immediately for better UX
+      setTrash(prev => ({
+        ...prev,
+        [section.key]: prev[section.key].filter(i => i.id !== item.id),
+      }));
+    } catch (error) {
+      console.error('Error restoring item:', error);
+      Alert.alert(
+        'Restore Failed',
+        error.code === ERROR_CODES.DUPLICATE_CONTACT
+          ? 'Another contact already uses this email address. Change or delete it first.'
+          : 'Could not restore this item. Please try again.'
+      );
+    } finally {
+      setRestoringKey(null);
+    }
+  };
+
+  const formatDate = (timestamp) => {
+    const date = new Date(timestamp);
+    return date.toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+    });
+  };
+
+  const describePurge = (purgeAt) => {
+    const daysLeft = Math.ceil((new Date(purgeAt).getTime() - Date.now()) / DAY_MS);
+    if (daysLeft <= 1) {
+      return 'Deleted forever within a day';
+    }
+    return `Deleted forever in ${daysLeft} days`;
+  };
+
+  const getMoodEmoji = (rating) => {
+    switch (rating) {
+      case 5: return '😊';
+      case 4: return '🙂';
+      case 3: return '😐';
+      case 2: return '😕';
+      case 1: return '😢';
+      default: return '❓';
+    }
+  };
+
+  const sections = [
+    { key: 'journal_entries', type: 'journal_entry', title: 'Journal Entries', data: trash.journal_entries },
+    { key: 'contacts', type: 'contact', title: 'Contacts', data: trash.contacts },
+  ].filter(section => section.data.length > 0);
+
+  const renderItem = ({ item, section }) => {
+    const isEntry = section.type === 'journal_entry';
+    const isRestoring = restoringKey === `${section.type}:${item.id}`;
+
+    return (
+      <View style={styles.item}>
+        <View style={styles.itemIcon}>
+          {isEntry ? (
+            <Text style={styles.moodEmoji}>{getMoodEmoji(item.mood_rating)}</Text>
+          ) : (
+            <Ionicons name="person-outline" size={22} color="#34C759" />
+          )}
+        </View>
+        <View style={styles.itemBody}>
+          <Text style={styles.itemTitle} numberOfLines={2}>
+            {isEntry ? item.entry_text : item.contact_name}
+          </Text>
+          <Text style={styles.itemDetail} numberOfLines={1}>
+            {isEntry ? `Written ${formatDate(item.timestamp)}` : item.contact_email}
+          </Text>
+          <Text style={styles.itemPurge}>
+            Deleted {formatDate(item.deleted_at)} · {describePurge(item.purge_at)}
+          </Text>
+        </View>
+        <TouchableOpacity
+          style={styles.restoreButton}
+          onPress={() => handleRestore(section, item)}
+          disabled={restoringKey !== null}
+        >
+          {isRestoring ? (
+            <ActivityIndicator size="small" color="#007AFF" />
+          ) : (
+            <>
+              <Ionicons name="arrow-undo-outline" size={16} color="#007AFF" />
+              <Text style={styles.restoreText}>Restore</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderSectionHeader = ({ section }) => (
+    <Text style={styles.sectionTitle}>{section.title}</Text>
+  );
+
+  const renderHeader = () => (
+    <View style={styles.header}>
+      <Text style={styles.headerTitle}>Trash</Text>
+      {trash.retention_days && (
+        <Text style={styles.headerSubtitle}>
+          Deleted journal entries and contacts are kept for {trash.retention_days} days, then deleted forever.
+        </Text>
+      )}
+    </View>
+  );
+
+  const renderEmptyState = () => {
+    if (loading) {
+      return (
+        <View style={styles.emptyContainer}>
+          <ActivityIndicator size="large" color="#007AFF" />
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.emptyContainer}>
+        <Ionicons name="trash-outline" size={64} color="#CCC" />
+        <Text style={styles.emptyTitle}>Trash is Empty</Text>
+        <Text style={styles.emptySubtitle}>
+          Journal entries and contacts you delete will appear here until they are deleted forever.
+        </Text>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <SectionList
+        sections={sections}
+        renderItem={renderItem}
+        renderSectionHeader={renderSectionHeader}
+        keyExtractor={(item) => item.id.toString()}
+        ListHeaderComponent={renderHeader}
+        ListEmptyComponent={renderEmptyState}
+        stickySectionHeadersEnabled={false}
+        contentContainerStyle={styles.list}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+        showsVerticalScrollIndicator={false}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  list: {
+    paddingBottom: 40,
+  },
+  header: {
+    padding: 20,
+    paddingBottom: 10,
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 4,
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#666',
+    lineHeight: 20,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 16,
+    marginBottom: 8,
+    marginHorizontal: 20,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    marginHorizontal: 16,
+    marginVertical: 6,
+    padding: 16,
+    borderRadius: 12,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 1,
+    },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  itemIcon: {
+    width: 36,
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  moodEmoji: {
+    fontSize: 24,
+  },
+  itemBody: {
+    flex: 1,
+  },
+  itemTitle: {
+    fontSize: 15,
+    color: '#333',
+    lineHeight: 20,
+    marginBottom: 4,
+  },
+  itemDetail: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 2,
+  },
+  itemPurge: {
+    fontSize: 12,
+    color: '#999',
+  },
+  restoreButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    marginLeft: 12,
+    minWidth: 90,
+    justifyContent: 'center',
+  },
+  restoreText: {
+    fontSize: 14,
+    color: '#007AFF',
+    marginLeft: 4,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 40,
+  },
+  emptyTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#666',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  emptySubtitle: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    lineHeight: 20,
+  },
+});
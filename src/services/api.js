@@ -2,12 +2,33 @@
 import * as Network from 'expo-network';
 import {
   getJournalEntries,
+  getJournalEntriesPage,
+  searchJournalEntries,
+  computeMoodInsights,
+  getLocalTags,
   addJournalEntry,
+  updateJournalEntry,
+  getJournalEntryRevisions,
   deleteJournalEntry,
   getContacts,
   addContact,
+  updateContact,
+  deleteContact,
   getUserId,
+  saveAuthSession,
+  getAuthSession,
+  clearAuthSession,
+  getSyncStateForUser,
+  getPendingSyncChanges,
+  applySyncResult,
+  getLocalTrash,
+  restoreFromLocalTrash,
 } from '../utils/storage';
+import { buildJournalExport, getExportFilename } from '../utils/journalExport';
+import { ApiError, ERROR_CODES, apiErrorFromResponse, isOfflineError } from '../utils/errors';
+
+// Screens switch on error.code, so they get the error types from here too
+export { ApiError, ERROR_CODES, describeFieldErrors } from '../utils/errors';
 
 // Auto-detect computer IP or fallback options
 let API_BASE_URL = null;
@@ -86,87 +107,238 @@ const initializeAPI = async () => {
   return API_BASE_URL;
 };
 
-// Simple API call function
-const callAPI = async (endpoint, options = {}) => {
+// Session expiry listeners (App uses this to return to the login screen)
+const sessionExpiredListeners = new Set();
+
+export const onSessionExpired = (listener) => {
+  sessionExpiredListeners.add(listener);
+  return () => sessionExpiredListeners.delete(listener);
+};
+
+const expireSession = async () => {
+  await clearAuthSession();
+  sessionExpiredListeners.forEach((listener) => listener());
+};
+
+// Exchange the stored refresh token for a new session
+const refreshSession = async () => {
+  const session = await getAuthSession();
+  if (!session || !session.refresh_token) {
+    return null;
+  }
+
   try {
     const baseURL = await initializeAPI();
-    const url = `${baseURL}${endpoint}`;
-    
-    console.log(`🔄 Calling API: ${url}`);
-    
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000);
-    
-    const response = await fetch(url, {
+    const response = await fetch(`${baseURL}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refresh_token: session.refresh_token }),
+    });
+
+    if (!response.ok) {
+      console.log('🔒 Session refresh rejected');
+      await expireSession();
+      return null;
+    }
+
+    const data = await response.json();
+    const newSession = {
+      access_token: data.access_token,
+      refresh_token: data.refresh_token,
+      user: data.user,
+    };
+    await saveAuthSession(newSession);
+    console.log('🔑 Session refreshed');
+    return newSession;
+  } catch (error) {
+    console.log(`❌ Session refresh failed: ${error.message}`);
+    return null;
+  }
+};
+
+const sendRequest = async (url, options, accessToken) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+  try {
+    return await fetch(url, {
       ...options,
       signal: controller.signal,
       headers: {
         'Content-Type': 'application/json',
+        ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
         ...options.headers,
       },
     });
-
+  } finally {
     clearTimeout(timeoutId);
+  }
+};
+
+// Simple API call function - attaches the access token and retries once
+// with a refreshed session when the token has expired. Pass `raw: true` to
+// get the response body as text instead of parsed JSON. Failures are thrown
+// as ApiError: the backend's error code, or NETWORK_ERROR / TIMEOUT when the
+// backend was not reached.
+const callAPI = async (endpoint, { raw = false, ...options } = {}) => {
+  try {
+    const baseURL = await initializeAPI();
+    const url = `${baseURL}${endpoint}`;
+    
+    console.log(`🔄 Calling API: ${url}`);
+    
+    const session = await getAuthSession();
+    let response = await sendRequest(url, options, session && session.access_token);
+
+    if (response.status === 401 && session) {
+      const refreshed = await refreshSession();
+      if (refreshed) {
+        response = await sendRequest(url, options, refreshed.access_token);
+      }
+    }
 
     if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`API Error ${response.status}: ${errorText}`);
+      throw apiErrorFromResponse(response.status, await response.text(), response.headers);
     }
 
-    const data = await response.json();
+    const data = raw ? await response.text() : await response.json();
     console.log(`✅ API Success: ${url}`);
     return data;
   } catch (error) {
     if (error.name === 'AbortError') {
-      throw new Error('Request timed out');
+      throw new ApiError({ code: ERROR_CODES.TIMEOUT, message: 'Request timed out' });
     }
     
     console.log(`❌ API Failed: ${error.message}`);
     
-    if (error.message.includes('Network request failed') || 
+    if (!(error instanceof ApiError) && (error.message.includes('Network request failed') || 
         error.message.includes('fetch') ||
-        error.message.includes('Failed to fetch')) {
-      throw new Error('Cannot connect to backend server. Make sure it\'s running and you\'re on the same network.');
+        error.message.includes('Failed to fetch'))) {
+      throw new ApiError({
+        code: ERROR_CODES.NETWORK_ERROR,
+        message: 'Cannot connect to backend server. Make sure it\'s running and you\'re on the same network.',
+      });
     }
     
     throw error;
   }
 };
 
+// Auth API Functions
+const startSession = async (result) => {
+  const session = {
+    access_token: result.access_token,
+    refresh_token: result.refresh_token,
+    user: result.user,
+  };
+  await saveAuthSession(session);
+  return session;
+};
+
+export const registerAPI = async ({ email, password, display_name }) => {
+  const result = await callAPI('/auth/register', {
+    method: 'POST',
+    body: JSON.stringify({ email, password, display_name }),
+  });
+  console.log(`🔑 Registered user ${result.user.id}`);
+  return await startSession(result);
+};
+
+export const loginAPI = async ({ email, password }) => {
+  const result = await callAPI('/auth/login', {
+    method: 'POST',
+    body: JSON.stringify({ email, password }),
+  });
+  console.log(`🔑 Logged in as user ${result.user.id}`);
+  return await startSession(result);
+};
+
+export const logoutAPI = async () => {
+  const session = await getAuthSession();
+  try {
+    if (session && session.refresh_token) {
+      await callAPI('/auth/logout', {
+        method: 'POST',
+        body: JSON.stringify({ refresh_token: session.refresh_token }),
+      });
+    }
+  } catch (error) {
+    console.log('⚠️ Could not revoke session on backend:', error.message);
+  } finally {
+    await clearAuthSession();
+  }
+  return true;
+};
+
 // Journal API Functions
-export const getJournalEntriesAPI = async () => {
+
+// Fetch one page of entries, newest first. Pass the returned nextCursor back
+// in to get the following page; it is null on the last page. `filters` may
+// hold from/to (ISO dates) and mood_min/mood_max (1-5), all inclusive.
+export const getJournalEntriesAPI = async ({ cursor, limit = 20, filters = {} } = {}) => {
   try {
-    const userId = await getUserId();
-    const result = await callAPI(`/journal/user/${userId}`);
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (cursor) {
+      params.append('cursor', cursor);
+    }
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        params.append(key, String(value));
+      }
+    });
+    const result = await callAPI(`/journal/entries?${params.toString()}`);
     console.log(`📖 Got ${result.entries.length} entries from backend`);
-    return result.entries;
+    return { entries: result.entries, nextCursor: result.next_cursor };
   } catch (error) {
+    if (!isOfflineError(error)) {
+      throw error;
+    }
+
     console.log('📱 Using local storage for journal entries');
-    return await getJournalEntries();
+    return await getJournalEntriesPage({ cursor, limit, filters });
+  }
+};
+
+// Ranked full-text search; each result carries a `snippet` with matches
+// wrapped in <mark></mark>. Servers that keep no search index answer
+// SEARCH_DISABLED, and the entries on the device are searched instead.
+export const searchJournalEntriesAPI = async (query) => {
+  try {
+    const params = new URLSearchParams({ q: query });
+    const result = await callAPI(`/journal/search?${params.toString()}`);
+    console.log(`🔍 Found ${result.results.length} matching entries on backend`);
+    return result.results;
+  } catch (error) {
+    if (!isOfflineError(error) && error.code !== ERROR_CODES.SEARCH_DISABLED) {
+      throw error;
+    }
+
+    console.log('📱 Using local storage for journal search');
+    return await searchJournalEntries(query);
   }
 };
 
 export const createJournalEntryAPI = async (entryData) => {
   try {
     const userId = await getUserId();
-    const requestData = {
-      ...entryData,
-      user_id: parseInt(userId),
-    };
-
     const result = await callAPI('/journal/entry', {
       method: 'POST',
-      body: JSON.stringify(requestData),
+      body: JSON.stringify(entryData),
     });
 
     console.log(`📝 Created entry ${result.entry_id} on backend`);
     return {
       id: result.entry_id,
       ...entryData,
+      tags: result.tags || [],
       user_id: parseInt(userId),
       timestamp: result.timestamp || new Date().toISOString(),
     };
   } catch (error) {
+    if (!isOfflineError(error)) {
+      throw error;
+    }
+
     console.log('📱 Using local storage for journal entry');
     const userId = await getUserId();
     return await addJournalEntry({
@@ -176,6 +348,55 @@ export const createJournalEntryAPI = async (entryData) => {
   }
 };
 
+export const updateJournalEntryAPI = async (entryId, entryData) => {
+  try {
+    const result = await callAPI(`/journal/entry/${entryId}`, {
+      method: 'PUT',
+      body: JSON.stringify(entryData),
+    });
+    console.log(`✏️ Updated entry ${entryId} on backend`);
+    return result.entry;
+  } catch (error) {
+    if (!isOfflineError(error)) {
+      throw error;
+    }
+
+    console.log('📱 Using local storage for journal entry update');
+    return await updateJournalEntry(entryId, entryData);
+  }
+};
+
+export const getJournalEntryRevisionsAPI = async (entryId) => {
+  try {
+    const result = await callAPI(`/journal/entry/${entryId}/revisions`);
+    console.log(`🕘 Got ${result.revisions.length} revisions for entry ${entryId}`);
+    return result.revisions;
+  } catch (error) {
+    if (!isOfflineError(error)) {
+      throw error;
+    }
+
+    console.log('📱 Using local storage for journal entry history');
+    return await getJournalEntryRevisions(entryId);
+  }
+};
+
+// Tags the user has used, filtered by prefix, for autocomplete
+export const getTagsAPI = async (prefix = '') => {
+  try {
+    const params = new URLSearchParams({ prefix });
+    const result = await callAPI(`/tags?${params.toString()}`);
+    return result.tags;
+  } catch (error) {
+    if (!isOfflineError(error)) {
+      throw error;
+    }
+
+    console.log('📱 Using local storage for tags');
+    return (await getLocalTags(prefix)).slice(0, 10);
+  }
+};
+
 export const deleteJournalEntryAPI = async (entryId) => {
   try {
     await callAPI(`/journal/entry/${entryId}`, {
@@ -184,19 +405,72 @@ export const deleteJournalEntryAPI = async (entryId) => {
     console.log(`🗑️ Deleted entry ${entryId} from backend`);
     return true;
   } catch (error) {
+    if (!isOfflineError(error)) {
+      throw error;
+    }
+
     console.log('📱 Using local storage for delete');
     return await deleteJournalEntry(entryId);
   }
 };
 
+// Insights API Functions
+
+// Mood aggregates per day/week/month between optional from/to ISO dates.
+// Returns { bucket, from, to, summary, buckets }.
+export const getMoodInsightsAPI = async ({ bucket = 'day', from, to } = {}) => {
+  try {
+    const params = new URLSearchParams({ bucket });
+    if (from) params.append('from', from);
+    if (to) params.append('to', to);
+    const result = await callAPI(`/insights/mood?${params.toString()}`);
+    console.log(`📊 Got ${result.buckets.length} mood buckets from backend`);
+    return {
+      bucket: result.bucket,
+      from: result.from,
+      to: result.to,
+      summary: result.summary,
+      buckets: result.buckets,
+    };
+  } catch (error) {
+    if (!isOfflineError(error)) {
+      throw error;
+    }
+
+    console.log('📱 Using local storage for mood insights');
+    return await computeMoodInsights({ bucket, from, to });
+  }
+};
+
+// Export the whole journal as json, csv or md; built from local storage when offline
+export const exportJournalAPI = async (format) => {
+  const filename = getExportFilename(format);
+  try {
+    const content = await callAPI(`/export/journal?format=${format}`, { raw: true });
+    console.log(`📤 Exported journal as ${format} from backend`);
+    return { content, filename, format };
+  } catch (error) {
+    if (!isOfflineError(error)) {
+      throw error;
+    }
+
+    console.log('📱 Using local storage for journal export');
+    const entries = await getJournalEntries();
+    return { content: buildJournalExport(entries, format), filename, format };
+  }
+};
+
 // Contacts API Functions
 export const getContactsAPI = async () => {
   try {
-    const userId = await getUserId();
-    const result = await callAPI(`/contacts/user/${userId}`);
+    const result = await callAPI('/contacts');
     console.log(`👥 Got ${result.contacts.length} contacts from backend`);
     return result.contacts;
   } catch (error) {
+    if (!isOfflineError(error)) {
+      throw error;
+    }
+
     console.log('📱 Using local storage for contacts');
     return await getContacts();
   }
@@ -205,14 +479,9 @@ export const getContactsAPI = async () => {
 export const addContactAPI = async (contactData) => {
   try {
     const userId = await getUserId();
-    const requestData = {
-      ...contactData,
-      user_id: parseInt(userId),
-    };
-
     const result = await callAPI('/contacts/add', {
       method: 'POST',
-      body: JSON.stringify(requestData),
+      body: JSON.stringify(contactData),
     });
 
     console.log(`👤 Created contact ${result.contact_id} on backend`);
@@ -223,8 +492,8 @@ export const addContactAPI = async (contactData) => {
       created_at: result.created_at || new Date().toISOString(),
     };
   } catch (error) {
-    if (error.message.includes('already exists') || error.message.includes('409')) {
-      throw new Error('A contact with this email already exists');
+    if (!isOfflineError(error)) {
+      throw error;
     }
     
     console.log('📱 Using local storage for contact');
@@ -236,6 +505,128 @@ export const addContactAPI = async (contactData) => {
   }
 };
 
+export const updateContactAPI = async (contactId, contactData) => {
+  try {
+    const result = await callAPI(`/contacts/${contactId}`, {
+      method: 'PUT',
+      body: JSON.stringify(contactData),
+    });
+    console.log(`✏️ Updated contact ${contactId} on backend`);
+    return result.contact;
+  } catch (error) {
+    if (!isOfflineError(error)) {
+      throw error;
+    }
+
+    console.log('📱 Using local storage for contact update');
+    return await updateContact(contactId, contactData);
+  }
+};
+
+export const deleteContactAPI = async (contactId) => {
+  try {
+    await callAPI(`/contacts/${contactId}`, {
+      method: 'DELETE',
+    });
+    console.log(`🗑️ Deleted contact ${contactId} from backend`);
+    return true;
+  } catch (error) {
+    if (!isOfflineError(error)) {
+      throw error;
+    }
+
+    console.log('📱 Using local storage for contact delete');
+    return await deleteContact(contactId);
+  }
+};
+
+// Trash API Functions
+
+// Deleted journal entries and contacts that can still be restored:
+// { retention_days, journal_entries, contacts }, each with deleted_at and purge_at
+export const getTrashAPI = async () => {
+  try {
+    const result = await callAPI('/trash');
+    console.log(`🗑️ Got ${result.count} items in trash from backend`);
+    return {
+      retention_days: result.retention_days,
+      journal_entries: result.journal_entries,
+      contacts: result.contacts,
+    };
+  } catch (error) {
+    if (!isOfflineError(error)) {
+      throw error;
+    }
+
+    console.log('📱 Using local storage for trash');
+    return await getLocalTrash();
+  }
+};
+
+// `type` is 'journal_entry' or 'contact'
+export const restoreFromTrashAPI = async (type, id) => {
+  try {
+    await callAPI(`/trash/${type}/${id}/restore`, {
+      method: 'POST',
+    });
+    console.log(`♻️ Restored ${type} ${id} on backend`);
+    return true;
+  } catch (error) {
+    if (!isOfflineError(error)) {
+      throw error;
+    }
+
+    console.log('📱 Using local storage for restore');
+    await restoreFromLocalTrash(type, id);
+    return true;
+  }
+};
+
+// Sync API Functions
+
+let syncInFlight = null;
+
+const runSync = async () => {
+  const session = await getAuthSession();
+  if (!session) {
+    return null;
+  }
+
+  const state = await getSyncStateForUser(session.user.id);
+  const changes = await getPendingSyncChanges();
+  const result = await callAPI('/sync', {
+    method: 'POST',
+    body: JSON.stringify({ since: state.cursor, changes }),
+  });
+  await applySyncResult(result, changes);
+
+  const outcomes = [...result.pushed.journal_entries, ...result.pushed.contacts];
+  const summary = {
+    pushed: outcomes.filter(outcome => outcome.status === 'applied').length
+      + changes.journal_entries.deleted.length + changes.contacts.deleted.length,
+    rejected: outcomes.filter(outcome => outcome.status === 'rejected'),
+    pulled: ['journal_entries', 'contacts'].reduce(
+      (total, key) => total + result[key].changed.length + result[key].deleted.length,
+      0
+    ),
+  };
+  console.log(`🔄 Synced: pushed ${summary.pushed}, pulled ${summary.pulled}, rejected ${summary.rejected.length}`);
+  return summary;
+};
+
+// Push entries and contacts changed on this device and pull everything
+// changed elsewhere since the last sync, in one round trip. Throws when the
+// backend can't be reached; pending changes stay queued for the next try.
+// Calls made while a sync is running share its result.
+export const syncAPI = () => {
+  if (!syncInFlight) {
+    syncInFlight = runSync().finally(() => {
+      syncInFlight = null;
+    });
+  }
+  return syncInFlight;
+};
+
 // Test connection function
 export const testConnection = async () => {
   try {
@@ -0,0 +1,80 @@
+// src/utils/errors.js - Typed errors for backend and local data operations
+//
+// The backend answers every failure with { success: false, code, message,
+// fields?, request_id }. ApiError carries the same code so screens can
+// switch on error.code instead of matching message text. Local storage uses
+// the same codes for the same problems (e.g. a duplicate contact email).
+
+export const ERROR_CODES = {
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  INVALID_CURSOR: 'INVALID_CURSOR',
+  INVALID_IMPORT: 'INVALID_IMPORT',
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+  TOKEN_INVALID: 'TOKEN_INVALID',
+  INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+  INVALID_REFRESH_TOKEN: 'INVALID_REFRESH_TOKEN',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  ENDPOINT_NOT_FOUND: 'ENDPOINT_NOT_FOUND',
+  DUPLICATE_ACCOUNT: 'DUPLICATE_ACCOUNT',
+  DUPLICATE_CONTACT: 'DUPLICATE_CONTACT',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  RATE_LIMITED: 'RATE_LIMITED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+  DB_UNAVAILABLE: 'DB_UNAVAILABLE',
+  NOT_READY: 'NOT_READY',
+  SEARCH_DISABLED: 'SEARCH_DISABLED',
+  // Client-side only: the backend was never reached
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  TIMEOUT: 'TIMEOUT',
+  UNKNOWN: 'UNKNOWN',
+};
+
+export class ApiError extends Error {
+  constructor({ code = ERROR_CODES.UNKNOWN, message, status = null, fields = [], requestId = null, retryAfter = null }) {
+    super(message || code);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.fields = fields;
+    this.requestId = requestId;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// True when the backend was never reached, the only case in which a call
+// may fall back to local storage. Anything the backend answered (a
+// validation error, a missing record, an expired session) is its decision
+// and is rethrown instead of being silently redone on the device.
+export const isOfflineError = (error) => {
+  return error instanceof ApiError
+    && (error.code === ERROR_CODES.NETWORK_ERROR || error.code === ERROR_CODES.TIMEOUT);
+};
+
+// Build an ApiError from a failed response's status and body text. Bodies
+// that are not the JSON envelope (e.g. from a proxy) become UNKNOWN.
+export const apiErrorFromResponse = (status, bodyText, headers) => {
+  let body = {};
+  try {
+    body = JSON.parse(bodyText) || {};
+  } catch (error) {
+    // Not from the backend; fall back to the status
+  }
+
+  const retryAfter = parseInt(headers && headers.get('Retry-After'), 10);
+
+  return new ApiError({
+    code: body.code || ERROR_CODES.UNKNOWN,
+    message: body.message || `Request failed with status ${status}`,
+    status,
+    fields: body.fields || [],
+    requestId: body.request_id || (headers && headers.get('X-Request-Id')) || null,
+    retryAfter: Number.isNaN(retryAfter) ? null : retryAfter,
+  });
+};
+
+// One readable line per invalid field, for alerts
+export const describeFieldErrors = (error) => {
+  return (error.fields || []).map(field => field.message).join('\n');
+};
@@ -0,0 +1,99 @@
+// src/utils/journalExport.js - Journal export files (same formats as GET /export/journal)
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON', mimeType: 'application/json', uti: 'public.json' },
+  csv: { label: 'CSV', mimeType: 'text/csv', uti: 'public.comma-separated-values-text' },
+  md: { label: 'Markdown', mimeType: 'text/markdown', uti: 'net.daringfireball.markdown' },
+};
+
+// Matches getMoodLabel in the journal screens
+const MOOD_LABELS = { 1: 'Terrible', 2: 'Poor', 3: 'Okay', 4: 'Good', 5: 'Excellent' };
+const getMoodLabel = (rating) => MOOD_LABELS[rating] || 'Unknown';
+
+export const getExportFilename = (format, date = new Date()) => {
+  return `muud-journal-${date.toISOString().slice(0, 10)}.${format}`;
+};
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toExportRecord = (entry) => ({
+  id: entry.id,
+  timestamp: new Date(entry.timestamp).toISOString(),
+  updated_at: entry.updated_at ? new Date(entry.updated_at).toISOString() : null,
+  mood_rating: entry.mood_rating,
+  mood_label: getMoodLabel(entry.mood_rating),
+  tags: entry.tags || [],
+  entry_text: entry.entry_text,
+});
+
+// Build an export of locally stored entries, oldest first, byte-for-byte in
+// the layout the backend streams so both sources import the same way
+export const buildJournalExport = (entries, format) => {
+  const exportedAt = new Date().toISOString();
+  const records = [...entries]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .map(toExportRecord);
+
+  switch (format) {
+    case 'csv':
+      return 'id,timestamp,updated_at,mood_rating,mood_label,tags,entry_text\r\n' + records.map(record => [
+        record.id,
+        record.timestamp,
+        record.updated_at,
+        record.mood_rating,
+        record.mood_label,
+        record.tags.join(' '),
+        record.entry_text,
+      ].map(csvField).join(',') + '\r\n').join('');
+    case 'md':
+      return `# MUUD Health Journal\n\nExported ${exportedAt}\n\n` + records.map(record => [
+        '---',
+        `date: ${record.timestamp}`,
+        `mood: ${record.mood_rating}`,
+        `mood_label: ${record.mood_label}`,
+        `tags: [${record.tags.join(', ')}]`,
+        '---',
+        '',
+        record.entry_text,
+        '',
+        '',
+      ].join('\n')).join('');
+    default:
+      return `{\n  "exported_at": ${JSON.stringify(exportedAt)},\n  "entries": [\n` +
+        records.map(record => `    ${JSON.stringify(record)}`).join(',\n') +
+        '\n  ]\n}\n';
+  }
+};
+
+// Hand an export to the OS share sheet (or download it on web)
+export const shareJournalExport = async ({ content, filename, format }) => {
+  const { mimeType, uti, label } = EXPORT_FORMATS[format];
+
+  if (Platform.OS === 'web') {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+    return;
+  }
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  const fileUri = `${FileSystem.cacheDirectory}${filename}`;
+  await FileSystem.writeAsStringAsync(fileUri, content, { encoding: FileSystem.EncodingType.UTF8 });
+  await Sharing.shareAsync(fileUri, {
+    mimeType,
+    UTI: uti,
+    dialogTitle: `Export journal as ${label}`,
+  });
+};
@@ -1,12 +1,24 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { ApiError, ERROR_CODES } from './errors';
 
 // Keys for storing data
 const STORAGE_KEYS = {
   JOURNAL_ENTRIES: 'journal_entries',
   CONTACTS: 'contacts',
   USER_ID: 'user_id',
+  AUTH_SESSION: 'auth_session',
+  SYNC_STATE: 'sync_state',
+  TRASH: 'trash',
 };
 
+// Entries and contacts created offline get a temporary ID until a sync
+// stores them on the backend; records changed offline carry `pending: true`
+const LOCAL_ID_PREFIX = 'local-';
+
+export const isLocalId = (id) => String(id).startsWith(LOCAL_ID_PREFIX);
+
+const createLocalId = () => `${LOCAL_ID_PREFIX}${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
 // Journal Entry Storage
 export const saveJournalEntries = async (entries) => {
   try {
@@ -26,13 +38,144 @@ export const getJournalEntries = async () => {
   }
 };
 
+// Whether an entry passes the listing filters (inclusive date and mood bounds)
+const matchesFilters = (entry, { from, to, mood_min, mood_max, tag } = {}) => {
+  const time = new Date(entry.timestamp).getTime();
+  if (from && time < new Date(from).getTime()) return false;
+  if (to && time > new Date(to).getTime()) return false;
+  if (mood_min && entry.mood_rating < mood_min) return false;
+  if (mood_max && entry.mood_rating > mood_max) return false;
+  if (tag && !(entry.tags || []).includes(tag)) return false;
+  return true;
+};
+
+// Page through local entries newest first. Local cursors are offsets
+// prefixed with "local:" so they are never confused with backend cursors.
+export const getJournalEntriesPage = async ({ cursor, limit = 20, filters } = {}) => {
+  const entries = await getJournalEntries();
+  const sorted = entries.filter(entry => matchesFilters(entry, filters)).sort((a, b) =>
+    new Date(b.timestamp) - new Date(a.timestamp) || String(b.id).localeCompare(String(a.id))
+  );
+
+  let offset = 0;
+  if (cursor) {
+    if (!String(cursor).startsWith('local:')) {
+      return { entries: [], nextCursor: null };
+    }
+    offset = parseInt(String(cursor).slice('local:'.length)) || 0;
+  }
+
+  const page = sorted.slice(offset, offset + limit);
+  const nextOffset = offset + page.length;
+  return {
+    entries: page,
+    nextCursor: nextOffset < sorted.length ? `local:${nextOffset}` : null,
+  };
+};
+
+// Client-side search used when the backend is unreachable. Every search term
+// must appear in the entry; results mirror the backend's shape, with matched
+// terms wrapped in <mark></mark> inside a short snippet.
+export const searchJournalEntries = async (query) => {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const termPattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+
+  const entries = await getJournalEntries();
+  return entries
+    .map((entry) => {
+      const text = entry.entry_text;
+      const lowerText = text.toLowerCase();
+      const hits = terms.map(term => lowerText.split(term).length - 1);
+      if (hits.some(count => count === 0)) {
+        return null;
+      }
+
+      // Cut a window of text around the first match
+      const firstMatch = Math.min(...terms.map(term => lowerText.indexOf(term)));
+      const start = Math.max(0, firstMatch - 60);
+      const end = Math.min(text.length, firstMatch + 140);
+      const excerpt = `${start > 0 ? '...' : ''}${text.slice(start, end)}${end < text.length ? '...' : ''}`;
+
+      return {
+        ...entry,
+        rank: hits.reduce((sum, count) => sum + count, 0),
+        snippet: excerpt.replace(termPattern, '<mark>$1</mark>'),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.rank - a.rank || new Date(b.timestamp) - new Date(a.timestamp));
+};
+
+// Start of the day/week (Monday)/month containing a date, in local time
+const getBucketStart = (date, bucket) => {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  if (bucket === 'week') {
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  } else if (bucket === 'month') {
+    start.setDate(1);
+  }
+  return start;
+};
+
+// Offline counterpart of GET /insights/mood, computed over local entries
+export const computeMoodInsights = async ({ bucket = 'day', from, to } = {}) => {
+  const entries = (await getJournalEntries()).filter(entry => matchesFilters(entry, { from, to }));
+  const ratings = [1, 2, 3, 4, 5];
+  const emptyDistribution = () => Object.fromEntries(ratings.map(rating => [rating, 0]));
+
+  const summarize = (group) => {
+    const rated = group.filter(entry => ratings.includes(entry.mood_rating));
+    const moods = rated.map(entry => entry.mood_rating);
+    const distribution = emptyDistribution();
+    moods.forEach((mood) => { distribution[mood] += 1; });
+
+    return {
+      entry_count: group.length,
+      average_mood: moods.length > 0
+        ? Math.round((moods.reduce((sum, mood) => sum + mood, 0) / moods.length) * 100) / 100
+        : null,
+      min_mood: moods.length > 0 ? Math.min(...moods) : null,
+      max_mood: moods.length > 0 ? Math.max(...moods) : null,
+      distribution,
+    };
+  };
+
+  const groups = new Map();
+  entries.forEach((entry) => {
+    const key = getBucketStart(new Date(entry.timestamp), bucket).toISOString();
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(entry);
+  });
+
+  const buckets = [...groups.keys()]
+    .sort()
+    .map(key => ({ bucket_start: key, ...summarize(groups.get(key)) }));
+
+  return {
+    bucket,
+    from: from || null,
+    to: to || null,
+    summary: summarize(entries),
+    buckets,
+  };
+};
+
 export const addJournalEntry = async (entry) => {
   try {
     const entries = await getJournalEntries();
     const newEntry = {
-      id: Date.now().toString(),
+      id: createLocalId(),
       ...entry,
+      tags: entry.tags || [],
       timestamp: entry.timestamp || new Date().toISOString(),
+      pending: true,
     };
     entries.unshift(newEntry); // Add to beginning of array
     await saveJournalEntries(entries);
@@ -43,7 +186,67 @@ export const addJournalEntry = async (entry) => {
   }
 };
 
+// Update an entry, keeping the previous text and mood in entry.revisions
+export const updateJournalEntry = async (entryId, updates) => {
+  try {
+    const entries = await getJournalEntries();
+    const index = entries.findIndex(entry => String(entry.id) === String(entryId));
+
+    if (index === -1) {
+      throw new ApiError({ code: ERROR_CODES.NOT_FOUND, message: `Entry with ID ${entryId} not found` });
+    }
+
+    const current = entries[index];
+    const revision = {
+      id: Date.now().toString(),
+      entry_text: current.entry_text,
+      mood_rating: current.mood_rating,
+      revised_at: new Date().toISOString(),
+    };
+
+    const updatedEntry = {
+      ...current,
+      ...updates,
+      updated_at: revision.revised_at,
+      revisions: [revision, ...(current.revisions || [])],
+      pending: true,
+    };
+
+    entries[index] = updatedEntry;
+    await saveJournalEntries(entries);
+    return updatedEntry;
+  } catch (error) {
+    console.error('Error updating journal entry:', error);
+    throw error;
+  }
+};
+
+// Tags used across local entries, most used first, for autocomplete
+export const getLocalTags = async (prefix = '') => {
+  const entries = await getJournalEntries();
+  const counts = {};
+  entries.forEach((entry) => {
+    (entry.tags || []).forEach((tag) => {
+      counts[tag] = (counts[tag] || 0) + 1;
+    });
+  });
+
+  return Object.entries(counts)
+    .filter(([name]) => name.startsWith(prefix))
+    .map(([name, entry_count]) => ({ name, entry_count }))
+    .sort((a, b) => b.entry_count - a.entry_count || a.name.localeCompare(b.name));
+};
 
+export const getJournalEntryRevisions = async (entryId) => {
+  try {
+    const entries = await getJournalEntries();
+    const entry = entries.find(e => String(e.id) === String(entryId));
+    return entry && entry.revisions ? entry.revisions : [];
+  } catch (error) {
+    console.error('Error getting journal entry revisions:', error);
+    return [];
+  }
+};
 
 export const deleteJournalEntry = async (entryId) => {
   try {
@@ -66,11 +269,12 @@ export const deleteJournalEntry = async (entryId) => {
     
     if (updatedEntries.length === entries.length) {
       console.log('⚠️ No entry was deleted - ID not found');
-      throw new Error(`Entry with ID ${entryId} not found`);
+      throw new ApiError({ code: ERROR_CODES.NOT_FOUND, message: `Entry with ID ${entryId} not found` });
     }
     
     await saveJournalEntries(updatedEntries);
-    console.log('✅ Entry deleted successfully');
+    await moveToLocalTrash('journal_entries', entries.find(entry => String(entry.id) === String(entryId)));
+    console.log('✅ Entry moved to trash');
     return true;
   } catch (error) {
     console.error('❌ Error deleting journal entry:', error);
@@ -101,9 +305,10 @@ export const addContact = async (contact) => {
   try {
     const contacts = await getContacts();
     const newContact = {
-      id: Date.now().toString(),
+      id: createLocalId(),
       ...contact,
       created_at: new Date().toISOString(),
+      pending: true,
     };
     contacts.push(newContact);
     contacts.sort((a, b) => a.contact_name.localeCompare(b.contact_name));
@@ -115,93 +320,371 @@ export const addContact = async (contact) => {
   }
 };
 
-// User ID management
-export const getUserId = async () => {
+export const updateContact = async (contactId, updates) => {
+  try {
+    const contacts = await getContacts();
+    const index = contacts.findIndex(contact => String(contact.id) === String(contactId));
+
+    if (index === -1) {
+      throw new ApiError({ code: ERROR_CODES.NOT_FOUND, message: `Contact with ID ${contactId} not found` });
+    }
+
+    // Mirror the backend's unique (user_id, contact_email) constraint
+    if (updates.contact_email) {
+      const duplicate = contacts.find(contact =>
+        String(contact.id) !== String(contactId) &&
+        contact.contact_email.toLowerCase() === updates.contact_email.toLowerCase()
+      );
+      if (duplicate) {
+        throw new ApiError({ code: ERROR_CODES.DUPLICATE_CONTACT, message: 'A contact with this email already exists' });
+      }
+    }
+
+    const updatedContact = { ...contacts[index], ...updates, pending: true };
+    contacts[index] = updatedContact;
+    contacts.sort((a, b) => a.contact_name.localeCompare(b.contact_name));
+    await saveContacts(contacts);
+    return updatedContact;
+  } catch (error) {
+    console.error('Error updating contact:', error);
+    throw error;
+  }
+};
+
+export const deleteContact = async (contactId) => {
   try {
-    let userId = await AsyncStorage.getItem(STORAGE_KEYS.USER_ID);
-    if (!userId) {
-      userId = '1'; // Default user ID for this demo
-      await AsyncStorage.setItem(STORAGE_KEYS.USER_ID, userId);
+    const contacts = await getContacts();
+    const updatedContacts = contacts.filter(contact => String(contact.id) !== String(contactId));
+
+    if (updatedContacts.length === contacts.length) {
+      throw new ApiError({ code: ERROR_CODES.NOT_FOUND, message: `Contact with ID ${contactId} not found` });
     }
-    return userId;
+
+    await saveContacts(updatedContacts);
+    await moveToLocalTrash('contacts', contacts.find(contact => String(contact.id) === String(contactId)));
+    return true;
+  } catch (error) {
+    console.error('Error deleting contact:', error);
+    throw error;
+  }
+};
+
+// Auth session management
+export const saveAuthSession = async (session) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEYS.AUTH_SESSION, JSON.stringify(session));
+    await AsyncStorage.setItem(STORAGE_KEYS.USER_ID, String(session.user.id));
+  } catch (error) {
+    console.error('Error saving auth session:', error);
+  }
+};
+
+export const getAuthSession = async () => {
+  try {
+    const session = await AsyncStorage.getItem(STORAGE_KEYS.AUTH_SESSION);
+    return session ? JSON.parse(session) : null;
+  } catch (error) {
+    console.error('Error getting auth session:', error);
+    return null;
+  }
+};
+
+export const clearAuthSession = async () => {
+  try {
+    await AsyncStorage.removeItem(STORAGE_KEYS.AUTH_SESSION);
+  } catch (error) {
+    console.error('Error clearing auth session:', error);
+  }
+};
+
+// User ID management - the ID of the last signed-in account, used to tag
+// entries and contacts saved locally
+export const getUserId = async () => {
+  try {
+    const userId = await AsyncStorage.getItem(STORAGE_KEYS.USER_ID);
+    return userId || '1';
   } catch (error) {
     console.error('Error getting user ID:', error);
     return '1';
   }
 };
 
-// Clear all data (for testing)
-export const clearAllData = async () => {
+// Sync state: which account the local copy belongs to, the cursor returned
+// by the last sync and the server IDs deleted offline since then
+const createSyncState = (userId = null) => ({
+  user_id: userId,
+  cursor: null,
+  deleted: { journal_entries: [], contacts: [] },
+});
+
+const getSyncState = async () => {
   try {
-    await AsyncStorage.multiRemove([
-      STORAGE_KEYS.JOURNAL_ENTRIES,
-      STORAGE_KEYS.CONTACTS,
-    ]);
+    const state = await AsyncStorage.getItem(STORAGE_KEYS.SYNC_STATE);
+    return state ? JSON.parse(state) : createSyncState();
   } catch (error) {
-    console.error('Error clearing data:', error);
+    console.error('Error getting sync state:', error);
+    return createSyncState();
+  }
+};
+
+const saveSyncState = async (state) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEYS.SYNC_STATE, JSON.stringify(state));
+  } catch (error) {
+    console.error('Error saving sync state:', error);
+  }
+};
+
+// Trash: records deleted on this device, keyed like the sync payload. Once a
+// sync hands a deletion to the backend the record lives in the backend's
+// trash instead; records the backend never saw stay here until they expire.
+const LOCAL_TRASH_RETENTION_DAYS = 30; // the backend's default TRASH_RETENTION_DAYS
+
+const TRASH_KEYS = { journal_entry: 'journal_entries', contact: 'contacts' };
+
+const getLocalTrashRecords = async () => {
+  try {
+    const trash = await AsyncStorage.getItem(STORAGE_KEYS.TRASH);
+    return trash ? JSON.parse(trash) : { journal_entries: [], contacts: [] };
+  } catch (error) {
+    console.error('Error getting trash:', error);
+    return { journal_entries: [], contacts: [] };
   }
 };
 
-// Initialize with sample data if no data exists
-export const initializeSampleData = async () => {
+const saveLocalTrash = async (trash) => {
   try {
+    await AsyncStorage.setItem(STORAGE_KEYS.TRASH, JSON.stringify(trash));
+  } catch (error) {
+    console.error('Error saving trash:', error);
+  }
+};
+
+// Keep a deleted record in the trash and, if the backend has it, queue the
+// deletion for the next sync
+const moveToLocalTrash = async (key, record) => {
+  const trash = await getLocalTrashRecords();
+  trash[key] = [{ ...record, deleted_at: new Date().toISOString() }, ...trash[key]];
+  await saveLocalTrash(trash);
+
+  if (!isLocalId(record.id)) {
+    const state = await getSyncState();
+    state.deleted[key] = [...new Set([...state.deleted[key], Number(record.id)])];
+    await saveSyncState(state);
+  }
+};
+
+// Same shape as GET /trash; expired records are purged on the way
+export const getLocalTrash = async () => {
+  const trash = await getLocalTrashRecords();
+  const retentionMs = LOCAL_TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const now = Date.now();
+
+  const current = {};
+  Object.values(TRASH_KEYS).forEach((key) => {
+    current[key] = trash[key].filter(record => new Date(record.deleted_at).getTime() + retentionMs > now);
+  });
+  await saveLocalTrash(current);
+
+  const withPurgeAt = (record) => ({
+    ...record,
+    purge_at: new Date(new Date(record.deleted_at).getTime() + retentionMs).toISOString(),
+  });
+
+  return {
+    retention_days: LOCAL_TRASH_RETENTION_DAYS,
+    journal_entries: current.journal_entries.map(withPurgeAt),
+    contacts: current.contacts.map(withPurgeAt),
+  };
+};
+
+// Put a trashed record back and cancel its queued deletion. `type` is
+// journal_entry or contact, as in POST /trash/:type/:id/restore.
+export const restoreFromLocalTrash = async (type, id) => {
+  const key = TRASH_KEYS[type];
+  const trash = await getLocalTrashRecords();
+  const record = trash[key].find(item => String(item.id) === String(id));
+
+  if (!record) {
+    throw new ApiError({ code: ERROR_CODES.NOT_FOUND, message: `${type} ${id} is not in the trash` });
+  }
+
+  const { deleted_at, ...restored } = record;
+
+  if (key === 'journal_entries') {
     const entries = await getJournalEntries();
+    entries.push(restored);
+    entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    await saveJournalEntries(entries);
+  } else {
     const contacts = await getContacts();
+    // Mirror the backend's unique (user_id, contact_email) constraint
+    if (contacts.some(contact => contact.contact_email.toLowerCase() === restored.contact_email.toLowerCase())) {
+      throw new ApiError({ code: ERROR_CODES.DUPLICATE_CONTACT, message: 'A contact with this email already exists' });
+    }
+    contacts.push(restored);
+    contacts.sort((a, b) => a.contact_name.localeCompare(b.contact_name));
+    await saveContacts(contacts);
+  }
+
+  trash[key] = trash[key].filter(item => item !== record);
+  await saveLocalTrash(trash);
+
+  const state = await getSyncState();
+  state.deleted[key] = state.deleted[key].filter(deletedId => String(deletedId) !== String(id));
+  await saveSyncState(state);
+
+  return restored;
+};
+
+// The local copy belongs to one account. On the first sync, entries and
+// contacts saved on the device before sync existed are kept as offline
+// creations so they reach the backend; signing in as someone else starts
+// from an empty copy.
+export const getSyncStateForUser = async (userId) => {
+  const state = await getSyncState();
+  if (state.user_id === String(userId)) {
+    return state;
+  }
+
+  const adopt = (record) => ({
+    ...record,
+    id: isLocalId(record.id) ? record.id : `${LOCAL_ID_PREFIX}${record.id}`,
+    pending: true,
+  });
 
-    if (entries.length === 0) {
-      const sampleEntries = [
-        {
-          id: '1',
-          user_id: 1,
-          entry_text: 'Had a great day today! Felt really productive and accomplished a lot of my goals.',
-          mood_rating: 5,
-          timestamp: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(), // Yesterday
-        },
-        {
-          id: '2',
-          user_id: 1,
-          entry_text: 'Feeling a bit stressed about work deadlines, but trying to stay positive.',
-          mood_rating: 3,
-          timestamp: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(), // 2 days ago
-        },
-        {
-          id: '3',
-          user_id: 1,
-          entry_text: 'Spent quality time with family. Really helped me relax and recharge.',
-          mood_rating: 4,
-          timestamp: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString(), // 3 days ago
-        },
-      ];
-      await saveJournalEntries(sampleEntries);
+  if (state.user_id === null) {
+    await saveJournalEntries((await getJournalEntries()).map(adopt));
+    await saveContacts((await getContacts()).map(adopt));
+  } else {
+    await saveJournalEntries([]);
+    await saveContacts([]);
+    await saveLocalTrash({ journal_entries: [], contacts: [] });
+  }
+
+  const freshState = createSyncState(String(userId));
+  await saveSyncState(freshState);
+  return freshState;
+};
+
+// Local changes in the shape POST /sync expects. Records created offline are
+// sent with their temporary ID as client_id; edits carry the updated_at last
+// pulled from the backend so edits made elsewhere are detected.
+export const getPendingSyncChanges = async () => {
+  const [entries, contacts, state] = await Promise.all([getJournalEntries(), getContacts(), getSyncState()]);
+
+  const toRef = (record) => (isLocalId(record.id)
+    ? { client_id: String(record.id) }
+    : { id: Number(record.id), base_updated_at: record.server_updated_at || null });
+
+  return {
+    journal_entries: {
+      upserted: entries.filter(entry => entry.pending).map(entry => ({
+        ...toRef(entry),
+        entry_text: entry.entry_text,
+        mood_rating: entry.mood_rating,
+        timestamp: entry.timestamp,
+        tags: entry.tags || [],
+      })),
+      deleted: state.deleted.journal_entries,
+    },
+    contacts: {
+      upserted: contacts.filter(contact => contact.pending).map(contact => ({
+        ...toRef(contact),
+        contact_name: contact.contact_name,
+        contact_email: contact.contact_email,
+      })),
+      deleted: state.deleted.contacts,
+    },
+  };
+};
+
+// Merge one resource's sync response into its local records
+const mergeSyncedRecords = (records, { changed, deleted }, pushed, fullSync) => {
+  const byId = new Map(records.map(record => [String(record.id), record]));
+
+  pushed.forEach((outcome) => {
+    const key = String(outcome.client_id || outcome.id);
+    const record = byId.get(key);
+
+    if (outcome.status === 'applied' && outcome.client_id) {
+      byId.delete(key); // the backend's copy arrives in `changed`
+    } else if (outcome.reason === 'not_found') {
+      byId.delete(key);
+    } else if (record) {
+      // Applied edits and lost conflicts are replaced by the backend's copy;
+      // invalid or duplicate rows stay on the device, marked with the reason
+      byId.set(key, {
+        ...record,
+        pending: false,
+        ...(outcome.status === 'rejected' && outcome.reason !== 'conflict' ? { sync_error: outcome.reason } : {}),
+      });
     }
+  });
 
-    if (contacts.length === 0) {
-      const sampleContacts = [
-        {
-          id: '1',
-          user_id: 1,
-          contact_name: 'Dr. Smith',
-          contact_email: 'dr.smith@healthcare.com',
-          created_at: new Date().toISOString(),
-        },
-        {
-          id: '2',
-          user_id: 1,
-          contact_name: 'Sarah Johnson',
-          contact_email: 'sarah.j@email.com',
-          created_at: new Date().toISOString(),
-        },
-        {
-          id: '3',
-          user_id: 1,
-          contact_name: 'Mike Chen',
-          contact_email: 'mike.chen@email.com',
-          created_at: new Date().toISOString(),
-        },
-      ];
-      await saveContacts(sampleContacts);
+  // A full sync sends every record, so anything else from the backend is gone
+  if (fullSync) {
+    byId.forEach((record, key) => {
+      if (!isLocalId(record.id) && !record.pending) {
+        byId.delete(key);
+      }
+    });
+  }
+
+  changed.forEach((row) => {
+    const local = byId.get(String(row.id));
+    // Changed again while the sync was running; pushed next time
+    if (local && local.pending) {
+      return;
     }
+    byId.set(String(row.id), { ...row, server_updated_at: row.updated_at });
+  });
+
+  deleted.forEach(id => byId.delete(String(id)));
+
+  return [...byId.values()];
+};
+
+// Apply a POST /sync response: swap temporary records for the backend's,
+// apply pulled changes and deletions, and keep the new cursor. `sent` is the
+// payload from getPendingSyncChanges that produced the response.
+export const applySyncResult = async (result, sent) => {
+  const [entries, contacts, state] = await Promise.all([getJournalEntries(), getContacts(), getSyncState()]);
+  const pushed = result.pushed || { journal_entries: [], contacts: [] };
+
+  const syncedEntries = mergeSyncedRecords(entries, result.journal_entries, pushed.journal_entries, result.full_sync)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  const syncedContacts = mergeSyncedRecords(contacts, result.contacts, pushed.contacts, result.full_sync)
+    .sort((a, b) => a.contact_name.localeCompare(b.contact_name));
+
+  await saveJournalEntries(syncedEntries);
+  await saveContacts(syncedContacts);
+
+  // Deletions the backend now has live in its trash
+  const trash = await getLocalTrashRecords();
+  Object.values(TRASH_KEYS).forEach((key) => {
+    trash[key] = trash[key].filter(record => !sent[key].deleted.includes(Number(record.id)));
+  });
+  await saveLocalTrash(trash);
+
+  const stillDeleted = (key) => state.deleted[key].filter(id => !sent[key].deleted.includes(id));
+  await saveSyncState({
+    ...state,
+    cursor: result.cursor,
+    deleted: { journal_entries: stillDeleted('journal_entries'), contacts: stillDeleted('contacts') },
+  });
+};
+
+// Clear all data (for testing)
+export const clearAllData = async () => {
+  try {
+    await AsyncStorage.multiRemove([
+      STORAGE_KEYS.JOURNAL_ENTRIES,
+      STORAGE_KEYS.CONTACTS,
+      STORAGE_KEYS.SYNC_STATE,
+      STORAGE_KEYS.TRASH,
+    ]);
   } catch (error) {
-    console.error('Error initializing sample data:', error);
+    console.error('Error clearing data:', error);
   }
-};
\ No newline at end of file
+};